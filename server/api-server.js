@@ -94,6 +94,20 @@ function trackUsage(clientId, service, tokens = 0) {
   stats.lastUsed = today;
 }
 
+// Chat messages for the providers: the optional system prompt, earlier
+// turns sent by the CLI (sessions, templates) and the new prompt
+function buildChatMessages(prompt, system, history) {
+  const earlier = Array.isArray(history)
+    ? history.filter(message => ['user', 'assistant'].includes(message?.role) && typeof message.content === 'string')
+    : [];
+
+  return [
+    ...(typeof system === 'string' && system ? [{ role: 'system', content: system }] : []),
+    ...earlier.map(({ role, content }) => ({ role, content })),
+    { role: 'user', content: prompt }
+  ];
+}
+
 // Health check
 app.get('/v1/status', (req, res) => {
   res.json({
@@ -113,12 +127,14 @@ app.get('/v1/status', (req, res) => {
 // AI Chat endpoint
 app.post('/v1/ai/chat', aiLimiter, async (req, res) => {
   try {
-    const { prompt, model = 'auto', max_tokens = 1000, temperature = 0.7, client_id } = req.body;
+    const { prompt, system, messages: history, model = 'auto', max_tokens = 1000, temperature = 0.7, client_id } = req.body;
 
     if (!prompt) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
 
+    const messages = buildChatMessages(prompt, system, history);
+
     // Track usage
     trackUsage(client_id || 'anonymous', 'ai');
 
@@ -130,7 +146,7 @@ app.post('/v1/ai/chat', aiLimiter, async (req, res) => {
       if (API_KEYS.OPENROUTER_API_KEY) {
         response = await axios.post('https://openrouter.ai/api/v1/chat/completions', {
           model: 'deepseek/deepseek-chat', // Free model
-          messages: [{ role: 'user', content: prompt }],
+          messages,
           max_tokens,
           temperature
         }, {
@@ -160,7 +176,7 @@ app.post('/v1/ai/chat', aiLimiter, async (req, res) => {
       if (API_KEYS.GROQ_API_KEY) {
         response = await axios.post('https://api.groq.com/openai/v1/chat/completions', {
           model: 'llama-3.1-8b-instant',
-          messages: [{ role: 'user', content: prompt }],
+          messages,
           max_tokens,
           temperature
         }, {
@@ -18,6 +18,7 @@ const config = require('./services/config');
 const i18n = require('./services/i18n');
 const pluginManager = require('./services/plugin-manager');
 const updateManager = require('./services/update-manager');
+const platformService = require('./services/platform-service');
 
 // Import performance services
 const performanceService = require('./services/performance-service');
@@ -194,26 +195,60 @@ class CLIApplication {
   registerCommands() {
     // Calculate command
     this.program
-      .command('calculate <expression>')
+      .command('calculate [expression] [args...]')
       .alias('calc')
       .description(i18n.translate('commands.calculate.description'))
       .option('-p, --precision <number>', i18n.translate('commands.calculate.precision'), '4')
       .option('-v, --verbose', i18n.translate('commands.calculate.verbose'), false)
-      .action(async (expression, options) => {
-        await this.executeCommand(calculateCommand, expression, options);
+      .option('-r, --repl', 'Start an interactive session with persistent variables and functions', false)
+      .option('-f, --file <path>', 'Evaluate a calculator script line by line ("-" reads stdin)')
+      .option('--latex', 'Also show the result as LaTeX', false)
+      .option('-m, --mode <mode>', 'Calculator mode (standard, programmer)', 'standard')
+      .option('--bits <width>', 'Integer width in programmer mode (8, 16, 32, 64, or 0 for arbitrary)', '64')
+      .option('--unsigned', 'Use unsigned integers in programmer mode', false)
+      .action(async (expression, args, options) => {
+        // Evaluate piped input when no expression is given
+        if (!expression && !options.repl && !options.file && platformService.hasPipedInput()) {
+          options.file = '-';
+        }
+        await this.executeCommand(calculateCommand, expression, { ...options, args });
       });
 
     // AI command
     this.program
-      .command('ai <prompt>')
+      .command('ai <prompt> [args...]')
       .description(i18n.translate('commands.ai.description'))
       .option('-m, --model <model>', i18n.translate('commands.ai.model'))
       .option('-s, --stream', i18n.translate('commands.ai.stream'), false)
-      .option('-t, --temperature <number>', i18n.translate('commands.ai.temperature'), '0.7')
+      .option('-t, --temperature <number>', i18n.translate('commands.ai.temperature') + ' (default: 0.7)')
       .option('--max-tokens <number>', i18n.translate('commands.ai.maxTokens'), '1000')
       .option('-c, --context <context>', i18n.translate('commands.ai.context'))
-      .action(async (prompt, options) => {
-        await this.executeCommand(aiCommand, prompt, options);
+      .option('--system <prompt>', 'System prompt (saved with --session or "template add")')
+      .option('--prompt <text>', 'Prompt text for "template add"; {{input}} is the run arguments')
+      .option('--description <text>', 'Description for "template add"')
+      .option('--var <key=value>', 'Template variable (repeatable); defaults when used with "template add"', (value, vars) => vars.concat(value), [])
+      .option('--session <name>', 'Continue a named, saved conversation (see "ai sessions list")')
+      .option('-f, --file <path>', 'Attach a text file to the prompt (repeatable; "-" reads stdin)', (value, files) => files.concat(value), [])
+      .option('--no-stdin', 'Do not attach piped input')
+      .option('--json', 'Print one JSON document (content, provider, model, usage, latency) to stdout')
+      .option('--schema <file>', 'Ask for JSON valid against a JSON Schema file, retrying on validation errors')
+      .option('--schema-retries <n>', 'Retries when the reply fails --schema validation (default: 2, max: 5)')
+      .option('--tools [names]', 'Let the model call local tools: calculate, convert, weather, read_file, list_files (default: all)')
+      .option('-y, --yes', 'Allow --tools file access without asking')
+      .option('--index <name>', 'Local index to answer from with "ai ask" (see "ai index list")')
+      .option('--top <k>', 'Chunks retrieved for "ai ask" (default: 5)')
+      .option('--name <name>', 'Index name for "ai index" (default: the directory name)')
+      .option('--embed-model <model>', 'Ollama embedding model for "ai index" (default: nomic-embed-text)')
+      .option('--models <list>', 'Comma-separated models for "ai compare"')
+      .option('--layout <layout>', 'Layout for "ai compare": side or stacked (default: by terminal width)')
+      .option('-o, --output <file>', 'Save an "ai compare" report as markdown')
+      .option('--since <date>', 'Start date for "ai usage" (YYYY-MM-DD, default: first of the month)')
+      .option('--until <date>', 'End date for "ai usage" (YYYY-MM-DD)')
+      .action(async (prompt, args, options) => {
+        // Attach piped input (e.g. git diff | mdsaad ai "summarize"), or
+        // stdin when "-f -" asks for it
+        const stdin = options.stdin && (options.file.includes('-') || platformService.hasPipedInput());
+        await this.executeCommand(aiCommand, prompt, { ...options, stdin, args });
       });
 
     // API command
@@ -245,7 +280,7 @@ class CLIApplication {
 
     // Weather command
     this.program
-      .command('weather [location]')
+      .command('weather [location] [args...]')
       .description(i18n.translate('commands.weather.description'))
       .option('-d, --detailed', i18n.translate('commands.weather.detailed'), false)
       .option('-f, --forecast', 'Show weather forecast instead of current conditions', false)
@@ -253,21 +288,32 @@ class CLIApplication {
       .option('-u, --units <units>', i18n.translate('commands.weather.units'), 'metric')
       .option('--alerts', i18n.translate('commands.weather.alerts'), false)
       .option('--lang <language>', 'Language for weather descriptions', 'en')
-      .action(async (location, options) => {
-        await this.executeCommand(weatherCommand, location, options);
+      .option('--all', 'Show a dashboard of every saved location (see "weather locations")', false)
+      .option('--hourly [hours]', 'Chart temperature, precipitation chance and wind for the next hours (default: 24)')
+      .option('--ascii', 'Draw charts with ASCII characters only', false)
+      .option('--format <format>', 'Output format: table, json or csv (json/csv print only data to stdout)', 'table')
+      .option('--interval <duration>', 'weather watch: time between checks, e.g. 5m, 15m or 1h (default: 15m)')
+      .option('--threshold <rule>', 'weather watch: notify when a rule becomes true, e.g. "wind>50km/h" or "temp<0" (repeatable)', (value, rules) => rules.concat(value), [])
+      .option('--notify <channels>', 'weather watch: bell, stderr (default: both) or none')
+      .option('--exec <command>', 'weather watch: shell command to run per notification (MDSAAD_WATCH_* variables)')
+      .option('--once', 'weather watch: check once and exit', false)
+      .action(async (location, args, options) => {
+        await this.executeCommand(weatherCommand, location, { ...options, args });
       });
 
     // Convert command
     this.program
       .command('convert [amount] [from] [to]')
       .alias('conv')
-      .description('Convert between currencies and units (length, weight, temperature)')
+      .description('Convert between currencies and units (length, weight, temperature, data, pressure, energy, fuel economy, compound units like km/h)')
       .option('-v, --verbose', 'Show detailed conversion information')
-      .option('-h, --historical [date]', 'Use historical exchange rates (YYYY-MM-DD)')
+      .option('-h, --historical [date]', 'Use historical exchange rates (YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD)')
       .option('-r, --rates', 'Show current exchange rates')
+      .option('-s, --since <date>', 'With --rates, show the trend since a date (YYYY-MM-DD)')
       .option('-f, --favorites', 'Show favorite conversion pairs')
       .option('-a, --add-favorite', 'Add this conversion to favorites')
-      .option('-b, --batch <file>', 'Process batch conversions from file')
+      .option('-b, --batch <file>', 'Process batch conversions from a CSV, JSON or text file')
+      .option('-o, --output <file>', 'With --batch, write results to a .csv or .json file')
       .action(async (amount, from, to, options) => {
         await this.executeCommand(convertCommand, amount, from, to, options);
       });
@@ -433,8 +479,16 @@ class CLIApplication {
 
   setupGlobalMiddleware() {
     // Handle global options before command execution
-    this.program.hook('preAction', async (thisCommand) => {
+    this.program.hook('preAction', async (thisCommand, actionCommand) => {
       const options = thisCommand.opts();
+
+      // Keep startup INFO lines off stdout when it must carry only JSON or CSV
+      if (this.hasMachineOutput(actionCommand.opts())) {
+        logger.setLevel('warn');
+        logger.release({ discard: true });
+      } else {
+        logger.release();
+      }
       
       // Security validation for command-line arguments
       try {
@@ -571,12 +625,23 @@ class CLIApplication {
     }
   }
 
+  /**
+   * Whether a command's parsed options ask for --json or --format json/csv
+   */
+  hasMachineOutput(options) {
+    return Boolean(options.json) || ['json', 'csv'].includes(String(options.format).toLowerCase());
+  }
+
   async run() {
     try {
+      // Startup messages wait until the command's options are parsed
+      logger.hold();
       await this.initialize();
       await this.program.parseAsync(process.argv);
+      logger.release();
       
     } catch (error) {
+      logger.release();
       console.error(chalk.red('❌ Fatal error:'), error.message);
       
       if (process.env.NODE_ENV === 'development') {
@@ -4,27 +4,51 @@
  */
 
 const chalk = require('chalk');
+const fs = require('fs-extra');
 const readline = require('readline');
 const axios = require('axios');
+const outputFormatter = require('../services/output-formatter');
 const apiManager = require('../services/api-manager');
 const configService = require('../services/config');
 const cacheService = require('../services/cache');
 const loggerService = require('../services/logger');
 const mdsaadKeys = require('../config/mdsaad-keys');
 const ollamaService = require('../services/ollama');
+const streamParser = require('../services/stream-parser');
+const aiSessions = require('../services/ai-sessions');
+const contextBudget = require('../services/context-budget');
+const attachments = require('../services/attachments');
+const promptTemplates = require('../services/prompt-templates');
+const jsonSchema = require('../services/json-schema');
+const aiTools = require('../services/ai-tools');
+const vectorIndex = require('../services/vector-index');
+const aiPricing = require('../services/ai-pricing');
+const aiUsage = require('../services/ai-usage');
+
+// Version of the --json envelope; bump on incompatible changes
+const JSON_ENVELOPE_VERSION = 1;
 
 class AICommand {
   constructor() {
     this.conversationHistory = [];
     this.rateLimitTracker = new Map();
     this.proxyAPI = null;
+    this.activeStream = null; // AbortController of the response being streamed
+    this.jsonMode = false; // --json: stdout carries only the envelope
+    this.jsonEmitted = false;
+    this.specialCommands = new Set([
+      'help', '?', 'providers', 'history', 'clear', 'quota', 'limits',
+      'models', 'interactive', 'chat', 'ollama', 'pull'
+    ]);
     this.providers = {
       openrouter: {
         name: 'OpenRouter (Free Models)',
         endpoint: '/v1/chat/completions',
         formatRequest: this.formatOpenAIRequest.bind(this),
         parseResponse: this.parseOpenAIResponse.bind(this),
+        parseStreamEvent: this.parseOpenAIStreamEvent.bind(this),
         supportsStreaming: true,
+        toolProtocol: 'openai',
         isFree: true,
         priority: 1  // Highest priority (DeepSeek through OpenRouter)
       },
@@ -33,7 +57,9 @@ class AICommand {
         endpoint: '/v1/chat/completions',
         formatRequest: this.formatOpenAIRequest.bind(this),
         parseResponse: this.parseOpenAIResponse.bind(this),
+        parseStreamEvent: this.parseOpenAIStreamEvent.bind(this),
         supportsStreaming: true,
+        toolProtocol: 'openai',
         isFree: true,
         priority: 2
       },
@@ -42,16 +68,22 @@ class AICommand {
         endpoint: '/v1/chat/completions',
         formatRequest: this.formatOpenAIRequest.bind(this),
         parseResponse: this.parseOpenAIResponse.bind(this),
+        parseStreamEvent: this.parseOpenAIStreamEvent.bind(this),
         supportsStreaming: true,
+        toolProtocol: 'openai',
         isFree: true,
         priority: 3
       },
       gemini: {
         name: 'Google Gemini (Free)', 
         endpoint: '/v1/models/gemini-1.5-flash:generateContent',
+        streamEndpoint: '/v1/models/gemini-1.5-flash:streamGenerateContent?alt=sse',
         formatRequest: this.formatGeminiRequest.bind(this),
         parseResponse: this.parseGeminiResponse.bind(this),
-        supportsStreaming: false,
+        parseStreamEvent: this.parseGeminiStreamEvent.bind(this),
+        supportsStreaming: true,
+        toolProtocol: 'gemini',
+        toolEndpoint: '/v1beta/models/gemini-1.5-flash:generateContent', // function calling is v1beta
         isFree: true,
         priority: 4  // Lowest priority
       },
@@ -60,7 +92,7 @@ class AICommand {
         endpoint: null, // Handled differently
         formatRequest: this.formatOllamaRequest.bind(this),
         parseResponse: this.parseOllamaResponse.bind(this),
-        supportsStreaming: false,
+        supportsStreaming: true,
         isFree: true,
         priority: 4
       }
@@ -71,11 +103,68 @@ class AICommand {
    * Execute AI command with comprehensive multi-provider support
    */
   async execute(prompt, options = {}) {
+    if (options.json && !this.jsonMode && !this.isManagementCommand(prompt, options)) {
+      return this.executeWithJsonOutput(prompt, options);
+    }
+
     try {
+      // Session management is local and never needs a provider
+      if (prompt?.toLowerCase() === 'sessions') {
+        await this.handleSessionsCommand(options.args || []);
+        return;
+      }
+
+      if (prompt?.toLowerCase() === 'template' || prompt?.toLowerCase() === 'templates') {
+        await this.handleTemplateCommand(options.args || [], options);
+        return;
+      }
+
+      // Local retrieval runs only against Ollama, never the proxy
+      if (prompt?.toLowerCase() === 'index') {
+        await this.handleIndexCommand(options.args || [], options);
+        return;
+      }
+
+      if (prompt?.toLowerCase() === 'ask') {
+        await this.askIndex((options.args || []).join(' '), options);
+        return;
+      }
+
+      if (prompt?.toLowerCase() === 'usage') {
+        await this.showUsage(options);
+        return;
+      }
+
+      // Compare talks to each model's provider directly
+      if (prompt?.toLowerCase() === 'compare') {
+        await this.compareModels((options.args || []).join(' '), options);
+        return;
+      }
+
+      // Attach files and piped input, showing what will be sent
+      if (!this.specialCommands.has(prompt?.toLowerCase())) {
+        prompt = await this.attachContext(prompt, options);
+      }
+
+      // --schema asks for JSON and validates the reply
+      if (options.schema && !options.responseSchema) {
+        options = { ...options, responseSchema: await jsonSchema.load(options.schema) };
+      }
+
+      // --tools needs native function calling, which the proxy does not offer
+      if (options.tools) {
+        if (options.schema) {
+          throw new Error('--tools cannot be combined with --schema');
+        }
+        options = { ...options, toolNames: aiTools.select(options.tools) };
+      }
+
       // Check if we should use proxy API or direct API keys
-      const useProxyAPI = process.env.MDSAAD_USE_PROXY !== 'false'; // Default to proxy
+      const useProxyAPI = process.env.MDSAAD_USE_PROXY !== 'false' && !options.tools; // Default to proxy
       
       if (useProxyAPI) {
+        await this.enforceBudget('proxy', options.model || 'default', prompt, options);
+
         // Use proxy API (no API keys needed for users)
         console.log(chalk.cyan('🤖 Connecting to MDSAAD AI Service...'));
         const proxyResult = await this.handleProxyRequest(prompt, options);
@@ -140,10 +229,583 @@ class AICommand {
       await this.executeAIRequest(preparedRequest);
 
     } catch (error) {
+      if (this.jsonMode) {
+        this.emitJson({ version: JSON_ENVELOPE_VERSION, error: { message: error.message } });
+        process.exitCode = 1;
+        return;
+      }
       this.handleError(error);
     }
   }
 
+  /**
+   * Sessions and template management print tables, not AI responses
+   */
+  isManagementCommand(prompt, options) {
+    const command = prompt?.toLowerCase();
+    if (command === 'sessions' || command === 'index') {
+      return true;
+    }
+    return (command === 'template' || command === 'templates') && (options.args || [])[0] !== 'run';
+  }
+
+  /**
+   * Run a request with --json: stdout carries exactly one JSON document,
+   * and everything meant for people (progress, previews, warnings) goes
+   * to stderr
+   */
+  async executeWithJsonOutput(prompt, options) {
+    const log = console.log;
+    const level = loggerService.getLevel();
+    console.log = (...args) => console.error(...args);
+    loggerService.setLevel('warn');
+    this.jsonMode = true;
+    this.jsonEmitted = false;
+
+    try {
+      await this.execute(prompt, { ...options, stream: false });
+    } finally {
+      console.log = log;
+      loggerService.setLevel(level);
+      this.jsonMode = false;
+    }
+
+    if (!this.jsonEmitted) {
+      this.emitJson({ version: JSON_ENVELOPE_VERSION, error: { message: 'No response was produced; see stderr for details' } });
+      process.exitCode = 1;
+    }
+  }
+
+  emitJson(payload) {
+    process.stdout.write(JSON.stringify(payload, null, 2) + '\n');
+    this.jsonEmitted = true;
+  }
+
+  /**
+   * The --json envelope for a completed response
+   */
+  buildEnvelope(aiResponse, { provider, model, session, latencyMs }) {
+    const envelope = {
+      version: JSON_ENVELOPE_VERSION,
+      content: aiResponse.content,
+      provider,
+      model: aiResponse.model && aiResponse.model !== 'unknown' ? aiResponse.model : model,
+      usage: aiSessions.normalizeUsage(aiResponse.usage),
+      latencyMs,
+      finishReason: aiResponse.finishReason || 'stop',
+      session: session || null,
+      context: aiResponse.contextStats
+        ? { included: aiResponse.contextStats.included, summarized: aiResponse.contextStats.summarized, dropped: aiResponse.contextStats.dropped }
+        : null
+    };
+
+    if (aiResponse.toolCalls) {
+      envelope.toolCalls = aiResponse.toolCalls;
+    }
+
+    if (aiResponse.sources) {
+      envelope.sources = aiResponse.sources;
+    }
+
+    if (aiResponse.schemaResult) {
+      envelope.data = aiResponse.data;
+      envelope.valid = aiResponse.schemaResult.valid;
+      envelope.attempts = aiResponse.schemaResult.attempts;
+      envelope.errors = aiResponse.schemaResult.errors;
+    }
+
+    return envelope;
+  }
+
+  /**
+   * Ask for JSON matching a schema, validate the reply and retry with the
+   * validation errors up to `maxRetries` times. `complete(prompt)` returns
+   * a parsed response; usage is summed over all attempts.
+   */
+  async completeWithSchema(complete, prompt, schema, maxRetries) {
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    let request = this.withSchemaInstructions(prompt, schema);
+
+    for (let attempt = 1; ; attempt++) {
+      const response = await complete(request);
+      const tokens = aiSessions.normalizeUsage(response.usage);
+      usage.promptTokens += tokens.promptTokens;
+      usage.completionTokens += tokens.completionTokens;
+      usage.totalTokens += tokens.totalTokens;
+
+      const parsed = this.parseJsonReply(response.content);
+      const errors = parsed.error ? [parsed.error] : jsonSchema.validate(schema, parsed.value);
+
+      if (errors.length === 0 || attempt > maxRetries) {
+        return {
+          ...response,
+          usage,
+          data: parsed.error ? null : parsed.value,
+          schemaResult: { valid: errors.length === 0, attempts: attempt, errors }
+        };
+      }
+
+      loggerService.verbose(`Schema validation failed (attempt ${attempt}): ${errors.join('; ')}`);
+      request = `${this.withSchemaInstructions(prompt, schema)}\n\n` +
+        `Your previous reply was:\n${response.content}\n\n` +
+        `It failed validation:\n${errors.map(error => `- ${error}`).join('\n')}\n\n` +
+        'Reply again with only the corrected JSON.';
+    }
+  }
+
+  withSchemaInstructions(prompt, schema) {
+    return `${prompt}\n\nRespond with only a JSON value (no prose, no code fences) that is valid against this JSON Schema:\n` +
+      JSON.stringify(schema, null, 2);
+  }
+
+  /**
+   * Parse a model reply as JSON, tolerating code fences and text around it
+   */
+  parseJsonReply(text) {
+    const trimmed = String(text || '').trim().replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```\s*$/, '');
+
+    try {
+      return { value: JSON.parse(trimmed) };
+    } catch (error) {
+      const start = trimmed.search(/[[{]/);
+      const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+      if (start !== -1 && end > start) {
+        try {
+          return { value: JSON.parse(trimmed.slice(start, end + 1)) };
+        } catch (innerError) {
+          // Fall through to the original parse error
+        }
+      }
+      return { error: `$: reply is not valid JSON (${error.message})` };
+    }
+  }
+
+  /**
+   * ai index <dir> [--name n] [--embed-model m] | ai index list | ai index rm <name>
+   */
+  async handleIndexCommand(args, options = {}) {
+    const [action, name] = args;
+
+    if (!action) {
+      throw new Error('Usage: mdsaad ai index <dir> [--name <name>] | mdsaad ai index list | mdsaad ai index rm <name>');
+    }
+    if (action === 'list') {
+      await this.listIndexes();
+      return;
+    }
+    if (action === 'rm' || action === 'remove') {
+      await vectorIndex.remove(name);
+      console.log(chalk.green(`🗑️  Index "${name}" removed`));
+      return;
+    }
+
+    await this.requireOllama();
+    const model = options.embedModel || ollamaService.getEmbeddingModel();
+    console.log(chalk.cyan(`📚 Indexing ${action} with ${model} (local Ollama)`));
+
+    const { index, reused } = await vectorIndex.build(action, {
+      name: options.name,
+      model,
+      onProgress: ({ file, done, total }) => {
+        if (process.stdout.isTTY) {
+          const line = `  ${done}/${total} ${file}`;
+          process.stdout.write(`\r${line.substring(0, 79).padEnd(79)}`);
+        }
+      }
+    });
+    if (process.stdout.isTTY) {
+      process.stdout.write(`\r${' '.repeat(79)}\r`);
+    }
+
+    const files = Object.keys(index.files).length;
+    console.log(chalk.green(`✅ Indexed ${files} file${files === 1 ? '' : 's'} into ${index.chunks.length} chunks as "${index.name}"`) +
+      chalk.gray(` (${reused} unchanged, ${index.skipped.length} skipped as binary or too large)`));
+    console.log(chalk.gray(`Ask with: mdsaad ai ask "your question" --index ${index.name}`));
+  }
+
+  async listIndexes() {
+    const indexes = await vectorIndex.list();
+
+    console.log(chalk.yellow('📚 Local Indexes'));
+    console.log();
+
+    if (indexes.length === 0) {
+      console.log(chalk.gray('No indexes yet. Build one with: mdsaad ai index <dir>'));
+      return;
+    }
+
+    outputFormatter.table(indexes.map(index => [
+      index.name,
+      index.root,
+      index.files,
+      index.chunks,
+      index.model,
+      new Date(index.createdAt).toLocaleString()
+    ]), {
+      head: ['Index', 'Directory', 'Files', 'Chunks', 'Embedding model', 'Built'],
+      colAligns: ['left', 'left', 'right', 'right', 'left', 'left'],
+      style: { head: [], border: [], compact: true }
+    });
+  }
+
+  /**
+   * Answer a question from the top-k chunks of a local index, with a
+   * local Ollama model, citing file and line ranges
+   */
+  async askIndex(question, options = {}) {
+    if (!question.trim()) {
+      throw new Error('Usage: mdsaad ai ask "<question>" --index <name>');
+    }
+    if (!options.index) {
+      throw new Error('ai ask needs --index <name> (see "mdsaad ai index list")');
+    }
+
+    const index = await vectorIndex.load(options.index);
+    await this.requireOllama();
+
+    const model = options.model || ollamaService.getDefaultModel();
+    if (!model) {
+      throw new Error('No local Ollama chat model installed. Run "mdsaad ai pull llama3.2" first');
+    }
+
+    const topK = Math.min(Math.max(parseInt(options.top, 10) || configService.get('ai.index.topK', 5), 1), 20);
+    const [vector] = await ollamaService.embed(question, { model: index.model });
+    const hits = vectorIndex.search(index, vector, topK);
+    const systemPrompt = vectorIndex.systemPrompt();
+    const maxTokens = parseInt(options.maxTokens) || 1000;
+
+    // Drop the weakest excerpts until the prompt fits the local context window
+    let prompt = vectorIndex.buildPrompt(question, hits);
+    while (hits.length > 1) {
+      try {
+        contextBudget.allocate({ provider: 'ollama', model, prompt, systemPrompt, maxTokens });
+        break;
+      } catch (error) {
+        hits.pop();
+        prompt = vectorIndex.buildPrompt(question, hits);
+      }
+    }
+
+    const sources = hits.map(hit => ({ citation: vectorIndex.citation(hit), score: Number(hit.score.toFixed(4)) }));
+
+    await this.executeAIRequest({
+      prompt,
+      provider: 'ollama',
+      options: {
+        model,
+        provider: 'ollama',
+        temperature: Number.isFinite(parseFloat(options.temperature)) ? parseFloat(options.temperature) : 0.2,
+        maxTokens,
+        stream: options.stream || false,
+        context: [],
+        systemPrompt,
+        contextWindow: contextBudget.getContextWindow('ollama', model),
+        json: Boolean(options.json),
+        sources
+      }
+    });
+
+    console.log(chalk.yellow(`📎 Sources from "${index.name}":`));
+    sources.forEach(source => {
+      console.log(chalk.gray(`  ${source.citation}`) + chalk.gray(` (similarity ${source.score.toFixed(2)})`));
+    });
+    console.log();
+  }
+
+  /**
+   * ai compare "prompt" --models a,b,c: run one prompt on several models
+   * at once and report each answer with latency, tokens and cost
+   */
+  async compareModels(prompt, options = {}) {
+    const models = String(options.models || '').split(',').map(model => model.trim()).filter(Boolean);
+    if (!prompt.trim() || models.length < 2) {
+      throw new Error('Usage: mdsaad ai compare "<prompt>" --models <model>,<model>[,...]');
+    }
+
+    prompt = await this.attachContext(prompt, options);
+    if (!ollamaService.initialized) {
+      await ollamaService.initialize();
+    }
+
+    const estimates = models.map(model => this.estimateRequest(this.resolveComparisonProvider(model), model, prompt, options));
+    await this.enforceBudget(null, null, prompt, options, {
+      tokens: estimates.reduce((sum, estimate) => sum + estimate.tokens, 0),
+      cost: estimates.reduce((sum, estimate) => sum + estimate.cost, 0)
+    });
+
+    console.log(chalk.cyan(`⚖️  Comparing ${models.length} models: ${models.join(', ')}`));
+    console.log();
+
+    const results = await Promise.all(models.map(model => this.runComparisonEntry(prompt, model, options)));
+
+    if (this.jsonMode) {
+      this.emitJson({ version: JSON_ENVELOPE_VERSION, prompt, results });
+    } else {
+      this.displayComparison(results, options.layout);
+    }
+
+    if (options.output) {
+      await fs.outputFile(options.output, this.buildComparisonReport(prompt, results));
+      console.log(chalk.green(`📝 Report saved to ${options.output}`));
+    }
+
+    if (results.every(result => result.error)) {
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * Provider for a compared model: a configured mapping, then an
+   * installed Ollama model, then OpenRouter, which routes most model names
+   */
+  resolveComparisonProvider(model) {
+    const mapped = this.getProviderForModel(model);
+    if (mapped) {
+      return mapped;
+    }
+    if (ollamaService.hasModel(model) || ollamaService.hasModel(`${model}:latest`)) {
+      return 'ollama';
+    }
+    return 'openrouter';
+  }
+
+  /**
+   * One model's answer, timing and cost; errors are kept in the result
+   */
+  async runComparisonEntry(prompt, model, options) {
+    const provider = this.resolveComparisonProvider(model);
+    const entry = { model, provider, content: null, latencyMs: null, usage: null, cost: null, error: null };
+
+    if (provider !== 'ollama' && !this.checkProviderApiKey(provider)) {
+      entry.error = `No API key configured for ${provider}`;
+      return entry;
+    }
+
+    const requestOptions = {
+      model,
+      provider,
+      temperature: Number.isFinite(parseFloat(options.temperature)) ? parseFloat(options.temperature) : 0.7,
+      maxTokens: parseInt(options.maxTokens) || 1000,
+      stream: false,
+      context: [],
+      systemPrompt: options.system || null,
+      contextWindow: contextBudget.getContextWindow(provider, model)
+    };
+    const startTime = Date.now();
+
+    try {
+      const response = await this.completeOnce(provider, prompt, requestOptions, this.providers[provider]);
+      entry.latencyMs = Date.now() - startTime;
+      entry.content = response.content;
+      entry.usage = aiSessions.normalizeUsage(response.usage);
+      entry.cost = aiPricing.cost(provider, model, entry.usage,
+        provider === 'ollama' ? model : this.getActualModelName(model, provider));
+      if (provider !== 'ollama') this.recordRequest(provider, true);
+      await this.recordUsage(provider, model, response.usage);
+    } catch (error) {
+      entry.latencyMs = Date.now() - startTime;
+      entry.error = error.message;
+      if (provider !== 'ollama') this.recordRequest(provider, false);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Answers side by side when the terminal is wide enough (or with
+   * --layout side), otherwise one after another, then a stats table
+   */
+  displayComparison(results, layout) {
+    const width = process.stdout.columns || 80;
+    const sideBySide = layout ? layout === 'side' : width >= results.length * 36;
+
+    if (sideBySide) {
+      const colWidth = Math.max(Math.floor((width - 1) / results.length) - 1, 20);
+      outputFormatter.table([results.map(result => result.error ? chalk.red(result.error) : result.content)], {
+        head: results.map(result => chalk.cyan(result.model)),
+        colWidths: results.map(() => colWidth),
+        wordWrap: true,
+        style: { head: [], border: [], compact: true }
+      });
+    } else {
+      results.forEach(result => {
+        console.log(chalk.cyan(`── ${result.model}`) + chalk.gray(` (${result.provider})`));
+        console.log(result.error ? chalk.red(`❌ ${result.error}`) : this.formatResponseContent(result.content));
+        console.log();
+      });
+    }
+
+    outputFormatter.table(results.map(result => [
+      result.model,
+      result.provider,
+      result.latencyMs === null ? '-' : `${result.latencyMs} ms`,
+      result.usage ? result.usage.promptTokens : '-',
+      result.usage ? result.usage.completionTokens : '-',
+      result.error ? chalk.red('failed') : aiPricing.formatCost(result.cost)
+    ]), {
+      head: ['Model', 'Provider', 'Latency', 'Prompt tok', 'Output tok', 'Cost'],
+      colAligns: ['left', 'left', 'right', 'right', 'right', 'right'],
+      style: { head: [], border: [], compact: true }
+    });
+  }
+
+  /**
+   * Markdown report of a comparison for --output
+   */
+  buildComparisonReport(prompt, results) {
+    const cell = value => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const lines = [
+      '# AI model comparison',
+      '',
+      `Generated ${new Date().toISOString()}`,
+      '',
+      '## Prompt',
+      '',
+      '```',
+      prompt,
+      '```',
+      '',
+      '## Summary',
+      '',
+      '| Model | Provider | Latency (ms) | Prompt tokens | Output tokens | Cost |',
+      '| --- | --- | ---: | ---: | ---: | ---: |',
+      ...results.map(result => `| ${cell(result.model)} | ${result.provider} | ${result.latencyMs ?? '-'} | ` +
+        `${result.usage ? result.usage.promptTokens : '-'} | ${result.usage ? result.usage.completionTokens : '-'} | ` +
+        `${result.error ? 'failed' : aiPricing.formatCost(result.cost)} |`),
+      ''
+    ];
+
+    results.forEach(result => {
+      lines.push(`## ${result.model}`, '');
+      lines.push(result.error ? `> Error: ${result.error}` : result.content, '');
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Upper bound for a request before it is sent: the prompt estimate
+   * plus the full --max-tokens output
+   */
+  estimateRequest(provider, model, prompt, options = {}) {
+    const maxTokens = parseInt(options.maxTokens) || 1000;
+    const promptTokens = contextBudget.estimateTokens(`${options.system || options.systemPrompt || ''}${prompt}`, provider, model);
+    const cost = aiPricing.cost(provider, model, { promptTokens, completionTokens: maxTokens },
+      provider && provider !== 'ollama' && provider !== 'proxy' ? this.getActualModelName(model, provider) : model);
+
+    return { tokens: promptTokens + maxTokens, cost: cost || 0 };
+  }
+
+  /**
+   * Warn near the ai.budget caps; when over a cap, warn or (with
+   * ai.budget.mode "block") refuse to send the request
+   */
+  async enforceBudget(provider, model, prompt, options = {}, estimate = null) {
+    const check = await aiUsage.checkBudget(estimate || this.estimateRequest(provider, model, prompt, options));
+
+    if (check.status === 'exceeded' && check.mode === 'block') {
+      throw new Error(`AI budget exceeded - request not sent. ${check.messages.join('; ')}. ` +
+        `Raise the caps under ai.budget in ${configService.getConfigPath()} or set ai.budget.mode to "warn"`);
+    }
+
+    check.messages.forEach(message => console.log(chalk.yellow(`⚠️  ${message}`)));
+  }
+
+  /**
+   * Add a completed request to the local usage ledger. A ledger failure
+   * never fails the request itself.
+   */
+  async recordUsage(provider, model, usage) {
+    try {
+      const tokens = aiSessions.normalizeUsage(usage || {});
+      const actualModel = provider === 'ollama' || provider === 'proxy' ? model : this.getActualModelName(model, provider);
+      await aiUsage.record({ provider, model, usage: tokens, cost: aiPricing.cost(provider, model, tokens, actualModel) || 0 });
+    } catch (error) {
+      loggerService.warn('Could not record AI usage:', error.message);
+    }
+  }
+
+  /**
+   * ai usage [--since YYYY-MM-DD] [--until YYYY-MM-DD]: tokens and cost
+   * per provider/model (default: this month) and budget status
+   */
+  async showUsage(options = {}) {
+    const today = aiUsage.dateKey();
+    const since = options.since ? aiUsage.parseDate(options.since) : `${today.slice(0, 8)}01`;
+    const until = options.until ? aiUsage.parseDate(options.until, '--until') : null;
+    const summary = await aiUsage.summarize({ since, until });
+    const budget = await aiUsage.checkBudget();
+
+    if (this.jsonMode) {
+      this.emitJson({ version: JSON_ENVELOPE_VERSION, ...summary, budget });
+      return;
+    }
+
+    console.log(chalk.yellow(`💰 AI usage since ${since}${until ? ` until ${until}` : ''}`));
+    console.log();
+
+    if (summary.models.length === 0) {
+      console.log(chalk.gray('No AI requests recorded in this period.'));
+    } else {
+      const row = (label, entry, provider = '') => [
+        label,
+        provider,
+        entry.requests,
+        entry.promptTokens,
+        entry.completionTokens,
+        aiPricing.formatCost(entry.cost)
+      ];
+
+      outputFormatter.table([
+        ...summary.models.map(entry => row(entry.model, entry, entry.provider)),
+        row(chalk.bold('Total'), summary.total)
+      ], {
+        head: ['Model', 'Provider', 'Requests', 'Prompt tok', 'Output tok', 'Est. cost'],
+        colAligns: ['left', 'left', 'right', 'right', 'right', 'right'],
+        style: { head: [], border: [], compact: true }
+      });
+      console.log(chalk.gray('Costs are list-price estimates; free tiers and local models may cost nothing.'));
+    }
+
+    const limits = aiUsage.getBudget();
+    if (limits.daily || limits.monthly || limits.dailyTokens || limits.monthlyTokens) {
+      console.log();
+      console.log(chalk.cyan(`Budget (${limits.mode} when exceeded):`));
+      if (budget.messages.length === 0) {
+        console.log(chalk.green('  ✅ Within all caps'));
+      }
+      budget.messages.forEach(message => {
+        console.log((budget.status === 'exceeded' ? chalk.red : chalk.yellow)(`  ${message}`));
+      });
+    }
+  }
+
+  async requireOllama() {
+    if (!ollamaService.initialized) {
+      await ollamaService.initialize();
+    }
+    if (!ollamaService.isAvailable()) {
+      throw new Error(`Ollama is not running at ${ollamaService.baseUrl}. Start it with "ollama serve"`);
+    }
+  }
+
+  /**
+   * Append --file attachments and piped stdin to the prompt
+   */
+  async attachContext(prompt, options) {
+    const files = options.file || [];
+    const stdin = options.stdin === true ? process.stdin : options.stdin || null;
+
+    if (files.length === 0 && !stdin) {
+      return prompt;
+    }
+
+    const attached = await attachments.collect({ files, stdin });
+    attachments.displayPreview(attached);
+
+    return attachments.buildPrompt(prompt, attached);
+  }
+
   /**
    * Handle special commands (help, history, clear, etc.)
    */
@@ -209,7 +871,11 @@ class AICommand {
       return null;
     }
 
-    const provider = this.selectProvider(options.model || options.provider);
+    // A named session supplies its own transcript, system prompt and model
+    const session = options.session ? await this.openSession(options) : null;
+    const model = options.model || session?.model;
+
+    const provider = this.selectProvider(model || options.provider);
     if (!provider) {
       console.log(chalk.red('❌ No available AI providers'));
       console.log(chalk.gray('Use "mdsaad config" to configure API keys'));
@@ -218,75 +884,320 @@ class AICommand {
 
     // Load conversation context if requested
     let context = [];
-    if (options.context && options.context !== 'none') {
+    if (session) {
+      context = session.messages.map(message => ({ prompt: message.prompt, response: message.response }));
+    } else if (options.context && options.context !== 'none') {
       context = await this.loadContext(options.context);
     }
 
+    const requestOptions = {
+      model: model || this.getDefaultModel(provider),
+      provider: provider, // Add provider to options
+      temperature: Number.isFinite(parseFloat(options.temperature)) ? parseFloat(options.temperature) : 0.7,
+      maxTokens: parseInt(options.maxTokens) || 1000,
+      stream: options.stream || false,
+      context: context,
+      systemPrompt: options.system || session?.systemPrompt || null,
+      json: Boolean(options.json),
+      responseSchema: options.responseSchema || null,
+      schemaRetries: this.getSchemaRetries(options),
+      toolNames: options.toolNames || null,
+      yes: Boolean(options.yes)
+    };
+
+    // Fit the history into the model's context window
+    const budget = contextBudget.allocate({
+      provider,
+      model: provider === 'ollama' ? requestOptions.model : this.getActualModelName(requestOptions.model, provider),
+      prompt: prompt.trim(),
+      systemPrompt: requestOptions.systemPrompt,
+      context,
+      maxTokens: requestOptions.maxTokens
+    });
+    requestOptions.context = budget.context;
+    requestOptions.contextStats = budget.stats;
+    requestOptions.contextWindow = budget.stats.window;
+
     return {
       prompt: prompt.trim(),
       provider,
-      options: {
-        model: options.model || this.getDefaultModel(provider),
-        provider: provider, // Add provider to options
-        temperature: parseFloat(options.temperature) || 0.7,
-        maxTokens: parseInt(options.maxTokens) || 1000,
-        stream: options.stream || false,
-        context: context,
-        systemPrompt: options.system || null
+      session: session ? session.name : null,
+      options: requestOptions
+    };
+  }
+
+  /**
+   * Bounded number of --schema retries (--schema-retries or ai.schemaRetries)
+   */
+  getSchemaRetries(options) {
+    const value = parseInt(options.schemaRetries ?? configService.get('ai.schemaRetries', 2), 10);
+    return Number.isFinite(value) ? Math.min(Math.max(value, 0), 5) : 2;
+  }
+
+  /**
+   * Open a named session, saving a new system prompt or model given on
+   * the command line as the session's own
+   */
+  async openSession(options) {
+    const session = await aiSessions.open(options.session);
+
+    if (options.system || options.model) {
+      session.systemPrompt = options.system || session.systemPrompt;
+      session.model = options.model || session.model;
+      await aiSessions.save(session);
+    }
+
+    return session;
+  }
+
+  /**
+   * Execute AI request with provider-specific formatting
+   */
+  async executeAIRequest(request) {
+    const { prompt, provider, options, session } = request;
+    const providerConfig = this.providers[provider];
+
+    if (!providerConfig) {
+      throw new Error(`Unsupported provider: ${provider}`);
+    }
+
+    await this.enforceBudget(provider, options.model, prompt, options);
+
+    console.log(chalk.cyan(`🤖 ${providerConfig.name}`) + chalk.gray(` (${options.model})`) +
+      (session ? chalk.magenta(` [session: ${session}]`) : ''));
+    console.log();
+
+    try {
+      let aiResponse;
+      const startTime = Date.now();
+      const streamed = options.stream && providerConfig.supportsStreaming &&
+        !options.json && !options.responseSchema && !options.toolNames;
+
+      if (options.toolNames) {
+        aiResponse = await this.runToolLoop(provider, prompt, options, providerConfig);
+      } else if (options.responseSchema) {
+        aiResponse = await this.completeWithSchema(
+          text => this.completeOnce(provider, text, options, providerConfig),
+          prompt, options.responseSchema, options.schemaRetries);
+      } else if (streamed) {
+        aiResponse = await this.streamAIRequest(provider, prompt, options, providerConfig);
+      } else {
+        aiResponse = await this.completeOnce(provider, prompt, options, providerConfig);
+      }
+
+      aiResponse.contextStats = options.contextStats;
+      if (options.sources) {
+        aiResponse.sources = options.sources;
+      }
+      const responseTime = Date.now() - startTime;
+
+      if (options.json) {
+        this.emitJson(this.buildEnvelope(aiResponse, { provider, model: options.model, session, latencyMs: responseTime }));
+      } else if (streamed) {
+        this.displayResponseMetadata(aiResponse, responseTime);
+      } else {
+        this.displayResponse(aiResponse, responseTime);
+      }
+
+      if (aiResponse.schemaResult && !aiResponse.schemaResult.valid) {
+        process.exitCode = 1;
+      }
+
+      await this.recordUsage(provider, options.model, aiResponse.usage);
+
+      // Add to conversation history
+      this.addToHistory(prompt, aiResponse.content, provider, options.model);
+      if (session) {
+        await aiSessions.append(session, { prompt, response: aiResponse.content, provider, model: options.model }, aiResponse.usage);
+      }
+
+      // Record successful request for rate limiting (except Ollama)
+      if (provider !== 'ollama') {
+        this.recordRequest(provider, true);
+      }
+
+    } catch (error) {
+      if (provider !== 'ollama') {
+        this.recordRequest(provider, false);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Agent loop for --tools: send the tool declarations, run the calls the
+   * model makes and feed the results back until it answers in text or
+   * ai.tools.maxSteps round trips are used up
+   */
+  async runToolLoop(provider, prompt, options, providerConfig) {
+    const protocol = providerConfig.toolProtocol;
+    if (!protocol) {
+      throw new Error(`${providerConfig.name} does not support --tools. ` +
+        'Pick a model from an OpenAI-compatible provider or Gemini with --model');
+    }
+
+    const request = protocol === 'gemini'
+      ? { ...this.formatGeminiRequest(prompt, options), tools: aiTools.toGeminiTools(options.toolNames) }
+      : { ...this.formatOpenAIRequest(prompt, { ...options, stream: false }), tools: aiTools.toOpenAITools(options.toolNames) };
+    const messages = protocol === 'gemini' ? request.contents : request.messages;
+    const endpoint = providerConfig.toolEndpoint || providerConfig.endpoint;
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    const toolCalls = [];
+    const maxSteps = aiTools.getMaxSteps();
+
+    for (let step = 1; step <= maxSteps; step++) {
+      const response = await this.postDirectApiRequest(provider, endpoint, request);
+      const turn = protocol === 'gemini' ? this.parseGeminiToolTurn(response) : this.parseOpenAIToolTurn(response);
+
+      const tokens = aiSessions.normalizeUsage(turn.usage);
+      usage.promptTokens += tokens.promptTokens;
+      usage.completionTokens += tokens.completionTokens;
+      usage.totalTokens += tokens.totalTokens;
+
+      if (turn.calls.length === 0) {
+        return { content: turn.content, model: turn.model, usage, finishReason: turn.finishReason, toolCalls };
+      }
+
+      messages.push(turn.message);
+      const results = [];
+      for (const call of turn.calls) {
+        const outcome = await aiTools.run(call.name, call.arguments, {
+          confirm: (name, args) => this.confirmToolUse(name, args, options)
+        });
+        this.displayToolCall(call, outcome);
+        toolCalls.push({ name: call.name, arguments: call.arguments, error: outcome.error || null });
+        results.push({ call, outcome });
+      }
+
+      if (protocol === 'gemini') {
+        messages.push({
+          role: 'function',
+          parts: results.map(({ call, outcome }) => ({ functionResponse: { name: call.name, response: outcome } }))
+        });
+      } else {
+        results.forEach(({ call, outcome }) => {
+          messages.push({ role: 'tool', tool_call_id: call.id, content: aiTools.serialize(outcome) });
+        });
+      }
+    }
+
+    throw new Error(`No final answer after ${maxSteps} tool steps (raise ai.tools.maxSteps to allow more)`);
+  }
+
+  /**
+   * One OpenAI-compatible response: text, or the tool calls to run
+   */
+  parseOpenAIToolTurn(response) {
+    const choice = response.data?.choices?.[0];
+    if (!choice) {
+      throw new Error('Invalid response from OpenAI-compatible API');
+    }
+
+    const message = choice.message || {};
+    const calls = (message.tool_calls || []).map(call => {
+      let args;
+      try {
+        args = JSON.parse(call.function?.arguments || '{}');
+      } catch (error) {
+        args = { _invalid: call.function?.arguments };
       }
+      return { id: call.id, name: call.function?.name, arguments: args };
+    });
+
+    return {
+      content: (message.content || '').trim(),
+      calls,
+      message: { role: 'assistant', content: message.content || null, tool_calls: message.tool_calls },
+      model: response.data.model || 'unknown',
+      usage: response.data.usage || {},
+      finishReason: choice.finish_reason || 'stop'
+    };
+  }
+
+  /**
+   * One Gemini response: text parts, or functionCall parts to run
+   */
+  parseGeminiToolTurn(response) {
+    const candidate = response.data?.candidates?.[0];
+    if (!candidate?.content?.parts) {
+      throw new Error('Invalid response from Gemini API');
+    }
+
+    const parts = candidate.content.parts;
+    return {
+      content: parts.map(part => part.text || '').join('').trim(),
+      calls: parts.filter(part => part.functionCall)
+        .map(part => ({ name: part.functionCall.name, arguments: part.functionCall.args || {} })),
+      message: { role: 'model', parts },
+      model: 'gemini-pro',
+      usage: response.data.usageMetadata || {},
+      finishReason: candidate.finishReason || 'stop'
     };
   }
 
   /**
-   * Execute AI request with provider-specific formatting
+   * Ask before a tool reads the filesystem. --yes approves up front;
+   * without a terminal to ask on, access is refused.
    */
-  async executeAIRequest(request) {
-    const { prompt, provider, options } = request;
-    const providerConfig = this.providers[provider];
-
-    if (!providerConfig) {
-      throw new Error(`Unsupported provider: ${provider}`);
+  async confirmToolUse(name, args, options = {}) {
+    if (options.yes) {
+      return true;
     }
 
-    console.log(chalk.cyan(`🤖 ${providerConfig.name}`) + chalk.gray(` (${options.model})`));
-    console.log();
+    const target = args.path || '.';
+    if (!process.stdin.isTTY) {
+      console.error(chalk.yellow(`⚠️  ${name} wants to read "${target}" - refused (no terminal to confirm; use --yes to allow)`));
+      return false;
+    }
 
-    try {
-      let response, aiResponse, responseTime;
-      const startTime = Date.now();
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    const answer = await new Promise(resolve => {
+      rl.question(chalk.yellow(`🔐 Allow ${name} to read "${target}"? (y/N) `), resolve);
+    });
+    rl.close();
 
-      if (provider === 'ollama') {
-        // Handle Ollama locally
-        const ollamaResponse = await ollamaService.generate(prompt, options);
-        aiResponse = providerConfig.parseResponse({ data: ollamaResponse });
-      } else {
-        // Handle all API providers directly with your API keys
-        response = await this.makeDirectApiRequest(provider, prompt, options, providerConfig);
-        aiResponse = providerConfig.parseResponse(response);
-      }
+    return /^y(es)?$/i.test(String(answer).trim());
+  }
 
-      responseTime = Date.now() - startTime;
-      
-      if (options.stream && providerConfig.supportsStreaming) {
-        await this.displayStreamingResponse(aiResponse, responseTime);
-      } else {
-        this.displayResponse(aiResponse, responseTime);
-      }
+  displayToolCall(call, outcome) {
+    const args = Object.entries(call.arguments || {}).map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(', ');
+    const summary = outcome.error
+      ? chalk.red(`✗ ${outcome.error}`)
+      : chalk.gray(`→ ${this.summarizeToolResult(outcome.result)}`);
 
-      // Add to conversation history
-      this.addToHistory(prompt, aiResponse.content, provider, options.model);
+    console.log(chalk.cyan(`🔧 ${call.name}(${args}) `) + summary);
+  }
 
-      // Record successful request for rate limiting (except Ollama)
-      if (provider !== 'ollama') {
-        this.recordRequest(provider, true);
-      }
+  summarizeToolResult(result) {
+    if (result && result.result !== undefined) {
+      return String(result.result);
+    }
+    if (result && result.temperature !== undefined) {
+      return `${result.temperature}° ${result.condition || ''}`.trim();
+    }
+    if (result && result.content !== undefined) {
+      return `lines ${result.startLine}-${result.endLine} of ${result.totalLines}`;
+    }
+    if (result && result.entries) {
+      return `${result.entries.length} entries`;
+    }
+    return 'done';
+  }
 
-    } catch (error) {
-      if (provider !== 'ollama') {
-        this.recordRequest(provider, false);
-      }
-      throw error;
+  /**
+   * One non-streaming completion, parsed into the common response shape
+   */
+  async completeOnce(provider, prompt, options, providerConfig) {
+    if (provider === 'ollama') {
+      // Handle Ollama locally
+      const ollamaResponse = await ollamaService.chat(
+        this.formatOllamaMessages(prompt, options), { ...options, stream: false });
+      return providerConfig.parseResponse({ data: ollamaResponse });
     }
+
+    // Handle all API providers directly with your API keys
+    const response = await this.makeDirectApiRequest(provider, prompt, { ...options, stream: false }, providerConfig);
+    return providerConfig.parseResponse(response);
   }
 
   /**
@@ -323,7 +1234,7 @@ class AICommand {
       parts: [{ text: prompt }]
     });
 
-    return {
+    const request = {
       contents,
       generationConfig: {
         temperature: options.temperature,
@@ -332,6 +1243,13 @@ class AICommand {
         topK: 10
       }
     };
+
+    // Gemini's JSON mode for --schema
+    if (options.responseSchema) {
+      request.generationConfig.responseMimeType = 'application/json';
+    }
+
+    return request;
   }
 
   /**
@@ -365,7 +1283,7 @@ class AICommand {
     // Convert model name to actual API value
     const actualModel = this.getActualModelName(options.model, options.provider);
 
-    return {
+    const request = {
       model: actualModel,
       messages,
       temperature: options.temperature,
@@ -373,6 +1291,18 @@ class AICommand {
       stream: options.stream,
       top_p: 0.9
     };
+
+    // Ask for token usage in the final streamed chunk
+    if (options.stream) {
+      request.stream_options = { include_usage: true };
+    }
+
+    // JSON mode only guarantees an object, so use it for object schemas
+    if (options.responseSchema?.type === 'object') {
+      request.response_format = { type: 'json_object' };
+    }
+
+    return request;
   }
 
   /**
@@ -437,7 +1367,31 @@ class AICommand {
    */
   async makeDirectApiRequest(provider, prompt, options, providerConfig) {
     const requestData = providerConfig.formatRequest(prompt, options);
+    return this.postDirectApiRequest(provider, providerConfig.endpoint, requestData);
+  }
+
+  /**
+   * POST a prepared request body to a provider endpoint
+   */
+  async postDirectApiRequest(provider, endpoint, requestData) {
+    const { url, headers } = this.getRequestTarget(provider, endpoint);
     
+    try {
+      const response = await axios.post(url, requestData, {
+        headers,
+        timeout: 60000
+      });
+
+      return response;
+    } catch (error) {
+      throw this.toProviderError(provider, error);
+    }
+  }
+
+  /**
+   * Resolve URL and headers for a provider endpoint
+   */
+  getRequestTarget(provider, endpoint) {
     // Get API configuration for each provider
     let apiKey, baseUrl, url, headers;
     
@@ -445,7 +1399,7 @@ class AICommand {
       case 'gemini':
         apiKey = mdsaadKeys.ai.gemini.apiKey;
         baseUrl = mdsaadKeys.ai.gemini.baseUrl;
-        url = `${baseUrl}${providerConfig.endpoint}?key=${apiKey}`;
+        url = `${baseUrl}${endpoint}${endpoint.includes('?') ? '&' : '?'}key=${apiKey}`;
         headers = {
           'Content-Type': 'application/json'
         };
@@ -454,7 +1408,7 @@ class AICommand {
       case 'deepseek':
         apiKey = mdsaadKeys.ai.deepseek.apiKey;
         baseUrl = mdsaadKeys.ai.deepseek.baseUrl;
-        url = `${baseUrl}${providerConfig.endpoint}`;
+        url = `${baseUrl}${endpoint}`;
         headers = {
           'Authorization': `Bearer ${apiKey}`,
           'Content-Type': 'application/json'
@@ -464,7 +1418,7 @@ class AICommand {
       case 'groq':
         apiKey = mdsaadKeys.ai.groq.apiKey;
         baseUrl = mdsaadKeys.ai.groq.baseUrl;
-        url = `${baseUrl}${providerConfig.endpoint}`;
+        url = `${baseUrl}${endpoint}`;
         headers = {
           'Authorization': `Bearer ${apiKey}`,
           'Content-Type': 'application/json'
@@ -474,7 +1428,7 @@ class AICommand {
       case 'openrouter':
         apiKey = mdsaadKeys.ai.openrouter.apiKey;
         baseUrl = mdsaadKeys.ai.openrouter.baseUrl;
-        url = `${baseUrl}${providerConfig.endpoint}`;
+        url = `${baseUrl}${endpoint}`;
         headers = {
           'Authorization': `Bearer ${apiKey}`,
           'Content-Type': 'application/json',
@@ -486,31 +1440,107 @@ class AICommand {
       default:
         throw new Error(`Unsupported provider: ${provider}`);
     }
-    
+
+    return {
+      url,
+      headers: {
+        ...headers,
+        'User-Agent': 'MDSAAD CLI v1.0.0'
+      }
+    };
+  }
+
+  /**
+   * Map an HTTP failure to a user-facing provider error
+   */
+  toProviderError(provider, error) {
+    // Handle API-specific errors
+    if (error.response?.status === 401) {
+      return new Error(`${provider} API authentication failed - check your API key in mdsaad-keys.js`);
+    } else if (error.response?.status === 429) {
+      return new Error(`${provider} API rate limit exceeded - trying next provider`);
+    } else if (error.response?.status === 402) {
+      return new Error(`${provider} API requires payment - trying next provider`);
+    } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return new Error(`${provider} API temporarily unavailable - trying next provider`);
+    } else {
+      return new Error(`${provider} API error: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Stream a completion from an API provider over Server-Sent Events.
+   * Each text delta is passed to `onText`; aborting `signal` stops the
+   * stream and returns what arrived so far.
+   */
+  async streamDirectApiRequest(provider, prompt, options, providerConfig, signal, onText) {
+    const requestData = providerConfig.formatRequest(prompt, { ...options, stream: true });
+    const { url, headers } = this.getRequestTarget(provider, providerConfig.streamEndpoint || providerConfig.endpoint);
+    const result = {
+      content: '',
+      model: provider === 'gemini' ? 'gemini-pro' : 'unknown',
+      usage: {},
+      finishReason: 'stop'
+    };
+
     try {
       const response = await axios.post(url, requestData, {
-        headers: {
-          ...headers,
-          'User-Agent': 'MDSAAD CLI v1.0.0'
-        },
+        headers: { ...headers, 'Accept': 'text/event-stream' },
+        responseType: 'stream',
+        signal,
         timeout: 60000
       });
 
-      return response;
+      for await (const event of streamParser.sseJson(response.data)) {
+        if (event.error) {
+          throw new Error(event.error.message || String(event.error));
+        }
+
+        const delta = providerConfig.parseStreamEvent(event);
+        if (delta.content) {
+          result.content += delta.content;
+          onText(delta.content);
+        }
+        if (delta.model) result.model = delta.model;
+        if (delta.usage) result.usage = delta.usage;
+        if (delta.finishReason) result.finishReason = delta.finishReason;
+      }
     } catch (error) {
-      // Handle API-specific errors
-      if (error.response?.status === 401) {
-        throw new Error(`${provider} API authentication failed - check your API key in mdsaad-keys.js`);
-      } else if (error.response?.status === 429) {
-        throw new Error(`${provider} API rate limit exceeded - trying next provider`);
-      } else if (error.response?.status === 402) {
-        throw new Error(`${provider} API requires payment - trying next provider`);
-      } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-        throw new Error(`${provider} API temporarily unavailable - trying next provider`);
-      } else {
-        throw new Error(`${provider} API error: ${error.response?.data?.error?.message || error.message}`);
+      if (!streamParser.isAbort(error, signal)) {
+        throw error.response ? this.toProviderError(provider, error) : error;
       }
+      result.finishReason = 'cancelled';
     }
+
+    return result;
+  }
+
+  /**
+   * Parse one streamed OpenAI-compatible chunk
+   */
+  parseOpenAIStreamEvent(event) {
+    const choice = event.choices?.[0];
+
+    return {
+      content: choice?.delta?.content || choice?.text || '',
+      model: event.model,
+      usage: event.usage || null,
+      finishReason: choice?.finish_reason || null
+    };
+  }
+
+  /**
+   * Parse one streamed Gemini chunk
+   */
+  parseGeminiStreamEvent(event) {
+    const candidate = event.candidates?.[0];
+    const parts = candidate?.content?.parts || [];
+
+    return {
+      content: parts.map(part => part.text || '').join(''),
+      usage: event.usageMetadata || null,
+      finishReason: candidate?.finishReason || null
+    };
   }
 
   /**
@@ -526,6 +1556,13 @@ class AICommand {
     };
   }
 
+  /**
+   * Build Ollama chat messages so local models see the system prompt and history
+   */
+  formatOllamaMessages(prompt, options) {
+    return this.formatOpenAIRequest(prompt, { ...options, provider: 'ollama' }).messages;
+  }
+
   /**
    * Parse Ollama response
    */
@@ -555,8 +1592,10 @@ class AICommand {
     console.log(chalk.white('💬 Response:'));
     console.log();
     
-    // Format and display the response content
-    const formattedContent = this.formatResponseContent(aiResponse.content);
+    // Format and display the response content (validated JSON as-is)
+    const formattedContent = aiResponse.schemaResult && aiResponse.data !== null
+      ? JSON.stringify(aiResponse.data, null, 2)
+      : this.formatResponseContent(aiResponse.content);
     console.log(formattedContent);
     console.log();
 
@@ -565,32 +1604,47 @@ class AICommand {
   }
 
   /**
-   * Display streaming response (simulated for non-streaming providers)
+   * Stream a response to stdout as it is generated. Ctrl+C stops the
+   * stream; the partial text is kept and returned like a full response.
    */
-  async displayStreamingResponse(aiResponse, responseTime) {
+  async streamAIRequest(provider, prompt, options, providerConfig) {
+    const controller = new AbortController();
+    const onInterrupt = () => controller.abort();
+    const write = text => process.stdout.write(text);
+
     console.log(chalk.white('💬 Response:'));
     console.log();
 
-    // Simulate streaming by displaying content word by word
-    const words = aiResponse.content.split(' ');
-    let displayedContent = '';
+    process.on('SIGINT', onInterrupt);
+    this.activeStream = controller;
 
-    for (let i = 0; i < words.length; i++) {
-      const word = words[i] + (i < words.length - 1 ? ' ' : '');
-      displayedContent += word;
-      
-      // Clear and redraw
-      process.stdout.write('\r' + ' '.repeat(80) + '\r');
-      process.stdout.write(this.formatResponseContent(displayedContent));
-      
-      // Add slight delay for streaming effect
-      await new Promise(resolve => setTimeout(resolve, 50));
+    let aiResponse;
+    try {
+      if (provider === 'ollama') {
+        const ollamaResponse = await ollamaService.chat(this.formatOllamaMessages(prompt, options), {
+          ...options,
+          stream: true,
+          signal: controller.signal,
+          onToken: write
+        });
+        aiResponse = providerConfig.parseResponse({ data: ollamaResponse });
+        if (ollamaResponse.cancelled) aiResponse.finishReason = 'cancelled';
+      } else {
+        aiResponse = await this.streamDirectApiRequest(provider, prompt, options, providerConfig, controller.signal, write);
+      }
+    } finally {
+      process.removeListener('SIGINT', onInterrupt);
+      this.activeStream = null;
     }
 
     console.log();
     console.log();
 
-    this.displayResponseMetadata(aiResponse, responseTime);
+    if (aiResponse.finishReason === 'cancelled') {
+      console.log(chalk.yellow('⏹️  Stream cancelled - partial response kept'));
+    }
+
+    return aiResponse;
   }
 
   /**
@@ -610,6 +1664,19 @@ class AICommand {
       .replace(/^# (.*$)/gm, chalk.magenta.bold('# $1'));
   }
 
+  /**
+   * Show how much conversation history went into the request
+   */
+  displayContextStats(stats) {
+    if (stats && stats.total > 0) {
+      const { included, summarized, dropped } = stats;
+      let line = `Context: ${included} turn${included === 1 ? '' : 's'} included`;
+      if (summarized) line += `, ${summarized} summarized`;
+      if (dropped) line += `, ${dropped} dropped`;
+      console.log(chalk.gray(`${line} (~${stats.estimatedTokens}/${stats.window} tokens)`));
+    }
+  }
+
   /**
    * Display response metadata
    */
@@ -628,6 +1695,24 @@ class AICommand {
       }
     }
     
+    this.displayContextStats(aiResponse.contextStats);
+    
+    if (aiResponse.toolCalls?.length > 0) {
+      console.log(chalk.gray(`Tools: ${aiResponse.toolCalls.length} call${aiResponse.toolCalls.length === 1 ? '' : 's'} ` +
+        `(${[...new Set(aiResponse.toolCalls.map(call => call.name))].join(', ')})`));
+    }
+
+    if (aiResponse.schemaResult) {
+      const { valid, attempts, errors } = aiResponse.schemaResult;
+      const tries = `${attempts} attempt${attempts === 1 ? '' : 's'}`;
+      console.log(valid
+        ? chalk.gray(`Schema: valid after ${tries}`)
+        : chalk.red(`Schema: invalid after ${tries}`));
+      if (!valid) {
+        errors.forEach(error => console.log(chalk.red(`  ${error}`)));
+      }
+    }
+
     console.log(chalk.gray(`Finish Reason: ${aiResponse.finishReason}`));
     console.log();
   }
@@ -833,6 +1918,245 @@ class AICommand {
     cacheService.set('ai_conversation_history', this.conversationHistory, 'ai', 86400000);
   }
 
+  /**
+   * Handle "ai sessions list|show|rm|rename"
+   */
+  async handleSessionsCommand(args) {
+    const [action = 'list', name, newName] = args;
+
+    try {
+      switch (action) {
+        case 'list':
+          await this.listSessions();
+          break;
+
+        case 'show':
+          await this.showSession(this.requireSessionName(name, 'show <name>'));
+          break;
+
+        case 'rm':
+        case 'remove':
+        case 'delete':
+          await aiSessions.remove(this.requireSessionName(name, 'rm <name>'));
+          console.log(chalk.green(`🗑️  Session "${name}" removed`));
+          break;
+
+        case 'rename':
+          this.requireSessionName(name, 'rename <old> <new>');
+          await aiSessions.rename(name, this.requireSessionName(newName, 'rename <old> <new>'));
+          console.log(chalk.green(`✏️  Session "${name}" renamed to "${newName}"`));
+          break;
+
+        default:
+          console.log(chalk.red(`❌ Unknown sessions action: ${action}`));
+          console.log(chalk.gray('Usage: mdsaad ai sessions list|show|rm|rename'));
+      }
+    } catch (error) {
+      console.log(chalk.red('❌ ' + error.message));
+    }
+  }
+
+  requireSessionName(name, usage) {
+    if (!name) {
+      throw new Error(`Missing session name. Usage: mdsaad ai sessions ${usage}`);
+    }
+    return name;
+  }
+
+  /**
+   * List saved sessions with their size, model and token tally
+   */
+  async listSessions() {
+    const sessions = await aiSessions.list();
+
+    console.log(chalk.yellow('🗂️  AI Sessions'));
+    console.log();
+
+    if (sessions.length === 0) {
+      console.log(chalk.gray('No sessions yet. Start one with: mdsaad ai "your prompt" --session <name>'));
+      return;
+    }
+
+    outputFormatter.table(sessions.map(session => [
+      session.name,
+      session.messages.length,
+      session.model || chalk.gray('default'),
+      session.usage.totalTokens,
+      new Date(session.updatedAt).toLocaleString()
+    ]), {
+      head: ['Session', 'Messages', 'Model', 'Tokens', 'Last used'],
+      colAligns: ['left', 'right', 'left', 'right', 'left'],
+      style: { head: [], border: [], compact: true }
+    });
+  }
+
+  /**
+   * Show a session's settings, token tally and full transcript
+   */
+  async showSession(name) {
+    const session = await aiSessions.load(name);
+    if (!session) {
+      throw new Error(`Session "${name}" not found`);
+    }
+
+    console.log(chalk.yellow(`🗂️  Session: ${session.name}`));
+    console.log(chalk.gray(`Created: ${new Date(session.createdAt).toLocaleString()}`));
+    console.log(chalk.gray(`Model: ${session.model || 'default'}${session.provider ? ` (${session.provider})` : ''}`));
+    console.log(chalk.gray(`System prompt: ${session.systemPrompt || 'none'}`));
+    console.log(chalk.gray(`Tokens: ${session.usage.promptTokens} prompt + ${session.usage.completionTokens} completion = ${session.usage.totalTokens} total over ${session.usage.requests} requests`));
+    console.log();
+
+    session.messages.forEach((message, index) => {
+      const time = new Date(message.timestamp).toLocaleString();
+      console.log(chalk.gray(`${index + 1}. `) + chalk.cyan(`[${time}]`) + chalk.white(` ${message.provider || ''}`));
+      console.log(chalk.gray('   Q: ') + message.prompt);
+      console.log(chalk.gray('   A: ') + message.response);
+      console.log();
+    });
+  }
+
+  /**
+   * Handle "ai template add|list|show|rm|run"
+   */
+  async handleTemplateCommand(args, options) {
+    const [action = 'list', name, ...rest] = args;
+
+    try {
+      switch (action) {
+        case 'list':
+          await this.listTemplates();
+          break;
+
+        case 'add': {
+          const template = await promptTemplates.save({
+            name: this.requireTemplateName(name, 'add <name> --system "..."'),
+            description: options.description,
+            system: options.system,
+            prompt: options.prompt,
+            model: options.model,
+            temperature: options.temperature,
+            defaults: promptTemplates.parseVariables(options.var)
+          });
+          const variables = promptTemplates.variablesOf(template);
+          console.log(chalk.green(`✅ Template "${template.name}" saved`) +
+            (variables.length > 0 ? chalk.gray(` (variables: ${variables.join(', ')})`) : ''));
+          break;
+        }
+
+        case 'show':
+          await this.showTemplate(this.requireTemplateName(name, 'show <name>'));
+          break;
+
+        case 'rm':
+        case 'remove':
+        case 'delete':
+          await promptTemplates.remove(this.requireTemplateName(name, 'rm <name>'));
+          console.log(chalk.green(`🗑️  Template "${name}" removed`));
+          break;
+
+        case 'run':
+          await this.runTemplate(this.requireTemplateName(name, 'run <name> [input] --var key=value'), rest, options);
+          break;
+
+        default:
+          console.log(chalk.red(`❌ Unknown template action: ${action}`));
+          console.log(chalk.gray('Usage: mdsaad ai template add|list|show|rm|run'));
+      }
+    } catch (error) {
+      console.log(chalk.red('❌ ' + error.message));
+    }
+  }
+
+  requireTemplateName(name, usage) {
+    if (!name) {
+      throw new Error(`Missing template name. Usage: mdsaad ai template ${usage}`);
+    }
+    return name;
+  }
+
+  /**
+   * Render a template and send it through the normal request path. The
+   * template's system prompt, model and temperature apply unless given on
+   * the command line. Without input arguments, attachments and piped
+   * input become {{input}}.
+   */
+  async runTemplate(name, inputArgs, options) {
+    const template = await promptTemplates.get(name);
+    if (!template) {
+      throw new Error(`Template "${name}" not found. See "mdsaad ai template list"`);
+    }
+
+    const variables = promptTemplates.parseVariables(options.var);
+    const runOptions = { ...options, args: [] };
+
+    if (variables.input === undefined) {
+      if (inputArgs.length > 0) {
+        variables.input = inputArgs.join(' ');
+      } else if ((options.file && options.file.length > 0) || options.stdin) {
+        variables.input = (await this.attachContext('', options)).trim();
+        runOptions.file = [];
+        runOptions.stdin = false;
+      }
+    }
+
+    const rendered = promptTemplates.render(template, variables);
+
+    runOptions.system = options.system || rendered.system;
+    runOptions.model = options.model || rendered.model || undefined;
+    runOptions.temperature = options.temperature ?? (rendered.temperature ?? undefined);
+
+    console.log(chalk.gray(`📋 Template: ${template.name}`));
+    await this.execute(rendered.prompt, runOptions);
+  }
+
+  /**
+   * List saved and built-in templates
+   */
+  async listTemplates() {
+    const templates = await promptTemplates.list();
+
+    console.log(chalk.yellow('📋 Prompt Templates'));
+    console.log();
+
+    outputFormatter.table(templates.map(template => [
+      template.name + (template.builtIn ? chalk.gray(' (built-in)') : ''),
+      promptTemplates.variablesOf(template).join(', ') || chalk.gray('none'),
+      template.model || chalk.gray('default'),
+      template.temperature ?? chalk.gray('default'),
+      template.description || ''
+    ]), {
+      head: ['Template', 'Variables', 'Model', 'Temp', 'Description'],
+      style: { head: [], border: [], compact: true }
+    });
+
+    console.log();
+    console.log(chalk.gray('Run one with: mdsaad ai template run <name> "input" --var key=value'));
+  }
+
+  /**
+   * Show a template's text and settings
+   */
+  async showTemplate(name) {
+    const template = await promptTemplates.get(name);
+    if (!template) {
+      throw new Error(`Template "${name}" not found`);
+    }
+
+    console.log(chalk.yellow(`📋 Template: ${template.name}`) + (template.builtIn ? chalk.gray(' (built-in)') : ''));
+    if (template.description) console.log(chalk.gray(template.description));
+    console.log(chalk.gray(`Model: ${template.model || 'default'}, temperature: ${template.temperature ?? 'default'}`));
+    const defaults = Object.entries(template.defaults || {});
+    if (defaults.length > 0) {
+      console.log(chalk.gray(`Defaults: ${defaults.map(([key, value]) => `${key}=${value}`).join(', ')}`));
+    }
+    console.log();
+    console.log(chalk.cyan('System:'));
+    console.log(template.system || chalk.gray('(none)'));
+    console.log();
+    console.log(chalk.cyan('Prompt:'));
+    console.log(template.prompt || chalk.gray('{{input}}'));
+  }
+
   /**
    * Load conversation context
    */
@@ -880,6 +2204,13 @@ class AICommand {
     console.log('  -c, --context <type>       →  Include conversation context');
     console.log('  -s, --stream              →  Stream response in real-time');
     console.log('  --system <prompt>         →  Set system prompt');
+    console.log('  --session <name>          →  Continue a named, saved conversation');
+    console.log('  -f, --file <path>         →  Attach a text file (repeatable)');
+    console.log('  --no-stdin                →  Ignore piped input');
+    console.log('  --json                    →  Print one JSON document to stdout');
+    console.log('  --schema <file>           →  Ask for JSON valid against a JSON Schema');
+    console.log('  --tools [names]           →  Let the model call local tools');
+    console.log('  --index <name>            →  Index to answer from with "ai ask"');
     console.log();
     
     console.log(chalk.cyan('Special Commands:'));
@@ -889,6 +2220,17 @@ class AICommand {
     console.log('  mdsaad ai quota           →  Show rate limit status');
     console.log('  mdsaad ai clear           →  Clear conversation history');
     console.log('  mdsaad ai interactive     →  Start interactive chat mode');
+    console.log('  mdsaad ai sessions list   →  List saved sessions');
+    console.log('  mdsaad ai sessions show|rm <name>     →  Show or delete a session');
+    console.log('  mdsaad ai sessions rename <old> <new> →  Rename a session');
+    console.log('  mdsaad ai template list   →  List prompt templates');
+    console.log('  mdsaad ai template add <name> --system "..." [--prompt "..."] [--model m] [-t 0.2]');
+    console.log('  mdsaad ai template run <name> [input] --var key=value  →  Use a template');
+    console.log('  mdsaad ai index <dir> [--name n]      →  Embed a directory with local Ollama');
+    console.log('  mdsaad ai index list|rm <name>        →  List or delete local indexes');
+    console.log('  mdsaad ai ask "question" --index <name>  →  Answer from an index with citations');
+    console.log('  mdsaad ai compare "prompt" --models a,b [--output report.md]  →  Compare models');
+    console.log('  mdsaad ai usage [--since YYYY-MM-DD]  →  Token usage, cost and budget status');
     console.log('  mdsaad ai ollama          →  Show Ollama status and models');
     console.log('  mdsaad ai pull --model <name>  →  Install Ollama model');
     console.log();
@@ -897,6 +2239,11 @@ class AICommand {
     console.log('  mdsaad ai "What is machine learning?" --provider gemini');
     console.log('  mdsaad ai "Write a poem" --temperature 0.9 --stream');
     console.log('  mdsaad ai "Debug this code" --context recent');
+    console.log('  mdsaad ai "Review this API design" --session design-review');
+    console.log('  mdsaad ai "review this" --file src/app.js --file notes.md');
+    console.log('  git diff | mdsaad ai "summarize"');
+    console.log('  git diff --staged | mdsaad ai template run commit');
+    console.log('  mdsaad ai template run translate "Good morning" --var to=French');
     console.log('  mdsaad ai "Act as a helpful assistant" --system');
   }
 
@@ -1110,6 +2457,15 @@ class AICommand {
       rl.prompt();
     });
 
+    // Readline captures Ctrl+C: stop the current stream, or end the session
+    rl.on('SIGINT', () => {
+      if (this.activeStream) {
+        this.activeStream.abort();
+      } else {
+        rl.close();
+      }
+    });
+
     rl.on('close', () => {
       console.log(chalk.gray('Interactive session ended'));
     });
@@ -1125,6 +2481,10 @@ class AICommand {
       console.log(chalk.yellow('💡 Try again in a few minutes or use a different provider'));
     } else if (error.message.includes('API key')) {
       console.log(chalk.yellow('💡 Configure your API key: mdsaad config set apiProviders.<provider>.apiKey "your-key"'));
+    } else if (error.message.includes('Cannot attach') || error.message.includes('Attachments total')) {
+      console.log(chalk.yellow('💡 Attach text files only; raise ai.attachments.maxFileSize / maxTotalSize (bytes) for larger ones'));
+    } else if (error.message.includes('Prompt is too long')) {
+      console.log(chalk.yellow('💡 Shorten the prompt or system prompt, or lower --max-tokens'));
     } else if (error.message.includes('No available')) {
       console.log(chalk.yellow('💡 Configure at least one AI provider: mdsaad api providers'));
     }
@@ -1197,28 +2557,98 @@ class AICommand {
    * Handle AI requests through proxy API
    */
   async handleProxyRequest(prompt, options) {
+    // A session's transcript and system prompt travel with the request,
+    // fitted into the context window as on the direct path. Session and
+    // budget errors are the user's to fix, so they are not retried directly.
+    const session = options.session ? await this.openSession(options) : null;
+    let context = [];
+    if (session) {
+      context = session.messages.map(message => ({ prompt: message.prompt, response: message.response }));
+    } else if (options.context && options.context !== 'none') {
+      context = await this.loadContext(options.context);
+    }
+    const systemPrompt = options.system || session?.systemPrompt || null;
+    const budget = contextBudget.allocate({
+      provider: 'proxy',
+      model: options.model || 'auto',
+      prompt: prompt.trim(),
+      systemPrompt,
+      context,
+      maxTokens: parseInt(options.maxTokens) || 1000
+    });
+    const requestOptions = { ...options, systemPrompt, context: budget.context };
+
+    // Initialize proxy service if needed
+    if (!this.proxyAPI) {
+      const ProxyAPIService = require('../services/proxy-api');
+      this.proxyAPI = new ProxyAPIService();
+    }
+
     try {
-      // Initialize proxy service if needed
-      if (!this.proxyAPI) {
-        const ProxyAPIService = require('../services/proxy-api');
-        this.proxyAPI = new ProxyAPIService();
-      }
+      // Make request through proxy. Only failures to get a reply from it
+      // fall back to direct access.
+      const startTime = Date.now();
+      const complete = async text => {
+        let reply;
+        try {
+          reply = await this.proxyAPI.aiRequest(text, requestOptions);
+        } catch (error) {
+          error.proxyUnavailable = true;
+          throw error;
+        }
+        if (!reply.success) {
+          const error = new Error(reply.error);
+          error.proxyResult = reply;
+          throw error;
+        }
+        return { content: reply.data, model: reply.model, usage: reply.usage || {}, finishReason: 'stop' };
+      };
 
-      // Make request through proxy
-      const result = await this.proxyAPI.aiRequest(prompt, options);
+      let result;
+      let aiResponse;
+      try {
+        aiResponse = options.responseSchema
+          ? await this.completeWithSchema(complete, prompt, options.responseSchema, this.getSchemaRetries(options))
+          : await complete(prompt);
+        aiResponse.contextStats = budget.stats;
+        result = { success: true, data: aiResponse.content, model: aiResponse.model, usage: aiResponse.usage };
+      } catch (error) {
+        if (!error.proxyResult) throw error;
+        result = error.proxyResult;
+      }
       
       if (result.success) {
-        // Display the AI response
-        console.log(chalk.green('\n🤖 AI Response:'));
-        console.log(chalk.white(result.data));
-        
-        if (options.verbose || options.debug) {
-          console.log(chalk.gray(`\n📊 Model: ${result.model}`));
-          if (result.usage) {
-            console.log(chalk.gray(`💰 Tokens used: ${result.usage.total_tokens || 'N/A'}`));
+        if (this.jsonMode) {
+          this.emitJson(this.buildEnvelope(aiResponse, {
+            provider: 'proxy', model: result.model, session: options.session, latencyMs: Date.now() - startTime
+          }));
+        } else {
+          // Display the AI response
+          console.log(chalk.green('\n🤖 AI Response:'));
+          console.log(chalk.white(aiResponse.schemaResult && aiResponse.data !== null
+            ? JSON.stringify(aiResponse.data, null, 2)
+            : result.data));
+          this.displayContextStats(aiResponse.contextStats);
+          
+          if (options.verbose || options.debug) {
+            console.log(chalk.gray(`\n📊 Model: ${result.model}`));
+            if (result.usage) {
+              console.log(chalk.gray(`💰 Tokens used: ${result.usage.total_tokens || result.usage.totalTokens || 'N/A'}`));
+            }
+          }
+
+          if (aiResponse.schemaResult) {
+            const { valid, attempts, errors } = aiResponse.schemaResult;
+            console.log(valid
+              ? chalk.gray(`Schema: valid after ${attempts} attempt${attempts === 1 ? '' : 's'}`)
+              : chalk.red(`Schema: invalid after ${attempts} attempts\n  ${errors.join('\n  ')}`));
           }
         }
 
+        if (aiResponse.schemaResult && !aiResponse.schemaResult.valid) {
+          process.exitCode = 1;
+        }
+
         // Add to conversation history
         this.conversationHistory.push({
           role: 'user',
@@ -1233,6 +2663,11 @@ class AICommand {
           timestamp: new Date().toISOString()
         });
 
+        if (options.session) {
+          await aiSessions.append(options.session, { prompt, response: result.data, provider: 'proxy', model: result.model }, result.usage);
+        }
+        await this.recordUsage('proxy', result.model || 'default', result.usage);
+
         return true; // Success
       } else {
         // Handle proxy API errors
@@ -1250,9 +2685,17 @@ class AICommand {
         } else {
           console.log(chalk.red('❌ ' + result.error));
         }
+
+        if (this.jsonMode) {
+          this.emitJson({ version: JSON_ENVELOPE_VERSION, error: { message: result.error, code: result.code || null } });
+          process.exitCode = 1;
+        }
         return true; // Don't fallback for other errors
       }
     } catch (error) {
+      if (!error.proxyUnavailable) {
+        throw error;
+      }
       console.log(chalk.yellow('⚠️ Proxy service connection failed, trying direct API access...'));
       loggerService.debug('Proxy API error:', error);
       return false; // Allow fallback
@@ -6,8 +6,14 @@
 
 const { create, all } = require('mathjs');
 const chalk = require('chalk');
+const readline = require('readline');
+const fs = require('fs-extra');
 const i18nService = require('../services/i18n');
 const configService = require('../services/config');
+const outputFormatter = require('../services/output-formatter');
+const programmerCalc = require('../services/programmer-calc');
+const dateCalc = require('../services/date-calc');
+const unitRegistry = require('../services/unit-registry');
 
 class CalculateCommand {
   constructor() {
@@ -23,9 +29,23 @@ class CalculateCommand {
     // Add custom functions
     this.addCustomFunctions();
     
+    // Date/duration type and functions
+    dateCalc.install(this.math);
+    
+    // Units shared with the convert command
+    unitRegistry.install(this.math);
+    
     // History for calculations
     this.history = [];
     
+    // Subcommands handled by executeSymbolic
+    this.symbolicOperations = ['simplify', 'derive', 'rationalize', 'solve'];
+    
+    // Persistent evaluation scope (variables, user functions and ans)
+    this.scope = {};
+    this.userFunctions = {};
+    this.sessionLoaded = false;
+    
     // Load calculation history from config
     this.loadCalculationHistory();
   }
@@ -59,24 +79,58 @@ class CalculateCommand {
       }
     };
     
+    // Script files and piped input report failures through the CLI exit code
+    if (options.file) {
+      return await this.runScript(options.file, options);
+    }
+
     try {
+      // Interactive session
+      if (options.repl) {
+        return await this.startRepl(options);
+      }
+
       // Handle special commands
       if (this.handleSpecialCommands(expression, options)) {
         return;
       }
 
+      // Symbolic algebra (simplify, derive, rationalize, solve)
+      const args = options.args || [];
+      if (this.symbolicOperations.includes(expression?.toLowerCase())) {
+        this.executeSymbolic(expression.toLowerCase(), args, options);
+        return;
+      }
+
+      // Descriptive statistics for a list of numbers
+      if (expression?.toLowerCase() === 'stats') {
+        this.showStatistics(args);
+        return;
+      }
+
+      // Allow unquoted expressions split across arguments
+      if (args.length > 0) {
+        expression = [expression, ...args].join(' ');
+      }
+
+      // Integer arithmetic with bases, bitwise operators and fixed widths
+      if (options.mode && options.mode !== 'standard') {
+        if (options.mode !== 'programmer') {
+          throw new Error(`Unknown mode: ${options.mode}. Use "standard" or "programmer"`);
+        }
+        this.executeProgrammer(expression, options);
+        return;
+      }
+
       // Validate expression
       if (!expression || typeof expression !== 'string') {
         console.log(chalk.red(t('calculate.errors.invalidExpression')));
         return;
       }
 
-      // Clean and prepare expression
-      const cleanExpression = this.preprocessExpression(expression);
-      
-      // Evaluate expression
+      // Evaluate expression against the persistent scope
       const startTime = Date.now();
-      const result = this.math.evaluate(cleanExpression);
+      const result = this.evaluateInScope(expression);
       const executionTime = Date.now() - startTime;
 
       // Format and display result
@@ -88,6 +142,7 @@ class CalculateCommand {
       // Save to config if enabled
       if (configService.get('calculate.saveHistory', true)) {
         this.saveCalculationHistory();
+        this.saveSession();
       }
 
     } catch (error) {
@@ -95,6 +150,507 @@ class CalculateCommand {
     }
   }
 
+  /**
+   * Run a symbolic algebra operation and display the resulting expression
+   */
+  executeSymbolic(operation, args, options = {}) {
+    const [input, variable = 'x'] = args;
+
+    if (!input) {
+      throw new Error(`Usage: mdsaad calc ${operation} "<expression>"${operation === 'simplify' || operation === 'rationalize' ? '' : ' [variable]'}`);
+    }
+
+    const cleanExpression = this.preprocessExpression(input);
+    const startTime = Date.now();
+    let result;
+
+    switch (operation) {
+      case 'simplify':
+        result = this.math.simplify(cleanExpression);
+        break;
+
+      case 'derive':
+        result = this.math.derivative(cleanExpression, variable);
+        break;
+
+      case 'rationalize':
+        result = this.math.rationalize(cleanExpression);
+        break;
+
+      case 'solve':
+        result = this.solveEquation(cleanExpression, variable);
+        break;
+    }
+
+    const label = operation === 'derive' ? `d/d${variable} ${input}` : `${operation} ${input}`;
+    this.displayResult(label, result, Date.now() - startTime, options);
+    this.addToHistory(label, this.formatResult(result));
+  }
+
+  /**
+   * Solve a linear or quadratic equation in one variable.
+   * "lhs = rhs" is rearranged to "(lhs) - (rhs) = 0"; an expression
+   * without "=" is treated as equal to zero. An identity such as
+   * "2x = 2x" is marked `identity` (any value solves it).
+   */
+  solveEquation(equation, variable = 'x') {
+    const sides = equation.split('=');
+    if (sides.length > 2) {
+      throw new Error('Equation must contain at most one "="');
+    }
+
+    const expression = sides.length === 2 ? `(${sides[0]}) - (${sides[1]})` : equation;
+    const { coefficients, variables } = this.math.rationalize(expression, {}, true);
+
+    if (variables.length !== 1 || variables[0] !== variable) {
+      throw new Error(`Equation must be a polynomial in ${variable} only`);
+    }
+
+    // Leading zero coefficients ("x^2 - (x^2 + x)") do not count
+    const isZero = value => this.math.equal(value, 0);
+    let degree = coefficients.length - 1;
+    while (degree >= 0 && isZero(coefficients[degree])) {
+      degree--;
+    }
+
+    let roots;
+    if (degree < 0) {
+      return { variable, solutions: [], identity: true };
+    } else if (degree === 0) {
+      roots = [];
+    } else if (degree === 1) {
+      const [c, b] = coefficients;
+      roots = [this.math.divide(this.math.unaryMinus(c), b)];
+    } else if (degree === 2) {
+      const [c, b, a] = coefficients;
+      const discriminant = this.math.subtract(this.math.multiply(b, b), this.math.multiply(4, a, c));
+      const sqrtDiscriminant = this.math.sqrt(discriminant);
+      const denominator = this.math.multiply(2, a);
+      roots = [
+        this.math.divide(this.math.add(this.math.unaryMinus(b), sqrtDiscriminant), denominator),
+        this.math.divide(this.math.subtract(this.math.unaryMinus(b), sqrtDiscriminant), denominator)
+      ];
+    } else {
+      throw new Error(`Only linear and quadratic equations are supported (got degree ${degree})`);
+    }
+
+    // Drop duplicate roots and roots that make a denominator zero. Real
+    // roots are plain numbers, which BigNumber mode only accepts when
+    // converted explicitly.
+    const compiled = this.math.compile(expression);
+    const solutions = [];
+    roots.forEach(root => {
+      const value = compiled.evaluate({ [variable]: typeof root === 'number' ? this.math.bignumber(root) : root });
+      const residual = this.math.abs(value);
+      const isValid = this.math.isNumeric(residual) && this.math.smaller(residual, 1e-9);
+      if (isValid && !solutions.some(existing => this.math.equal(existing, root))) {
+        solutions.push(root);
+      }
+    });
+
+    return { variable, solutions };
+  }
+
+  /**
+   * Evaluate an integer expression in programmer mode and show it in
+   * every base, its two's-complement interpretation and its bit field
+   */
+  executeProgrammer(expression, options = {}) {
+    if (!expression || typeof expression !== 'string') {
+      throw new Error('Usage: mdsaad calc "0xFF & 0b1010 << 3" --mode programmer [--bits 8|16|32|64|0] [--unsigned]');
+    }
+
+    const settings = programmerCalc.getSettings(options);
+    const value = programmerCalc.evaluate(expression, settings);
+    const formats = programmerCalc.format(value, settings);
+    const widthLabel = settings.bits === 0
+      ? `arbitrary width (shown as ${formats.width}-bit)`
+      : `${settings.bits}-bit ${settings.signed ? 'signed' : 'unsigned'}`;
+
+    console.log();
+    console.log(chalk.cyan('📝 ') + chalk.bold('Expression') + chalk.cyan(': ') + expression + chalk.gray(` (${widthLabel})`));
+    console.log(chalk.green('🧮 ') + chalk.bold('Result') + chalk.green(': ') + chalk.yellow(value.toString()));
+    console.log();
+
+    outputFormatter.table([
+      ['Signed', formats.signed],
+      ['Unsigned', formats.unsigned],
+      ['Hex', formats.hex],
+      ['Octal', formats.octal],
+      ['Binary', formats.binary]
+    ], {
+      colAligns: ['left', 'right'],
+      style: { head: [], border: [], compact: true }
+    });
+
+    console.log();
+    console.log(chalk.cyan('Bit field:'));
+    programmerCalc.bitField(value, settings).forEach(row => console.log('  ' + row));
+    console.log();
+
+    this.addToHistory(expression, `${value} (${formats.hex})`);
+  }
+
+  /**
+   * Show descriptive statistics and a histogram for a list of numbers.
+   * Values may be separated by commas, semicolons, tabs or spaces, so
+   * ranges copied from a spreadsheet can be pasted directly.
+   */
+  showStatistics(args) {
+    const values = this.parseDataValues(args.join(' '));
+    const summary = this.computeStatistics(values);
+    const format = value => this.math.format(value, { precision: 10 });
+
+    console.log();
+    console.log(chalk.yellow(`📊 Statistics (${values.length} values)`));
+    console.log();
+
+    outputFormatter.table([
+      ['Count', summary.count],
+      ['Sum', format(summary.sum)],
+      ['Mean', format(summary.mean)],
+      ['Median', format(summary.median)],
+      ['Std. deviation', format(summary.stdev)],
+      ['Min', format(summary.min)],
+      ['Q1', format(summary.q1)],
+      ['Q3', format(summary.q3)],
+      ['Max', format(summary.max)]
+    ], {
+      colAligns: ['left', 'right'],
+      style: { head: [], border: [], compact: true }
+    });
+
+    console.log();
+    console.log(chalk.cyan('Histogram:'));
+    this.renderHistogram(values).forEach(line => console.log('  ' + line));
+    console.log();
+
+    this.addToHistory(`stats ${values.join(',')}`, `mean ${format(summary.mean)}`);
+  }
+
+  /**
+   * Parse a list of numbers from free-form text
+   */
+  parseDataValues(text) {
+    const tokens = String(text || '').split(/[\s,;]+/).filter(Boolean);
+
+    if (tokens.length === 0) {
+      throw new Error('Usage: mdsaad calc stats 3,5,8,13');
+    }
+
+    return tokens.map(token => {
+      const value = Number(token);
+      if (!Number.isFinite(value)) {
+        throw new Error(`Invalid number in data: ${token}`);
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Compute summary statistics (sample standard deviation, inclusive quartiles)
+   */
+  computeStatistics(values) {
+    return {
+      count: values.length,
+      sum: this.math.sum(values),
+      mean: this.math.mean(values),
+      median: this.math.median(values),
+      stdev: values.length > 1 ? this.math.std(values) : 0,
+      min: this.math.min(values),
+      q1: this.math.quantileSeq(values, 0.25),
+      q3: this.math.quantileSeq(values, 0.75),
+      max: this.math.max(values)
+    };
+  }
+
+  /**
+   * Render a small ASCII histogram, binned with Sturges' rule
+   */
+  renderHistogram(values, width = 30) {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const binCount = min === max ? 1 : Math.ceil(Math.log2(values.length) + 1);
+    const binSize = (max - min) / binCount || 1;
+    const counts = new Array(binCount).fill(0);
+
+    values.forEach(value => {
+      const index = Math.min(Math.floor((value - min) / binSize), binCount - 1);
+      counts[index]++;
+    });
+
+    const largest = Math.max(...counts);
+    const labels = counts.map((count, i) => {
+      const from = this.math.format(min + i * binSize, { precision: 4 });
+      const to = this.math.format(i === binCount - 1 ? max : min + (i + 1) * binSize, { precision: 4 });
+      return `${from} – ${to}`;
+    });
+    const labelWidth = Math.max(...labels.map(label => label.length));
+
+    return counts.map((count, i) => {
+      const bar = '#'.repeat(Math.round((count / largest) * width));
+      return `${labels[i].padStart(labelWidth)} │ ${bar} ${count}`;
+    });
+  }
+
+  /**
+   * Evaluate an expression in the persistent scope.
+   * Assignments (`x = 3`) and function definitions (`f(a) = a^2 + 1`)
+   * are kept in the scope, and `ans` holds the last value.
+   */
+  evaluateInScope(expression) {
+    this.loadSession();
+
+    const { node, cleanExpression, result } = this.evaluateLine(expression, this.scope);
+
+    if (node.type === 'FunctionAssignmentNode') {
+      this.userFunctions[node.name] = cleanExpression;
+    } else if (node.type === 'AssignmentNode' && node.name) {
+      delete this.userFunctions[node.name];
+    }
+
+    return result;
+  }
+
+  /**
+   * Preprocess, parse and evaluate one line against the given scope,
+   * updating `ans` unless the line defines a function
+   */
+  evaluateLine(expression, scope) {
+    const cleanExpression = this.preprocessExpression(unitRegistry.normalize(dateCalc.preprocess(expression)));
+    const node = this.math.parse(cleanExpression);
+    let result;
+
+    try {
+      result = node.compile().evaluate(scope);
+    } catch (error) {
+      // Replace math.js's generic unit error with the operands that disagree
+      const mismatch = /Units do not match/.test(error.message) && unitRegistry.explainMismatch(this.math, node, scope);
+      throw mismatch || error;
+    }
+
+    if (node.type !== 'FunctionAssignmentNode') {
+      scope.ans = result;
+    }
+
+    return { node, cleanExpression, result };
+  }
+
+  /**
+   * Evaluate a calculator script line by line.
+   * Reads from a file, or from stdin when the path is "-". Blank lines and
+   * lines starting with # or // are skipped. Every line shares one scope,
+   * so later lines can reference earlier assignments.
+   */
+  async runScript(filePath, options = {}) {
+    const source = filePath === '-' ? await this.readStdin() : await fs.readFile(filePath, 'utf8');
+    const scope = {};
+    const lines = source.split(/\r?\n/);
+    let lastResult;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line || line.startsWith('#') || line.startsWith('//')) continue;
+
+      const lineNumber = chalk.gray(`${String(i + 1).padStart(3)} │ `);
+
+      try {
+        const { node, result } = this.evaluateLine(line, scope);
+
+        if (node.type === 'FunctionAssignmentNode') {
+          console.log(lineNumber + chalk.cyan(line) + chalk.green(' ✓'));
+        } else {
+          console.log(lineNumber + chalk.cyan(line) + chalk.gray(' → ') + chalk.yellow(this.formatResult(result, options)));
+          this.addToHistory(line, result);
+          lastResult = result;
+        }
+      } catch (error) {
+        const origin = filePath === '-' ? 'stdin' : filePath;
+        console.log(lineNumber + chalk.cyan(line));
+        console.log(chalk.red(`❌ Line ${i + 1}: ${error.message}`));
+        throw new Error(`${origin}:${i + 1}: ${error.message}`);
+      }
+    }
+
+    if (configService.get('calculate.saveHistory', true)) {
+      this.saveCalculationHistory();
+    }
+
+    return lastResult;
+  }
+
+  /**
+   * Read all piped input from stdin
+   */
+  async readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  /**
+   * Start an interactive calculator session
+   */
+  startRepl(options = {}) {
+    this.loadSession();
+
+    console.log(chalk.yellow('🧮 Interactive Calculator'));
+    console.log(chalk.gray('Variables and functions persist between lines and sessions.'));
+    console.log(chalk.gray('Type "vars" to list them, "reset" to clear them, "exit" to quit.'));
+    console.log();
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      prompt: chalk.cyan('calc> ')
+    });
+
+    return new Promise(resolve => {
+      rl.prompt();
+
+      rl.on('line', input => {
+        const trimmed = input.trim();
+
+        if (trimmed === 'exit' || trimmed === 'quit') {
+          rl.close();
+          return;
+        }
+
+        if (trimmed !== '') {
+          this.evaluateReplLine(trimmed, options);
+        }
+
+        rl.prompt();
+      });
+
+      rl.on('close', () => {
+        this.saveSession();
+        this.saveCalculationHistory();
+        console.log(chalk.gray('Calculator session ended'));
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Evaluate a single REPL line and print a compact result
+   */
+  evaluateReplLine(line, options = {}) {
+    switch (line.toLowerCase()) {
+      case 'vars':
+        this.showVariables();
+        return;
+
+      case 'reset':
+        this.resetSession();
+        console.log(chalk.green('Variables and functions cleared'));
+        return;
+    }
+
+    if (this.handleSpecialCommands(line, options)) {
+      return;
+    }
+
+    try {
+      const result = this.evaluateInScope(line);
+
+      if (typeof result === 'function') {
+        console.log(chalk.green('✓ ') + chalk.cyan(this.userFunctions[result.name] || line));
+      } else {
+        console.log(chalk.green('= ') + chalk.yellow(this.formatResult(result, options)));
+        this.addToHistory(line, result);
+      }
+    } catch (error) {
+      console.log(chalk.red('❌ ' + error.message));
+    }
+  }
+
+  /**
+   * Show variables and user-defined functions in the current scope
+   */
+  showVariables() {
+    const variables = Object.entries(this.scope)
+      .filter(([, value]) => typeof value !== 'function');
+    const functions = Object.values(this.userFunctions);
+
+    if (variables.length === 0 && functions.length === 0) {
+      console.log(chalk.yellow('No variables or functions defined yet'));
+      return;
+    }
+
+    variables.forEach(([name, value]) => {
+      console.log(chalk.cyan(name.padEnd(12)) + chalk.gray(' = ') + chalk.yellow(this.formatResult(value)));
+    });
+
+    functions.forEach(definition => {
+      console.log(chalk.cyan(definition));
+    });
+  }
+
+  /**
+   * Clear all variables and user-defined functions
+   */
+  resetSession() {
+    this.scope = {};
+    this.userFunctions = {};
+    this.saveSession();
+  }
+
+  /**
+   * Save variables and user-defined functions next to the history
+   */
+  saveSession() {
+    try {
+      const variables = {};
+      Object.entries(this.scope).forEach(([name, value]) => {
+        // Dates are relative to when they were computed, so they are not kept
+        if (typeof value !== 'function' && !dateCalc.isDate(value)) {
+          variables[name] = JSON.parse(JSON.stringify(value, this.math.replacer));
+        }
+      });
+
+      configService.set('calculate.variables', variables);
+      configService.set('calculate.functions', this.userFunctions);
+    } catch (error) {
+      // Silently fail if config save fails
+    }
+  }
+
+  /**
+   * Load variables and user-defined functions saved by a previous session
+   */
+  loadSession() {
+    if (this.sessionLoaded) {
+      return;
+    }
+    this.sessionLoaded = true;
+
+    try {
+      const variables = configService.get('calculate.variables', {});
+      if (variables && typeof variables === 'object' && !Array.isArray(variables)) {
+        Object.entries(variables).forEach(([name, value]) => {
+          this.scope[name] = JSON.parse(JSON.stringify(value), this.math.reviver);
+        });
+      }
+
+      const functions = configService.get('calculate.functions', {});
+      if (functions && typeof functions === 'object' && !Array.isArray(functions)) {
+        Object.entries(functions).forEach(([name, definition]) => {
+          try {
+            this.math.evaluate(definition, this.scope);
+            this.userFunctions[name] = definition;
+          } catch (error) {
+            // Skip definitions that no longer parse
+          }
+        });
+      }
+    } catch (error) {
+      // Silently fail if config load fails
+    }
+  }
+
   /**
    * Handle special commands (help, history, constants, etc.)
    */
@@ -175,22 +731,23 @@ class CalculateCommand {
     console.log();
     console.log(chalk.cyan('📝 ') + chalk.bold('Expression') + chalk.cyan(': ') + expression);
     
-    // Format result based on type
-    let formattedResult;
-    if (typeof result === 'object' && result.type) {
-      // Handle complex numbers, matrices, etc.
-      formattedResult = this.math.format(result, { precision: 14 });
-    } else if (typeof result === 'number') {
-      formattedResult = this.formatNumber(result, options);
+    if (this.isTabular(result)) {
+      // Render vectors and 2-D matrices as aligned tables
+      const size = this.math.size(result).valueOf();
+      const shape = size.length === 1 ? `${size[0]}-element vector` : `${size[0]} × ${size[1]} matrix`;
+      console.log(chalk.green('🧮 ') + chalk.bold('Result') + chalk.green(': ') + chalk.gray(shape));
+      outputFormatter.table(this.toTableRows(result), {
+        colAligns: new Array(size[size.length - 1]).fill('right'),
+        style: { head: [], border: [], compact: true }
+      });
     } else {
-      formattedResult = String(result);
+      const formattedResult = this.formatResult(result, options);
+      console.log(chalk.green('🧮 ') + chalk.bold('Result') + chalk.green(': ') + chalk.yellow(formattedResult));
     }
     
-    console.log(chalk.green('🧮 ') + chalk.bold('Result') + chalk.green(': ') + chalk.yellow(formattedResult));
-    
     // Show additional formats if requested
-    if (options.format || options.all) {
-      this.showAlternativeFormats(result);
+    if (options.format || options.all || options.latex) {
+      this.showAlternativeFormats(result, options);
     }
     
     // Show execution time for complex calculations
@@ -201,6 +758,55 @@ class CalculateCommand {
     console.log();
   }
 
+  /**
+   * Check whether a result is a non-empty vector or 2-D matrix
+   */
+  isTabular(result) {
+    if (!this.math.isMatrix(result) && !Array.isArray(result)) {
+      return false;
+    }
+    const size = this.math.size(result).valueOf();
+    return (size.length === 1 || size.length === 2) && size.every(dimension => dimension > 0);
+  }
+
+  /**
+   * Convert a vector or 2-D matrix into formatted table rows
+   */
+  toTableRows(result) {
+    const data = this.math.isMatrix(result) ? result.toArray() : result;
+    const rows = Array.isArray(data[0]) ? data : [data];
+    return rows.map(row => row.map(value => this.math.format(value, { precision: 14 })));
+  }
+
+  /**
+   * Format a result based on its type
+   */
+  formatResult(result, options = {}) {
+    if (dateCalc.isDate(result)) {
+      return dateCalc.format(result);
+    } else if (result && result.isNode) {
+      return result.toString();
+    } else if (result && Array.isArray(result.solutions)) {
+      if (result.identity) {
+        return `Any value of ${result.variable}`;
+      }
+      if (result.solutions.length === 0) {
+        return 'No solution';
+      }
+      return result.solutions
+        .map(value => `${result.variable} = ${this.math.format(value, { precision: 14 })}`)
+        .join(', ');
+    } else if (typeof result === 'function') {
+      return this.userFunctions[result.name] || result.syntax || result.name;
+    } else if (result && typeof result === 'object' && result.type) {
+      // Handle complex numbers, matrices, etc.
+      return this.math.format(result, { precision: 14 });
+    } else if (typeof result === 'number') {
+      return this.formatNumber(result, options);
+    }
+    return String(result);
+  }
+
   /**
    * Format number with different representations
    */
@@ -233,7 +839,7 @@ class CalculateCommand {
   /**
    * Show alternative result formats
    */
-  showAlternativeFormats(result) {
+  showAlternativeFormats(result, options = {}) {
     const t = (key, defaultValue = key) => {
       try {
         return i18nService.getTranslation(key) || defaultValue;
@@ -242,8 +848,22 @@ class CalculateCommand {
       }
     };
     
+    if (options.latex || options.all) {
+      console.log(chalk.gray(`  LaTeX: ${this.toLatex(result)}`));
+    }
+    
+    if (this.math.isMatrix(result) || Array.isArray(result)) {
+      console.log(chalk.gray(`  Fraction: ${this.toFraction(result)}`));
+      return;
+    }
+    
+    // BigNumber results share the plain number formats
+    if (this.math.isBigNumber(result)) {
+      result = result.toNumber();
+    }
+    
     if (typeof result === 'number' && Number.isFinite(result)) {
-      console.log(chalk.blue(t('calculate.alternativeFormats') + ':'));
+      console.log(chalk.blue(t('calculate.alternativeFormats', 'Alternative formats') + ':'));
       
       if (Number.isInteger(result) && result >= 0) {
         console.log(chalk.gray(`  Binary: ${result.toString(2)}`));
@@ -259,10 +879,36 @@ class CalculateCommand {
     }
   }
 
+  /**
+   * Render a result (expression, solution set or value) as LaTeX
+   */
+  toLatex(result) {
+    const valueToTex = value => this.math.parse(this.math.format(value, { precision: 14 })).toTex();
+
+    if (result && result.isNode) {
+      return result.toTex();
+    } else if (result && Array.isArray(result.solutions)) {
+      if (result.identity) {
+        return `\\text{any } ${result.variable}`;
+      }
+      return result.solutions
+        .map(value => `${result.variable} = ${valueToTex(value)}`)
+        .join(',\\; ');
+    }
+    return valueToTex(result);
+  }
+
   /**
    * Convert decimal to fraction (simple approximation)
    */
   toFraction(decimal) {
+    // Convert matrices and vectors element by element
+    if (this.math.isMatrix(decimal) || Array.isArray(decimal)) {
+      const values = this.math.isMatrix(decimal) ? decimal.toArray() : decimal;
+      return `[${values.map(value => this.toFraction(value)).join(', ')}]`;
+    }
+    decimal = Number(decimal);
+    
     const tolerance = 1e-6;
     let numerator = 1;
     let denominator = 1;
@@ -321,6 +967,45 @@ class CalculateCommand {
     console.log('  constants        →  Show all constants');
     console.log('  functions        →  Show all functions');
     console.log('  clear            →  Clear calculation history');
+    console.log();
+    
+    console.log(chalk.cyan('Interactive Mode (mdsaad calc --repl):'));
+    console.log('  x = 3            →  Assign a variable');
+    console.log('  f(a) = a^2 + 1   →  Define a function');
+    console.log('  f(x) + ans       →  Use variables, functions and the last result');
+    console.log('  vars / reset     →  List or clear variables and functions');
+    console.log();
+    
+    console.log(chalk.cyan('Symbolic Algebra:'));
+    console.log('  simplify "2x + 3x"       →  5 * x');
+    console.log('  derive "x^3" x           →  3 * x ^ 2');
+    console.log('  rationalize "1/x + 1"    →  (x + 1) / x');
+    console.log('  solve "2x + 3 = 7" x     →  x = 2');
+    console.log('  --latex                  →  Also print the result as LaTeX');
+    console.log();
+    
+    console.log(chalk.cyan('Matrices and Statistics:'));
+    console.log('  [[1, 2], [3, 4]] * 2     →  Shown as an aligned table');
+    console.log('  stats 3,5,8,13           →  Mean, median, stdev, quartiles and histogram');
+    console.log();
+    
+    console.log(chalk.cyan('Programmer Mode (--mode programmer):'));
+    console.log('  0xFF & 0b1010 << 3       →  80 (C operator precedence, ^ is XOR)');
+    console.log('  ~0 --bits 8 --unsigned   →  255');
+    console.log('  --bits 0                 →  Arbitrary width with BigInt');
+    console.log();
+    
+    console.log(chalk.cyan('Dates and Times:'));
+    console.log('  2026-10-18 + 45 days           →  Wednesday, December 2, 2026');
+    console.log('  now - 2026-01-01 in hours      →  Elapsed time in hours');
+    console.log('  next friday, today, tomorrow   →  Relative dates');
+    console.log('  businessDays(today, 2026-12-31)  →  Weekdays excluding holidays');
+    console.log('  addBusinessDays(today, 10)     →  Date 10 business days ahead');
+    console.log();
+    
+    console.log(chalk.cyan('Scripts:'));
+    console.log('  mdsaad calc --file budget.calc     →  Evaluate a file line by line');
+    console.log('  cat budget.calc | mdsaad calc      →  Evaluate piped input');
   }
 
   /**
@@ -489,6 +1174,9 @@ class CalculateCommand {
       console.log(chalk.gray(t('calculate.errors.checkSyntax')));
     } else if (error.message.includes('Division by zero')) {
       console.log(chalk.yellow(t('calculate.errors.divisionByZero')));
+    } else if (error.name === 'DimensionMismatchError') {
+      console.log(chalk.yellow(error.message));
+      console.log(chalk.gray(t('calculate.errors.checkUnits', 'Both sides of +, - and "to" must measure the same quantity')));
     } else {
       console.log(chalk.yellow(error.message));
     }
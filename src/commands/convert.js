@@ -14,6 +14,9 @@ const i18nService = require('../services/i18n');
 const outputFormatter = require('../services/output-formatter');
 const errorHandler = require('../services/error-handler');
 const debugService = require('../services/debug-service');
+const unitRegistry = require('../services/unit-registry');
+const rateHistory = require('../services/rate-history');
+const csvService = require('../services/csv');
 
 class ConvertCommand {
   constructor() {
@@ -56,11 +59,13 @@ class ConvertCommand {
       .argument('<from>', 'Source unit/currency')
       .argument('<to>', 'Target unit/currency')
       .option('-v, --verbose', 'Show detailed conversion information')
-      .option('-h, --historical [date]', 'Use historical exchange rates (YYYY-MM-DD)')
+      .option('-h, --historical [date]', 'Use historical exchange rates (YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD)')
       .option('-r, --rates', 'Show current exchange rates')
+      .option('-s, --since <date>', 'With --rates, show the trend since a date (YYYY-MM-DD)')
       .option('-f, --favorites', 'Show favorite conversion pairs')
       .option('-a, --add-favorite', 'Add this conversion to favorites')
-      .option('-b, --batch <file>', 'Process batch conversions from file')
+      .option('-b, --batch <file>', 'Process batch conversions from a CSV, JSON or text file')
+      .option('-o, --output <file>', 'With --batch, write results to a .csv or .json file')
       .action(async (amount, from, to, options) => {
         await this.execute(amount, from, to, options);
       });
@@ -80,7 +85,7 @@ class ConvertCommand {
 
       // Handle special commands first (no amount/from/to required)
       if (options.rates) {
-        await this.showExchangeRates();
+        await this.showExchangeRates(options, [amount, from, to]);
         debugService.markPerformance('convert_command', 'end');
         return;
       }
@@ -92,7 +97,7 @@ class ConvertCommand {
       }
 
       if (options.batch) {
-        await this.processBatchConversions(options.batch);
+        await this.processBatchConversions(options.batch, options);
         debugService.markPerformance('convert_command', 'end');
         return;
       }
@@ -106,9 +111,13 @@ class ConvertCommand {
         console.log(chalk.gray('  Temperature:'), 'mdsaad convert 32 F C');
         console.log(chalk.gray('  Length:'), 'mdsaad convert 10 KM MI');
         console.log(chalk.gray('  Weight:'), 'mdsaad convert 5 KG LB');
+        console.log(chalk.gray('  Data:'), 'mdsaad convert 4 GIB MB');
+        console.log(chalk.gray('  Fuel economy:'), 'mdsaad convert 30 MPG L/100KM');
         console.log();
         console.log(chalk.yellow('Special Options:'));
         console.log(chalk.gray('  Exchange rates:'), 'mdsaad convert --rates');
+        console.log(chalk.gray('  Rate trends:'), 'mdsaad convert --rates --since 2026-01-01');
+        console.log(chalk.gray('  Historical:'), 'mdsaad convert 100 USD EUR --historical 2026-01-01..2026-03-31');
         console.log(chalk.gray('  Favorites:'), 'mdsaad convert --favorites');
         console.log(chalk.gray('  Verbose:'), 'mdsaad convert 100 C F --verbose');
         console.log();
@@ -126,13 +135,14 @@ class ConvertCommand {
       const toCode = to.toUpperCase();
 
       // Determine conversion type (currency vs unit)
-      const conversionType = this.getConversionType(fromCode, toCode);
+      const conversionType = this.getConversionType(from, to);
 
       let result;
       if (conversionType === 'currency') {
         result = await this.convertCurrency(numericAmount, fromCode, toCode, options);
       } else if (conversionType === 'unit') {
-        result = this.convertUnit(numericAmount, fromCode, toCode);
+        // Units keep their case so math.js names like kWh and Pa resolve
+        result = this.convertUnit(numericAmount, from, to);
       } else {
         // Provide helpful suggestions
         console.log(chalk.red('❌ Unsupported conversion:'), `${fromCode} to ${toCode}`);
@@ -144,6 +154,15 @@ class ConvertCommand {
         console.log(chalk.gray('  Weight:'), 'KG, LB, G, OZ, TON');
         console.log(chalk.gray('  Volume:'), 'L, GAL, ML, FL_OZ, CUP');
         console.log(chalk.gray('  Time:'), 'S, MIN, H, D, WK, YR');
+        console.log(chalk.gray('  Area:'), 'SQ_M, SQ_FT, ACRE, HECTARE');
+        console.log(chalk.gray('  Speed:'), 'KM/H, MPH, M/S, KNOT');
+        console.log(chalk.gray('  Data:'), 'B, KB, MB, GB, KIB, MIB, GIB, BIT');
+        console.log(chalk.gray('  Pressure:'), 'PA, KPA, BAR, PSI, ATM, MMHG');
+        console.log(chalk.gray('  Energy:'), 'J, KJ, CAL, KCAL, KWH, BTU');
+        console.log(chalk.gray('  Power:'), 'W, KW, HP');
+        console.log(chalk.gray('  Angle:'), 'DEG, RAD, GRAD, TURN');
+        console.log(chalk.gray('  Fuel economy:'), 'MPG, MPG_IMP, KM/L, L/100KM');
+        console.log(chalk.gray('  Compound:'), 'km/h, m/s, kWh, N·m');
         console.log();
         return;
       }
@@ -184,16 +203,16 @@ class ConvertCommand {
     const currencies = this.getSupportedCurrencies();
     
     // Check if both are currencies (requires API)
-    const fromIsCurrency = currencies.includes(from);
-    const toIsCurrency = currencies.includes(to);
+    const fromIsCurrency = currencies.includes(from.toUpperCase());
+    const toIsCurrency = currencies.includes(to.toUpperCase());
     
     if (fromIsCurrency && toIsCurrency) {
       return 'currency';
     }
     
-    // Check if both are units (local calculation)
-    const unitCategory = this.findUnitCategory(from, to);
-    if (unitCategory) {
+    // Check if both are units (local calculation); units of different
+    // dimensions are still 'unit' so convertUnit can report the mismatch
+    if (unitRegistry.isUnit(from) && unitRegistry.isUnit(to)) {
       return 'unit';
     }
 
@@ -201,24 +220,33 @@ class ConvertCommand {
   }
 
   /**
-   * Find which category both units belong to (if any)
+   * Find which category both units belong to (if any). Units with a matching
+   * dimension outside the named categories (e.g. N·m or m/s^2) are 'compound'.
    */
   findUnitCategory(from, to) {
-    const units = this.getSupportedUnits();
+    if (unitRegistry.fuelEconomyKind(from) && unitRegistry.fuelEconomyKind(to)) {
+      return 'fuel economy';
+    }
+
+    const fromUnit = unitRegistry.resolve(from);
+    const toUnit = unitRegistry.resolve(to);
     
-    for (const [categoryName, categoryUnits] of Object.entries(units)) {
-      if (categoryUnits[from] !== undefined && categoryUnits[to] !== undefined) {
-        return categoryName;
-      }
+    if (!fromUnit || !toUnit || !fromUnit.equalBase(toUnit)) {
+      return null;
     }
     
-    return null;
+    return unitRegistry.categoryOf(fromUnit) || 'compound';
   }
 
   /**
    * Convert currency using exchange rates
    */
   async convertCurrency(amount, fromCurrency, toCurrency, options = {}) {
+    // Historical rates come from the local rate history store
+    if (options.historical) {
+      return await this.convertHistorical(amount, fromCurrency, toCurrency, options.historical);
+    }
+
     // Check cache first
     const cacheKey = `exchange_rate:${fromCurrency}:${toCurrency}:${options.historical || 'latest'}`;
     
@@ -234,6 +262,9 @@ class ConvertCommand {
           toCurrency: toCurrency,
           rate: rate,
           convertedAmount: convertedAmount,
+          date: cached.data.date,
+          rateTimestamp: cached.data.rateTimestamp || new Date(cached.timestamp).toISOString(),
+          provider: cached.data.provider,
           cached: true,
           timestamp: cached.timestamp
         };
@@ -252,6 +283,7 @@ class ConvertCommand {
       await cacheService.set('currency', cacheKey, {
         rate: rate,
         date: exchangeData.date,
+        rateTimestamp: exchangeData.rateTimestamp,
         provider: exchangeData.provider
       }, this.cacheTtl);
     } catch (cacheError) {
@@ -265,6 +297,7 @@ class ConvertCommand {
       rate: rate,
       convertedAmount: convertedAmount,
       date: exchangeData.date,
+      rateTimestamp: exchangeData.rateTimestamp,
       provider: exchangeData.provider,
       cached: false
     };
@@ -297,6 +330,177 @@ class ConvertCommand {
     throw new Error('All exchange rate providers failed');
   }
 
+  /**
+   * Convert at the rate of a past date, or over a date range
+   * ("YYYY-MM-DD..YYYY-MM-DD", end defaults to today) with a trend
+   */
+  async convertHistorical(amount, fromCurrency, toCurrency, historical) {
+    if (historical === true) {
+      throw new Error('--historical needs a date (YYYY-MM-DD) or a range (YYYY-MM-DD..YYYY-MM-DD)');
+    }
+
+    const range = rateHistory.parseRange(historical);
+
+    if (!range.isRange) {
+      const found = await this.fetchHistoricalRate(fromCurrency, toCurrency, range.from);
+      return {
+        amount: amount,
+        fromCurrency: fromCurrency,
+        toCurrency: toCurrency,
+        rate: found.rate,
+        convertedAmount: amount * found.rate,
+        date: found.date,
+        provider: found.provider,
+        cached: found.cached,
+        historical: true
+      };
+    }
+
+    const history = await this.fetchRateSeries(fromCurrency, toCurrency, range.from, range.to);
+    const latest = history.series[history.series.length - 1];
+
+    return {
+      amount: amount,
+      fromCurrency: fromCurrency,
+      toCurrency: toCurrency,
+      rate: latest.rate,
+      convertedAmount: amount * latest.rate,
+      date: latest.date,
+      provider: history.provider,
+      cached: history.cached,
+      historical: true,
+      series: history.series,
+      range: range
+    };
+  }
+
+  /**
+   * Rate on a past date (or the closest earlier business day)
+   */
+  async fetchHistoricalRate(fromCurrency, toCurrency, date) {
+    const stored = await rateHistory.findRate(fromCurrency, toCurrency, date);
+    if (stored) {
+      return { ...stored, provider: 'Local rate history', cached: true };
+    }
+
+    // Fetch the week up to the date so a weekend or holiday still finds a rate
+    const history = await this.fetchRateSeries(fromCurrency, toCurrency, rateHistory.shiftDate(date, -6), date);
+    const found = await rateHistory.findRate(fromCurrency, toCurrency, date);
+    if (!found) {
+      throw new Error(`No exchange rate for ${fromCurrency} to ${toCurrency} on ${date}`);
+    }
+
+    return { ...found, provider: history.provider, cached: history.cached };
+  }
+
+  /**
+   * Daily rates for a pair over a date range. Days already in the local
+   * store are not fetched again; when offline, the stored days are used.
+   */
+  async fetchRateSeries(fromCurrency, toCurrency, from, to) {
+    let provider = null;
+    let fetchError = null;
+
+    try {
+      await rateHistory.ensureRange(fromCurrency, from, to, async (start, end) => {
+        const result = await this.fetchTimeSeries(fromCurrency, start, end);
+        provider = result.provider;
+        return result.rates;
+      });
+    } catch (error) {
+      loggerService.warn('Historical rate fetch failed:', error.message);
+      fetchError = error;
+    }
+
+    const series = await rateHistory.getSeries(fromCurrency, toCurrency, from, to);
+    if (series.length === 0) {
+      throw fetchError || new Error(`No exchange rates for ${fromCurrency} to ${toCurrency} between ${from} and ${to}`);
+    }
+
+    return {
+      series,
+      provider: provider || 'Local rate history',
+      cached: !provider
+    };
+  }
+
+  /**
+   * Fetch daily rates for every currency against a base over a date range.
+   * Returns { provider, rates: { date: { CODE: rate } } }.
+   */
+  async fetchTimeSeries(base, from, to) {
+    const providers = [
+      { name: 'Frankfurter (ECB)', method: 'fetchSeriesFromFrankfurter' },
+      { name: 'ExchangeRate-API', method: 'fetchSeriesFromExchangeRateAPI' }
+    ];
+
+    for (const provider of providers) {
+      try {
+        const rates = await this[provider.method](base, from, to);
+        if (rates) {
+          return { provider: provider.name, rates };
+        }
+      } catch (error) {
+        loggerService.warn(`${provider.name} historical rate fetch failed:`, error.message);
+        continue;
+      }
+    }
+
+    throw new Error('All historical exchange rate providers failed');
+  }
+
+  /**
+   * Fetch a time series from Frankfurter (ECB reference rates, no API key)
+   */
+  async fetchSeriesFromFrankfurter(base, from, to) {
+    const axios = require('axios');
+    const response = await axios.get(`https://api.frankfurter.app/${from}..${to}`, {
+      params: { from: base },
+      timeout: 10000,
+      headers: {
+        'User-Agent': 'MDSAAD-CLI/1.0.0'
+      }
+    });
+
+    if (response.data && response.data.rates) {
+      return response.data.rates;
+    }
+
+    throw new Error(`Historical rates not found for ${base}`);
+  }
+
+  /**
+   * Fetch a time series from ExchangeRate-API's history endpoint, one
+   * request per day (requires an API key on a plan with history)
+   */
+  async fetchSeriesFromExchangeRateAPI(base, from, to) {
+    const apiKey = configService.getApiKey('exchangerate-api');
+    if (!apiKey) {
+      throw new Error('ExchangeRate-API key not configured');
+    }
+
+    const dates = rateHistory.listDates(from, to);
+    if (dates.length > 31) {
+      throw new Error('ExchangeRate-API history is limited to 31 days per lookup');
+    }
+
+    const axios = require('axios');
+    const rates = {};
+
+    for (const date of dates) {
+      const response = await axios.get(
+        `https://v6.exchangerate-api.com/v6/${apiKey}/history/${base}/${date.replace(/-/g, '/')}`,
+        { timeout: 10000 }
+      );
+
+      if (response.data && response.data.conversion_rates) {
+        rates[date] = response.data.conversion_rates;
+      }
+    }
+
+    return rates;
+  }
+
   /**
    * Fetch from ExchangeRate-API (with API key)
    */
@@ -330,15 +534,22 @@ class ConvertCommand {
 
     if (response.data && response.data.conversion_rates && response.data.conversion_rates[toCurrency]) {
       // v6 API format
+      const updated = response.data.time_last_update_unix
+        ? new Date(response.data.time_last_update_unix * 1000).toISOString()
+        : new Date().toISOString();
       return {
         rate: response.data.conversion_rates[toCurrency],
-        date: response.data.time_last_update_utc ? response.data.time_last_update_utc.split(' ')[0] : new Date().toISOString().split('T')[0]
+        date: updated.split('T')[0],
+        rateTimestamp: updated
       };
     } else if (response.data && response.data.rates && response.data.rates[toCurrency]) {
       // v4 API format
       return {
         rate: response.data.rates[toCurrency],
-        date: response.data.date
+        date: response.data.date,
+        rateTimestamp: response.data.time_last_updated
+          ? new Date(response.data.time_last_updated * 1000).toISOString()
+          : response.data.date
       };
     }
 
@@ -370,7 +581,10 @@ class ConvertCommand {
     if (response.data && response.data.rates && response.data.rates[toCurrency]) {
       return {
         rate: response.data.rates[toCurrency],
-        date: response.data.date
+        date: response.data.date,
+        rateTimestamp: response.data.timestamp
+          ? new Date(response.data.timestamp * 1000).toISOString()
+          : response.data.date
       };
     }
 
@@ -381,19 +595,21 @@ class ConvertCommand {
    * Convert units (length, weight, temperature) - ALL LOCAL CALCULATIONS
    */
   convertUnit(amount, fromUnit, toUnit) {
-    // Find the conversion category
-    const category = this.findUnitCategory(fromUnit, toUnit);
-    
-    if (!category) {
-      throw new Error(`Cannot convert ${fromUnit} to ${toUnit}. Units must be from the same category.`);
+    // Handle fuel economy (mpg and L/100km are inverses of each other)
+    if (this.findUnitCategory(fromUnit, toUnit) === 'fuel economy') {
+      return this.convertFuelEconomy(amount, fromUnit, toUnit);
     }
 
+    // Throws a DimensionMismatchError for e.g. kg to m
+    unitRegistry.assertCompatible(fromUnit, toUnit);
+    const category = this.findUnitCategory(fromUnit, toUnit);
+
     // Handle temperature conversions (special formulas)
-    if (category === 'temperature') {
+    if (category === 'temperature' && this.normalizeTemperatureUnit(fromUnit) && this.normalizeTemperatureUnit(toUnit)) {
       return this.convertTemperature(amount, fromUnit, toUnit);
     }
 
-    // Handle length, weight, volume conversions (factor-based)
+    // Handle length, weight, volume and compound conversions (factor-based)
     return this.convertWithFactors(amount, fromUnit, toUnit, category);
   }
 
@@ -401,19 +617,17 @@ class ConvertCommand {
    * Convert using multiplication factors (length, weight, volume, etc.)
    */
   convertWithFactors(amount, fromUnit, toUnit, category) {
-    const conversions = this.getUnitConversions();
-    const categoryUnits = conversions[category];
-    
-    const fromFactor = categoryUnits[fromUnit];
-    const toFactor = categoryUnits[toUnit];
+    const fromFactor = unitRegistry.factor(fromUnit);
+    const toFactor = unitRegistry.factor(toUnit);
     
     if (fromFactor === undefined || toFactor === undefined) {
       throw new Error(`Conversion factors not found for ${fromUnit} to ${toUnit}`);
     }
 
-    // Convert to base unit, then to target unit
+    // Factors are shown for reference; the registry converts exactly,
+    // including offset units such as degC
     const baseAmount = amount * fromFactor;
-    const convertedAmount = baseAmount / toFactor;
+    const convertedAmount = unitRegistry.convert(amount, fromUnit, toUnit);
 
     return {
       amount: amount,
@@ -422,7 +636,7 @@ class ConvertCommand {
       convertedAmount: convertedAmount,
       category: category,
       formula: `${amount} ${fromUnit} × ${fromFactor} ÷ ${toFactor} = ${convertedAmount.toFixed(6)} ${toUnit}`,
-      calculation: `Base: ${baseAmount} → Result: ${convertedAmount}`
+      calculation: `Base: ${baseAmount} ${unitRegistry.baseOf(fromUnit)} → Result: ${convertedAmount}`
     };
   }
 
@@ -484,6 +698,32 @@ class ConvertCommand {
     };
   }
 
+  /**
+   * Convert fuel economy (LOCAL CALCULATION - distance per volume, or the
+   * inverse volume per distance, via km/L)
+   */
+  convertFuelEconomy(amount, fromUnit, toUnit) {
+    if (amount <= 0) {
+      throw new Error('Fuel economy must be greater than zero');
+    }
+
+    const kmpl = unitRegistry.toKilometersPerLiter(amount, fromUnit);
+    const result = unitRegistry.fromKilometersPerLiter(kmpl, toUnit);
+    const inverse = unitRegistry.fuelEconomyKind(fromUnit) !== unitRegistry.fuelEconomyKind(toUnit);
+
+    return {
+      amount: amount,
+      fromUnit: fromUnit,
+      toUnit: toUnit,
+      convertedAmount: result,
+      category: 'fuel economy',
+      formula: `${amount} ${fromUnit} = ${kmpl.toFixed(6)} km/L → ${result.toFixed(6)} ${toUnit}`,
+      calculation: inverse
+        ? 'Inverse conversion (distance per volume ↔ volume per distance)'
+        : 'Direct conversion via km/L'
+    };
+  }
+
   /**
    * Normalize temperature unit names
    */
@@ -560,9 +800,16 @@ class ConvertCommand {
       }
       
       if (result.cached) {
-        console.log(chalk.yellow('📦 Data from cache'));
+        console.log(chalk.yellow(result.historical ? '📦 Data from local rate history' : '📦 Data from cache'));
       } else {
-        console.log(chalk.blue('🌐 Live data from API'));
+        console.log(chalk.blue(result.historical ? '🌐 Historical data from API' : '🌐 Live data from API'));
+      }
+
+      if (result.series) {
+        this.displayRateTrend(result.fromCurrency, result.toCurrency, result.series, {
+          ...options,
+          amount: result.amount
+        });
       }
 
       if (options.verbose) {
@@ -575,10 +822,99 @@ class ConvertCommand {
     console.log();
   }
 
+  /**
+   * Show a sparkline and summary for a pair's daily rates; --verbose adds
+   * one row per day
+   */
+  displayRateTrend(fromCurrency, toCurrency, series, options = {}) {
+    const rates = series.map(point => point.rate);
+    const first = series[0];
+    const last = series[series.length - 1];
+    const change = ((last.rate - first.rate) / first.rate) * 100;
+    const changeText = `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`;
+
+    console.log();
+    console.log(chalk.cyan(`📈 ${fromCurrency} → ${toCurrency}`), chalk.gray(`${first.date} – ${last.date} (${series.length} days)`));
+    console.log(chalk.green(outputFormatter.sparkline(rates)));
+    console.log(
+      chalk.gray('Start:'), first.rate.toFixed(4),
+      chalk.gray(' End:'), last.rate.toFixed(4),
+      chalk.gray(' Change:'), change >= 0 ? chalk.green(changeText) : chalk.red(changeText),
+      chalk.gray(' Low:'), Math.min(...rates).toFixed(4),
+      chalk.gray(' High:'), Math.max(...rates).toFixed(4)
+    );
+
+    if (options.verbose) {
+      const amount = options.amount || 1;
+      console.log();
+      outputFormatter.table(
+        series.map(point => [point.date, point.rate.toFixed(4), `${(amount * point.rate).toFixed(2)} ${toCurrency}`]),
+        {
+          head: ['Date', 'Rate', `${amount} ${fromCurrency}`],
+          colAligns: ['left', 'right', 'right'],
+          style: { head: [], border: [], compact: true }
+        }
+      );
+    }
+  }
+
+  /**
+   * Show the trend of major currencies (or one pair, when two currency
+   * codes are given) since a date, from the local rate history
+   */
+  async showRateTrends(since, codes, options = {}) {
+    const from = rateHistory.parseDate(since);
+    const to = rateHistory.today();
+
+    if (codes.length === 2) {
+      const [base, quote] = codes.map(code => code.toUpperCase());
+      const history = await this.fetchRateSeries(base, quote, from, to);
+      this.displayRateTrend(base, quote, history.series, options);
+      console.log(chalk.gray('Provider:'), history.provider);
+      return;
+    }
+
+    console.log(chalk.cyan(`💱 Exchange Rates since ${from} (USD Base)`));
+    console.log();
+
+    const majorCurrencies = ['EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY', 'INR'];
+    const table = new Table({
+      head: [chalk.cyan('Currency'), chalk.cyan('Rate'), chalk.cyan('Change'), chalk.cyan('Trend'), chalk.cyan('Name')],
+      colWidths: [12, 12, 10, 34, 22]
+    });
+
+    for (const currency of majorCurrencies) {
+      try {
+        const { series } = await this.fetchRateSeries('USD', currency, from, to);
+        const first = series[0].rate;
+        const last = series[series.length - 1].rate;
+        const change = ((last - first) / first) * 100;
+
+        table.push([
+          currency,
+          last.toFixed(4),
+          `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`,
+          outputFormatter.sparkline(series.map(point => point.rate), 30),
+          this.getCurrencyName(currency)
+        ]);
+      } catch (error) {
+        table.push([currency, 'N/A', '', '', this.getCurrencyName(currency)]);
+      }
+    }
+
+    console.log(table.toString());
+  }
+
   /**
    * Show current exchange rates
    */
-  async showExchangeRates() {
+  async showExchangeRates(options = {}, args = []) {
+    if (options.since) {
+      const codes = args.filter(arg => arg && isNaN(parseFloat(arg)));
+      await this.showRateTrends(options.since, codes, options);
+      return;
+    }
+
     console.log(chalk.cyan('💱 Current Exchange Rates (USD Base)'));
     console.log();
 
@@ -673,42 +1009,216 @@ class ConvertCommand {
   }
 
   /**
-   * Process batch conversions from file
+   * Process batch conversions from a file: CSV with an amount,from,to
+   * header, JSON (an array of {amount, from, to}) or whitespace-separated
+   * "amount from to" lines. Rows run in parallel and each currency pair's
+   * rate is fetched once. Results go to --output (.csv or .json) or a table.
    */
-  async processBatchConversions(filePath) {
+  async processBatchConversions(filePath, options = {}) {
     const fs = require('fs-extra');
     
     try {
       console.log(chalk.cyan('📄 Processing batch conversions...'));
       
       const content = await fs.readFile(filePath, 'utf8');
-      const lines = content.split('\n').filter(line => line.trim());
-      
+      const rows = this.parseBatchRows(content, filePath);
+      const rates = new Map();
+
+      const results = await Promise.all(rows.map(row => this.convertBatchRow(row, rates, options)));
+
       console.log();
-      
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line || line.startsWith('#')) continue;
-        
-        const parts = line.split(/\s+/);
+      if (options.output) {
+        await this.writeBatchResults(options.output, results);
+        console.log(chalk.green(`💾 Results written to ${options.output}`));
+      } else {
+        this.displayBatchResults(results);
+      }
+
+      this.displayBatchSummary(results, rates.size);
+    } catch (error) {
+      console.log(chalk.red('❌ Failed to process batch file:'), error.message);
+    }
+  }
+
+  /**
+   * Read batch rows as { line, amount, from, to }, with `error` set on
+   * rows that cannot be read
+   */
+  parseBatchRows(content, filePath) {
+    const path = require('path');
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.json') {
+      const data = JSON.parse(content);
+      const items = Array.isArray(data) ? data : data.conversions;
+      if (!Array.isArray(items)) {
+        throw new Error('JSON batch files must contain an array of { amount, from, to } objects');
+      }
+
+      return items.map((item, index) => ({
+        line: index + 1,
+        amount: item?.amount,
+        from: item?.from,
+        to: item?.to
+      }));
+    }
+
+    if (extension === '.csv') {
+      const { headers, records } = csvService.parse(content);
+      const column = name => headers.find(header => header.toLowerCase() === name);
+      const columns = { amount: column('amount'), from: column('from'), to: column('to') };
+
+      if (!columns.amount || !columns.from || !columns.to) {
+        throw new Error('CSV batch files need a header row with amount, from and to columns');
+      }
+
+      return records.map(record => ({
+        line: record.line,
+        amount: record.values[columns.amount],
+        from: record.values[columns.from],
+        to: record.values[columns.to]
+      }));
+    }
+
+    // Plain text: "amount from to" per line, # comments
+    return content.split('\n')
+      .map((text, index) => ({ line: index + 1, text: text.trim() }))
+      .filter(({ text }) => text && !text.startsWith('#'))
+      .map(({ line, text }) => {
+        const parts = text.split(/\s+/);
         if (parts.length !== 3) {
-          console.log(chalk.red(`❌ Invalid format on line ${i + 1}: ${line}`));
-          continue;
+          return { line, error: `Invalid format: ${text}` };
         }
-
         const [amount, from, to] = parts;
-        console.log(chalk.blue(`${i + 1}. Converting ${amount} ${from} to ${to}:`));
-        
-        try {
-          await this.execute(amount, from, to);
-        } catch (error) {
-          console.log(chalk.red(`   Error: ${error.message}`));
+        return { line, amount, from, to };
+      });
+  }
+
+  /**
+   * Convert one batch row. Currency rates are shared through `rates`
+   * (pair → pending conversion of 1 unit), so each pair is fetched once.
+   */
+  async convertBatchRow(row, rates, options = {}) {
+    const result = {
+      line: row.line,
+      amount: row.amount,
+      from: row.from,
+      to: row.to,
+      result: null,
+      rate: null,
+      rateTimestamp: null,
+      provider: null,
+      status: 'ok',
+      error: null
+    };
+
+    try {
+      if (row.error) {
+        throw new Error(row.error);
+      }
+
+      const amount = parseFloat(row.amount);
+      if (isNaN(amount) || !row.from || !row.to) {
+        throw new Error(isNaN(amount) ? `Invalid amount: ${row.amount}` : 'Missing from or to');
+      }
+
+      const from = String(row.from).trim();
+      const to = String(row.to).trim();
+      const type = this.getConversionType(from, to);
+      result.amount = amount;
+
+      if (type === 'currency') {
+        const pair = `${from.toUpperCase()}:${to.toUpperCase()}`;
+        if (!rates.has(pair)) {
+          rates.set(pair, this.convertCurrency(1, from.toUpperCase(), to.toUpperCase(), { historical: options.historical }));
         }
-        
-        console.log();
+
+        const quote = await rates.get(pair);
+        result.result = amount * quote.rate;
+        result.rate = quote.rate;
+        result.rateTimestamp = quote.rateTimestamp || quote.date || null;
+        result.provider = quote.provider || null;
+      } else if (type === 'unit') {
+        const converted = this.convertUnit(amount, from, to);
+        const linear = converted.category !== 'temperature' && converted.category !== 'fuel economy';
+
+        result.result = converted.convertedAmount;
+        result.rate = linear ? this.convertUnit(1, from, to).convertedAmount : null;
+        result.provider = 'local';
+      } else {
+        throw new Error(`Unsupported conversion: ${from} to ${to}`);
       }
     } catch (error) {
-      console.log(chalk.red('❌ Failed to process batch file:'), error.message);
+      result.status = 'failed';
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Write batch results as CSV or JSON, chosen by the file extension
+   */
+  async writeBatchResults(outputPath, results) {
+    const fs = require('fs-extra');
+    const path = require('path');
+    const extension = path.extname(outputPath).toLowerCase();
+    const columns = ['line', 'amount', 'from', 'to', 'result', 'rate', 'rateTimestamp', 'provider', 'status', 'error'];
+
+    if (extension === '.json') {
+      await fs.writeJson(outputPath, results, { spaces: 2 });
+    } else if (extension === '.csv') {
+      await fs.writeFile(outputPath, csvService.stringify(results, columns));
+    } else {
+      throw new Error(`Unsupported output format: ${extension || outputPath}. Use .csv or .json`);
+    }
+  }
+
+  /**
+   * Show batch results as a table
+   */
+  displayBatchResults(results) {
+    const table = new Table({
+      head: [chalk.cyan('Line'), chalk.cyan('Conversion'), chalk.cyan('Result'), chalk.cyan('Rate'), chalk.cyan('Provider')]
+    });
+
+    for (const row of results) {
+      if (row.status === 'failed') {
+        table.push([row.line, `${row.amount ?? ''} ${row.from ?? ''} → ${row.to ?? ''}`, chalk.red(row.error), '', '']);
+        continue;
+      }
+
+      table.push([
+        row.line,
+        `${row.amount} ${row.from} → ${row.to}`,
+        `${Number(row.result.toFixed(6))} ${row.to}`,
+        row.rate === null ? '' : Number(row.rate.toFixed(6)),
+        row.provider || ''
+      ]);
+    }
+
+    console.log(table.toString());
+  }
+
+  /**
+   * Summarize a batch run, listing failed rows
+   */
+  displayBatchSummary(results, pairCount) {
+    const failed = results.filter(row => row.status === 'failed');
+
+    console.log();
+    console.log(
+      chalk.green(`✅ ${results.length - failed.length} converted`),
+      failed.length > 0 ? chalk.red(`❌ ${failed.length} failed`) : chalk.gray('❌ 0 failed'),
+      chalk.gray(`(${pairCount} currency pair${pairCount === 1 ? '' : 's'}, one rate fetch each)`)
+    );
+
+    if (failed.length > 0) {
+      console.log();
+      console.log(chalk.yellow('Failed rows:'));
+      failed.forEach(row => {
+        console.log(chalk.red(`  Line ${row.line}: ${row.error}`));
+      });
     }
   }
 
@@ -726,90 +1236,20 @@ class ConvertCommand {
   }
 
   /**
-   * Get supported units with conversion factors (ALL LOCAL CALCULATIONS)
+   * Get supported unit codes with conversion factors, by category.
+   * Built from the shared unit registry so calculate and convert agree.
    */
   getSupportedUnits() {
-    return {
-      // Length conversions (base: meters)
-      length: {
-        // Metric
-        'MM': 0.001, 'MILLIMETER': 0.001, 'MILLIMETERS': 0.001,
-        'CM': 0.01, 'CENTIMETER': 0.01, 'CENTIMETERS': 0.01,
-        'M': 1, 'METER': 1, 'METERS': 1,
-        'KM': 1000, 'KILOMETER': 1000, 'KILOMETERS': 1000,
-        
-        // Imperial
-        'IN': 0.0254, 'INCH': 0.0254, 'INCHES': 0.0254,
-        'FT': 0.3048, 'FOOT': 0.3048, 'FEET': 0.3048,
-        'YD': 0.9144, 'YARD': 0.9144, 'YARDS': 0.9144,
-        'MI': 1609.344, 'MILE': 1609.344, 'MILES': 1609.344,
-        
-        // Nautical
-        'NM': 1852, 'NAUTICAL_MILE': 1852, 'NAUTICAL_MILES': 1852
-      },
-      
-      // Weight conversions (base: grams)
-      weight: {
-        // Metric
-        'MG': 0.001, 'MILLIGRAM': 0.001, 'MILLIGRAMS': 0.001,
-        'G': 1, 'GRAM': 1, 'GRAMS': 1,
-        'KG': 1000, 'KILOGRAM': 1000, 'KILOGRAMS': 1000,
-        'TONNE': 1000000, 'TONNES': 1000000, 'MT': 1000000,
-        
-        // Imperial
-        'OZ': 28.3495231, 'OUNCE': 28.3495231, 'OUNCES': 28.3495231,
-        'LB': 453.59237, 'LBS': 453.59237, 'POUND': 453.59237, 'POUNDS': 453.59237,
-        'ST': 6350.29318, 'STONE': 6350.29318, 'STONES': 6350.29318,
-        'TON': 907184.74, 'TONS': 907184.74, 'SHORT_TON': 907184.74
-      },
-      
-      // Volume conversions (base: liters)
-      volume: {
-        // Metric
-        'ML': 0.001, 'MILLILITER': 0.001, 'MILLILITERS': 0.001,
-        'L': 1, 'LITER': 1, 'LITERS': 1, 'LITRE': 1, 'LITRES': 1,
-        
-        // US Liquid
-        'FL_OZ': 0.0295735, 'FLUID_OUNCE': 0.0295735, 'FLUID_OUNCES': 0.0295735,
-        'CUP': 0.236588, 'CUPS': 0.236588,
-        'PINT': 0.473176, 'PINTS': 0.473176, 'PT': 0.473176,
-        'QUART': 0.946353, 'QUARTS': 0.946353, 'QT': 0.946353,
-        'GALLON': 3.78541, 'GALLONS': 3.78541, 'GAL': 3.78541,
-        
-        // Imperial
-        'IMP_FL_OZ': 0.0284131, 'IMP_PINT': 0.568261, 'IMP_QUART': 1.13652, 'IMP_GALLON': 4.54609
-      },
-      
-      // Area conversions (base: square meters)
-      area: {
-        // Metric
-        'SQ_MM': 0.000001, 'SQ_CM': 0.0001, 'SQ_M': 1, 'SQ_KM': 1000000,
-        'HECTARE': 10000, 'HA': 10000,
-        
-        // Imperial
-        'SQ_IN': 0.00064516, 'SQ_FT': 0.092903, 'SQ_YD': 0.836127,
-        'ACRE': 4046.86, 'ACRES': 4046.86, 'SQ_MILE': 2589988.11
-      },
-      
-      // Temperature (special handling - no conversion factors)
-      temperature: {
-        'C': 1, 'CELSIUS': 1, '°C': 1,
-        'F': 1, 'FAHRENHEIT': 1, '°F': 1,
-        'K': 1, 'KELVIN': 1,
-        'R': 1, 'RANKINE': 1, '°R': 1
-      },
-      
-      // Time conversions (base: seconds)
-      time: {
-        'MS': 0.001, 'MILLISECOND': 0.001, 'MILLISECONDS': 0.001,
-        'S': 1, 'SEC': 1, 'SECOND': 1, 'SECONDS': 1,
-        'MIN': 60, 'MINUTE': 60, 'MINUTES': 60,
-        'H': 3600, 'HR': 3600, 'HOUR': 3600, 'HOURS': 3600,
-        'D': 86400, 'DAY': 86400, 'DAYS': 86400,
-        'WK': 604800, 'WEEK': 604800, 'WEEKS': 604800,
-        'YR': 31536000, 'YEAR': 31536000, 'YEARS': 31536000
+    const units = {};
+
+    for (const [category, codes] of Object.entries(unitRegistry.aliases)) {
+      units[category] = {};
+      for (const code of Object.keys(codes)) {
+        units[category][code] = unitRegistry.factor(code);
       }
-    };
+    }
+
+    return units;
   }
 
   /**
@@ -4,6 +4,7 @@
  */
 
 const chalk = require('chalk');
+const readline = require('readline');
 const weatherService = require('../services/weather');
 const weatherAscii = require('../assets/weather-ascii');
 const i18n = require('../services/i18n');
@@ -11,6 +12,13 @@ const loggerService = require('../services/logger');
 const outputFormatter = require('../services/output-formatter');
 const errorHandler = require('../services/error-handler');
 const debugService = require('../services/debug-service');
+const configService = require('../services/config');
+const platformService = require('../services/platform-service');
+const weatherExport = require('../services/weather-export');
+const gazetteer = require('../services/gazetteer');
+const weatherWatch = require('../services/weather-watch');
+
+const ALIAS_PATTERN = /^[a-z0-9][a-z0-9._-]{0,31}$/;
 
 class WeatherCommand {
   constructor() {
@@ -44,18 +52,65 @@ class WeatherCommand {
       5: { label: 'Very Poor', color: 'redBright' },
       6: { label: 'Extremely Poor', color: 'magenta' }
     };
+
+    // Chart cells by fill in eighths (0-8), and stand-ins for the wind
+    // arrows on terminals without Unicode
+    this.chartBlocks = {
+      unicode: [' ', '▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'],
+      ascii: [' ', '.', '.', '.', ':', ':', '#', '#', '#']
+    };
+    this.asciiArrows = { '↑': '^', '↗': '/', '→': '>', '↘': '\\', '↓': 'v', '↙': '/', '←': '<', '↖': '\\' };
+    this.maxHourlyHours = 120;
+
+    // Set while --format json|csv runs: stdout then carries only the document
+    this.outputFormat = null;
+    this.outputEmitted = false;
+    this.outputError = null;
   }
 
   /**
    * Execute weather command with comprehensive display options
    */
   async execute(location, options = {}) {
+    if (options.format && !this.outputFormat) {
+      let format;
+      try {
+        format = weatherExport.parseFormat(options.format);
+      } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = 1;
+        return;
+      }
+      if (format !== 'table') {
+        return this.executeWithMachineOutput(location, { ...options, format });
+      }
+    }
+
     try {
       debugService.markPerformance('weather_command', 'start');
       debugService.debug('Executing weather command', { location, options }, 'weather');
 
-      // Check if we should use proxy API or direct API keys
-      const useProxyAPI = process.env.MDSAAD_USE_PROXY !== 'false'; // Default to proxy
+      // Saved locations live in config and need no weather provider
+      if (location?.toLowerCase() === 'locations') {
+        await this.handleLocationsCommand(options.args || []);
+        debugService.markPerformance('weather_command', 'end');
+        return;
+      }
+      // weather watch <location>: poll until interrupted
+      if (location?.toLowerCase() === 'watch') {
+        options = { ...options, watch: true };
+        location = (options.args || []).join(' ').trim() || undefined;
+      } else if (location && options.args?.length > 0) {
+        // An unquoted place name: weather New York
+        location = [location, ...options.args].join(' ');
+      }
+      location = await this.disambiguateLocation(this.resolveAlias(location), options);
+
+      // Check if we should use proxy API or direct API keys. The dashboard,
+      // hourly charts, watch mode and --format exports need normalized
+      // data, so they always go direct.
+      const useProxyAPI = process.env.MDSAAD_USE_PROXY !== 'false' &&
+        !options.all && !options.hourly && !options.watch && !this.outputFormat; // Default to proxy
       
       if (useProxyAPI) {
         // Use proxy API (no API keys needed for users)
@@ -113,14 +168,22 @@ class WeatherCommand {
       }
 
       // Get weather data based on options
-      if (options.forecast) {
+      if (options.watch) {
+        await this.watchWeather(location, options);
+      } else if (this.outputFormat) {
+        await this.exportWeather(location, options);
+      } else if (options.all) {
+        await this.displayDashboard(options);
+      } else if (options.hourly) {
+        await this.displayHourlyForecast(location, options);
+      } else if (options.forecast) {
         await this.displayForecast(location, options);
       } else {
         await this.displayCurrentWeather(location, options);
       }
 
       // Show alerts if requested
-      if (options.alerts) {
+      if (options.alerts && !options.all && !options.watch && !this.outputFormat) {
         await this.displayWeatherAlerts(location, options);
       }
 
@@ -129,6 +192,9 @@ class WeatherCommand {
 
     } catch (error) {
       debugService.markPerformance('weather_command', 'end');
+      if (this.outputFormat) {
+        this.outputError = error.message;
+      }
       
       const result = await errorHandler.handleError(error, {
         command: 'weather',
@@ -143,6 +209,66 @@ class WeatherCommand {
     }
   }
 
+  /**
+   * Run with --format json|csv, as normalized by parseFormat: everything
+   * but the document goes to stderr, and a JSON error document is printed
+   * if no data could be produced
+   */
+  async executeWithMachineOutput(location, options) {
+    const { format } = options;
+    const log = console.log;
+    console.log = (...args) => console.error(...args);
+    this.outputFormat = format;
+    this.outputEmitted = false;
+    this.outputError = null;
+
+    try {
+      await this.execute(location, options);
+    } finally {
+      console.log = log;
+      this.outputFormat = null;
+    }
+
+    if (!this.outputEmitted) {
+      if (format === 'json') {
+        process.stdout.write(JSON.stringify(weatherExport.error(this.outputError || 'No weather data was produced; see stderr for details'), null, 2) + '\n');
+      }
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * Fetch current conditions or a forecast (plus alerts with --alerts)
+   * and print it as a JSON or CSV document
+   */
+  async exportWeather(location, options = {}) {
+    if (options.all) {
+      throw new Error('--format json and csv work with one location; drop --all');
+    }
+
+    const units = options.units || 'metric';
+    const request = { units, lang: options.lang || 'en' };
+    const hours = options.hourly ? this.parseHours(options.hourly) : null;
+    const isForecast = Boolean(options.forecast || hours);
+    const days = hours ? Math.ceil(hours / 24) + 1 : parseInt(options.days) || 5;
+
+    const [data, alerts] = await Promise.all([
+      isForecast
+        ? weatherService.getWeatherForecast(location, { ...request, days })
+        : weatherService.getCurrentWeather(location, request),
+      options.alerts ? weatherService.getAlertReport(location, options) : null
+    ]);
+
+    const document = isForecast
+      ? weatherExport.forecast(hours ? { ...data, hourly: this.selectHourlyWindow(data.hourly, hours) } : data, { units, alerts })
+      : weatherExport.current(data, { units, alerts });
+
+    process.stdout.write(this.outputFormat === 'csv'
+      ? weatherExport.toCsv(document, { hourly: Boolean(hours) })
+      : JSON.stringify(document, null, 2) + '\n');
+    this.outputEmitted = true;
+  }
+
   /**
    * Handle special commands (status, providers, etc.)
    */
@@ -308,6 +434,146 @@ class WeatherCommand {
     }
   }
 
+  /**
+   * Display the next hours as temperature and precipitation charts with
+   * a time axis and wind arrows. Falls back to ASCII when the terminal has
+   * no Unicode support or --ascii is given.
+   */
+  async displayHourlyForecast(location, options = {}) {
+    try {
+      const hours = this.parseHours(options.hourly);
+      const units = options.units || 'metric';
+      console.log(chalk.yellow(`🌤️ Getting ${hours}-hour forecast...`));
+      console.log();
+
+      const forecastData = await weatherService.getWeatherForecast(location, {
+        units,
+        lang: options.lang || 'en',
+        days: Math.ceil(hours / 24) + 1
+      });
+
+      const entries = this.selectHourlyWindow(forecastData.hourly, hours);
+
+      if (entries.length === 0) {
+        console.log(chalk.yellow(`⚠️ ${forecastData.provider} returned no hourly data for this location`));
+        return;
+      }
+
+      this.displayWeatherHeader(forecastData);
+
+      const unicode = !options.ascii && platformService.supportsUnicode();
+      const width = Math.max(1, Math.min(3, Math.floor(((process.stdout.columns || 80) - 8) / entries.length)));
+      const chart = { unicode, width, height: 6 };
+
+      console.log(chalk.cyan(`🌡️ Temperature (°${units === 'imperial' ? 'F' : 'C'})`));
+      this.renderChart(entries.map(entry => entry.temperature), { ...chart, baseline: true })
+        .forEach(line => console.log(chalk.yellow(line)));
+      console.log(chalk.gray(this.renderTimeAxis(entries, width)));
+      console.log();
+
+      console.log(chalk.cyan('💧 Precipitation probability (%)'));
+      this.renderChart(entries.map(entry => entry.pop || 0), { ...chart, min: 0, max: 100 })
+        .forEach(line => console.log(chalk.blue(line)));
+      console.log(chalk.gray(this.renderTimeAxis(entries, width)));
+      console.log();
+
+      console.log(chalk.cyan(`💨 Wind (${this.getSpeedUnit(units)})`));
+      console.log(this.renderWindRow(entries, width, unicode));
+      console.log(this.renderAxis(entries.map(entry => String(entry.wind?.speed ?? '')), width));
+      console.log(chalk.gray(this.renderTimeAxis(entries, width)));
+      console.log();
+
+      const step = entries.length > 1 ? Math.round((entries[1].date - entries[0].date) / 3600000) : 1;
+      console.log(chalk.gray(`${entries.length} steps${step > 1 ? ` of ${step} hours` : ''} • ` +
+        `Data from ${forecastData.provider.toUpperCase()} • Last updated: ${this.formatTime(new Date(forecastData.timestamp))}`));
+
+    } catch (error) {
+      throw new Error(`Failed to get hourly forecast: ${error.message}`);
+    }
+  }
+
+  /**
+   * Hourly steps from the current one through the next `hours` hours
+   */
+  selectHourlyWindow(hourly = [], hours) {
+    const upcoming = hourly
+      .map(entry => ({ ...entry, date: new Date(entry.date) }))
+      .filter(entry => entry.date.getTime() > Date.now() - 60 * 60 * 1000);
+    const end = upcoming.length > 0 ? upcoming[0].date.getTime() + hours * 60 * 60 * 1000 : 0;
+    return upcoming.filter(entry => entry.date.getTime() < end);
+  }
+
+  /**
+   * Hours for --hourly: true means the default of 24
+   */
+  parseHours(value) {
+    if (value === true || value === undefined) {
+      return 24;
+    }
+    const hours = parseInt(value, 10);
+    if (!Number.isFinite(hours) || hours < 1 || hours > this.maxHourlyHours) {
+      throw new Error(`Invalid --hourly value "${value}". Use 1-${this.maxHourlyHours} hours`);
+    }
+    return hours;
+  }
+
+  /**
+   * Column chart as lines from top to bottom, with the range on the left.
+   * Each value gets `width` characters; cells fill in eighths. With
+   * `baseline` the lowest value still shows as a sliver.
+   */
+  renderChart(values, { height = 6, width = 2, unicode = true, min, max, baseline = false } = {}) {
+    const blocks = unicode ? this.chartBlocks.unicode : this.chartBlocks.ascii;
+    const low = min !== undefined ? min : Math.min(...values);
+    const high = max !== undefined ? max : Math.max(...values);
+    const range = high - low || 1;
+    const steps = height * 8;
+
+    const levels = values.map(value => {
+      const fraction = Math.min(Math.max((value - low) / range, 0), 1);
+      return baseline ? 1 + Math.round(fraction * (steps - 1)) : Math.round(fraction * steps);
+    });
+
+    const lines = [];
+    for (let row = height - 1; row >= 0; row--) {
+      const label = row === height - 1 ? String(Math.round(high)) : row === 0 ? String(Math.round(low)) : '';
+      const cells = levels.map(level => {
+        const fill = Math.min(Math.max(level - row * 8, 0), 8);
+        return blocks[fill].repeat(Math.max(1, width - 1)).padEnd(width);
+      });
+      lines.push(`${label.padStart(5)} ${unicode ? '│' : '|'}${cells.join('')}`);
+    }
+    return lines;
+  }
+
+  /**
+   * One label per column (e.g. the hour), skipping columns so that
+   * labels do not overlap
+   */
+  renderAxis(labels, width) {
+    const axis = new Array(labels.length * width).fill(' ');
+    const every = Math.ceil(3 / width);
+
+    labels.forEach((label, index) => {
+      if (index % every === 0) {
+        axis.splice(index * width, label.length, ...label);
+      }
+    });
+    return `       ${axis.join('').substring(0, labels.length * width)}`;
+  }
+
+  renderTimeAxis(entries, width) {
+    return this.renderAxis(entries.map(entry => String(entry.date.getHours()).padStart(2, '0')), width);
+  }
+
+  renderWindRow(entries, width, unicode) {
+    return '       ' + entries.map(entry => {
+      const arrow = weatherAscii.windArrows[this.getWindDirection(entry.wind?.direction)] || '·';
+      const symbol = unicode ? arrow : this.asciiArrows[arrow] || '.';
+      return symbol.padEnd(width);
+    }).join('');
+  }
+
   /**
    * Display weather alerts
    */
@@ -352,6 +618,333 @@ class WeatherCommand {
     }
   }
 
+  /**
+   * weather watch: poll current conditions and alerts every --interval and
+   * notify (terminal bell, stderr, --exec hook) only for alerts not seen
+   * before and thresholds that become met. Runs until Ctrl+C, or once
+   * with --once.
+   */
+  async watchWeather(location, options = {}) {
+    if (this.outputFormat) {
+      throw new Error('--format json|csv is not supported with weather watch');
+    }
+
+    let settings;
+    try {
+      settings = this.getWatchSettings(options);
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      return;
+    }
+
+    const label = location || 'your location';
+    console.log(chalk.cyan(`👀 Watching ${label} every ${this.formatDuration(settings.interval)}`));
+    console.log(chalk.gray(settings.thresholds.length > 0
+      ? `   Thresholds: ${settings.thresholds.map(threshold => threshold.text).join(', ')}`
+      : '   Thresholds: none (alerts only; add --threshold "wind>50km/h")'));
+    if (!options.once) {
+      console.log(chalk.gray('   Press Ctrl+C to stop'));
+    }
+
+    let stopped = false;
+    let wake = null;
+    let timer = null;
+    const stop = () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (wake) wake();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    try {
+      while (!stopped) {
+        await this.pollWatch(location, settings);
+        if (options.once || stopped) break;
+        await new Promise(resolve => {
+          wake = resolve;
+          timer = setTimeout(resolve, settings.interval);
+        });
+      }
+    } finally {
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+    }
+
+    if (stopped) {
+      console.log(chalk.gray('\nStopped watching'));
+    }
+  }
+
+  /**
+   * Watch options, with weather.watch.* config as defaults
+   */
+  getWatchSettings(options) {
+    const units = options.units === 'imperial' ? 'imperial' : 'metric';
+    const rules = options.threshold?.length > 0
+      ? options.threshold
+      : configService.get('weather.watch.thresholds', []) || [];
+
+    return {
+      units,
+      interval: weatherWatch.parseInterval(options.interval || configService.get('weather.watch.interval', weatherWatch.defaultInterval)),
+      thresholds: rules.map(rule => weatherWatch.parseThreshold(rule, { units })),
+      channels: weatherWatch.parseChannels(options.notify || configService.get('weather.watch.notify')),
+      hook: options.exec || configService.get('weather.watch.exec', null)
+    };
+  }
+
+  /**
+   * One check: fetch, compare with the saved state, notify, save. A failed
+   * fetch is reported and retried at the next interval.
+   */
+  async pollWatch(location, settings) {
+    const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    let weather;
+    let alerts;
+    try {
+      // Cached data younger than the interval is fresh enough
+      [weather, alerts] = await Promise.all([
+        weatherService.getCurrentWeather(location, { units: 'metric', maxAge: settings.interval }),
+        weatherService.getWeatherAlerts(location, { maxAge: settings.interval })
+      ]);
+    } catch (error) {
+      console.error(chalk.yellow(`[${time}] ⚠️ Check failed: ${error.message}`));
+      return [];
+    }
+
+    const state = await weatherWatch.loadState();
+    const events = weatherWatch.check(state, { weather, alerts, thresholds: settings.thresholds });
+    await weatherWatch.saveState(state);
+
+    const reading = (metric, unit) => {
+      const value = weatherWatch.measure(weather.current, { metric, unit });
+      return value === null ? '?' : `${Math.round(value)}${unit}`;
+    };
+    const imperial = settings.units === 'imperial';
+    console.log(chalk.gray(`[${time}] ${this.formatPlace(weather.location)}  ${reading('temp', imperial ? '°F' : '°C')}  ` +
+      `${weather.current.condition}  wind ${reading('wind', imperial ? 'mph' : 'km/h')}  ${alerts.length} alert(s)`));
+
+    for (const event of events) {
+      await this.notifyWatchEvent(event, settings);
+    }
+    return events;
+  }
+
+  /**
+   * Ring the bell and print the event (to stderr with the stderr channel,
+   * so it stands out from the stdout log), then run the hook
+   */
+  async notifyWatchEvent(event, settings) {
+    const line = chalk.red(`${event.type === 'alert' ? '🚨' : '⚠️'} ${event.title} - ${event.message}`);
+
+    if (settings.channels.includes('bell')) {
+      process.stderr.write('\u0007');
+    }
+    if (settings.channels.includes('stderr')) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+    if (settings.hook) {
+      try {
+        await weatherWatch.runHook(settings.hook, event);
+      } catch (error) {
+        console.error(chalk.yellow(`⚠️ Notification hook failed: ${error.message}`));
+      }
+    }
+  }
+
+  formatDuration(ms) {
+    if (ms % (60 * 60 * 1000) === 0) return `${ms / (60 * 60 * 1000)}h`;
+    if (ms % (60 * 1000) === 0) return `${ms / (60 * 1000)}m`;
+    return `${ms / 1000}s`;
+  }
+
+  /**
+   * Saved locations as { alias: location }
+   */
+  getSavedLocations() {
+    return configService.get('weather.locations', {}) || {};
+  }
+
+  /**
+   * The saved location for an alias (e.g. "home"), or the input unchanged
+   */
+  resolveAlias(location) {
+    if (typeof location !== 'string') {
+      return location;
+    }
+    return this.getSavedLocations()[location.trim().toLowerCase()] || location;
+  }
+
+  /**
+   * Ask which city is meant when a bare name matches several gazetteer
+   * entries ("Paris" -> Paris, FR or Paris, US-TX). Without a terminal,
+   * or with --format, the service picks the most populous and says so.
+   */
+  async disambiguateLocation(location, options = {}) {
+    if (typeof location !== 'string' || location.includes(',') || options.all || this.outputFormat ||
+        !process.stdin.isTTY || gazetteer.getMode() !== 'first') {
+      return location;
+    }
+
+    const candidates = gazetteer.matches(location);
+    if (candidates.length < 2) {
+      return location;
+    }
+
+    console.error(chalk.yellow(`📍 "${location}" matches ${candidates.length} places:`));
+    candidates.forEach((city, index) => {
+      console.error(`   ${index + 1}. ${gazetteer.describe(city)}`);
+    });
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    const answer = await new Promise(resolve => {
+      rl.question(chalk.yellow(`Choose 1-${candidates.length} (1): `), resolve);
+    });
+    rl.close();
+
+    const choice = answer.trim() === '' ? 1 : Number(answer.trim());
+    if (!Number.isInteger(choice) || choice < 1 || choice > candidates.length) {
+      throw new Error(`Invalid choice "${answer.trim()}". Enter a number from 1 to ${candidates.length}`);
+    }
+    return gazetteer.toQuery(candidates[choice - 1]);
+  }
+
+  /**
+   * weather locations add <alias> <location> | rm <alias> | list
+   */
+  async handleLocationsCommand([action = 'list', alias, ...rest]) {
+    const locations = { ...this.getSavedLocations() };
+    const name = String(alias || '').trim().toLowerCase();
+
+    switch (action.toLowerCase()) {
+      case 'add':
+      case 'set': {
+        const location = rest.join(' ').trim();
+        if (!name || !location) {
+          console.log(chalk.red('❌ Usage: mdsaad weather locations add <alias> <location>'));
+          return;
+        }
+        if (!ALIAS_PATTERN.test(name) || this.isReservedName(name)) {
+          console.log(chalk.red(`❌ Invalid alias "${alias}". Use letters, digits, ".", "-" or "_" (max 32), not a weather subcommand`));
+          return;
+        }
+
+        const existed = Boolean(locations[name]);
+        locations[name] = location;
+        await configService.set('weather.locations', locations);
+        console.log(chalk.green(`📍 ${existed ? 'Updated' : 'Saved'} ${chalk.white(name)} → ${location}`));
+        return;
+      }
+
+      case 'rm':
+      case 'remove':
+        if (!locations[name]) {
+          console.log(chalk.red(`❌ No saved location named "${alias || ''}"`));
+          return;
+        }
+        delete locations[name];
+        await configService.set('weather.locations', locations);
+        console.log(chalk.green(`🗑️ Removed ${name}`));
+        return;
+
+      case 'list':
+      case 'ls':
+        this.listSavedLocations(locations);
+        return;
+
+      default:
+        console.log(chalk.red(`❌ Unknown locations action "${action}". Use add, rm or list`));
+    }
+  }
+
+  listSavedLocations(locations) {
+    const entries = Object.entries(locations);
+    if (entries.length === 0) {
+      console.log(chalk.yellow('No saved locations yet'));
+      console.log(chalk.gray('Add one with: mdsaad weather locations add home "Berlin, DE"'));
+      return;
+    }
+
+    console.log(chalk.cyan(`📍 Saved Locations (${entries.length})`));
+    outputFormatter.table(entries.map(([alias, location]) => [alias, location]), {
+      head: ['Alias', 'Location'],
+      style: { head: [], border: [], compact: true }
+    });
+  }
+
+  isReservedName(name) {
+    return ['help', 'status', 'providers', 'stats', 'statistics', 'locations', 'watch'].includes(name);
+  }
+
+  /**
+   * Current conditions for every saved location, fetched concurrently,
+   * as one compact table. A failed location shows its error in its row.
+   */
+  async displayDashboard(options = {}) {
+    const entries = Object.entries(this.getSavedLocations());
+    if (entries.length === 0) {
+      console.log(chalk.yellow('No saved locations for --all'));
+      console.log(chalk.gray('Add one with: mdsaad weather locations add home "Berlin, DE"'));
+      return;
+    }
+
+    const units = options.units || 'metric';
+    console.log(chalk.yellow(`🌤️ Getting weather for ${entries.length} location(s)...`));
+
+    const results = await Promise.all(entries.map(async ([alias, location]) => {
+      try {
+        const data = await weatherService.getCurrentWeather(location, { units, lang: options.lang || 'en' });
+        return { alias, location, data };
+      } catch (error) {
+        return { alias, location, error: error.message };
+      }
+    }));
+
+    console.log();
+    outputFormatter.table(results.map(result => this.buildDashboardRow(result, units)), {
+      head: ['Location', 'Temp', 'Condition', 'Wind', 'AQI'],
+      colAligns: ['left', 'right', 'left', 'left', 'left'],
+      style: { head: [], border: [], compact: true }
+    });
+
+    const failed = results.filter(result => result.error).length;
+    if (failed > 0) {
+      console.log(chalk.yellow(`⚠️ ${failed} of ${results.length} location(s) could not be retrieved`));
+    }
+  }
+
+  buildDashboardRow({ alias, location, data, error }, units) {
+    const label = `${chalk.white(alias)} ${chalk.gray(data ? this.formatPlace(data.location) : location)}`;
+    if (error) {
+      return [label, '-', chalk.red(error), '-', '-'];
+    }
+
+    const current = data.current;
+    const windDir = this.getWindDirection(current.wind?.direction);
+    const wind = current.wind
+      ? `${current.wind.speed} ${this.getSpeedUnit(units)}${windDir ? ` ${weatherAscii.windArrows[windDir] || ''} ${windDir}` : ''}`
+      : '-';
+    const epaIndex = current.airQuality?.usEpaIndex;
+    const aqiLabel = this.aqiLabels[epaIndex] || { label: 'Unknown', color: 'gray' };
+    const aqi = epaIndex ? chalk[aqiLabel.color](`${epaIndex} ${aqiLabel.label}`) : '-';
+
+    return [
+      label,
+      chalk[this.getTemperatureColor(current.temperature)](`${current.temperature}°`),
+      `${this.getWeatherIcon(current.conditionCode, current.icon)} ${current.condition}`,
+      wind,
+      aqi
+    ];
+  }
+
+  formatPlace(location = {}) {
+    return location.country && location.country !== 'N/A' ? `${location.name}, ${location.country}` : location.name;
+  }
+
   /**
    * Display weather header with location info
    */
@@ -668,16 +1261,35 @@ class WeatherCommand {
     console.log('  mdsaad weather                     →  Current weather (auto-detected location)');
     console.log('  mdsaad weather "New York"          →  Current weather for specific city');
     console.log('  mdsaad weather "40.7128,-74.0060"  →  Weather for coordinates (lat,lon)');
+    console.log('  mdsaad weather "Paris, TX"         →  A country or state picks between same-named cities');
     console.log();
     
     console.log(chalk.cyan('Display Options:'));
     console.log('  -d, --detailed                     →  Show detailed weather information');
     console.log('  -f, --forecast                     →  Show weather forecast');
     console.log('  --days <number>                    →  Forecast days (1-10, default: 5)');
+    console.log('  --hourly [hours]                   →  Hourly temperature and precipitation charts (default: 24)');
+    console.log('  --ascii                            →  Draw charts with ASCII characters only');
+    console.log('  --format <format>                  →  Output as table (default), json or csv');
     console.log('  -u, --units <system>               →  Temperature units (metric, imperial)');
     console.log('  --alerts                           →  Show weather alerts and warnings');
+    console.log('  --all                              →  Dashboard of every saved location');
+    console.log();
+
+    console.log(chalk.cyan('Saved Locations:'));
+    console.log('  mdsaad weather locations add home "Berlin, DE"  →  Save an alias');
+    console.log('  mdsaad weather locations rm home                →  Remove an alias');
+    console.log('  mdsaad weather locations list                   →  List aliases');
+    console.log('  mdsaad weather home                             →  Weather for a saved alias');
     console.log();
     
+    console.log(chalk.cyan('Watch Mode:'));
+    console.log('  mdsaad weather watch Oslo --interval 15m        →  Notify on new alerts until Ctrl+C');
+    console.log('  --threshold "wind>50km/h" --threshold "temp<0"  →  Also notify when a rule becomes true');
+    console.log('  --notify bell,stderr | none                     →  Notification channels');
+    console.log('  --exec \'notify-send "$MDSAAD_WATCH_TITLE"\'     →  Run a command per notification');
+    console.log();
+
     console.log(chalk.cyan('Information Commands:'));
     console.log('  mdsaad weather status              →  Show service status');
     console.log('  mdsaad weather providers           →  Show provider status');
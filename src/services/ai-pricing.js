@@ -0,0 +1,75 @@
+/**
+ * AI Pricing Service
+ * List prices per model for estimating what a request costs. Free-tier
+ * providers may charge nothing; the estimate is what the same tokens
+ * would cost on a paid plan. Prices can be overridden with ai.pricing.
+ */
+
+const configService = require('./config');
+
+class AIPricingService {
+  constructor() {
+    // USD per million tokens: [pattern, input, output], matched against the
+    // provider's model name first, then our model key (first match wins)
+    this.prices = [
+      [/:free$/, 0, 0],
+      [/gpt-4o-mini/, 0.15, 0.6],
+      [/gpt-4o/, 2.5, 10],
+      [/gemini-1\.5-flash/, 0.075, 0.3],
+      [/gemini-1\.5-pro/, 1.25, 5],
+      [/gemini-pro/, 0.5, 1.5],
+      [/deepseek/, 0.27, 1.1],
+      [/llama-?3\.1-8b/, 0.05, 0.08],
+      [/llama-?3\.1-70b/, 0.59, 0.79],
+      [/mixtral-8x7b/, 0.24, 0.24],
+      [/gemma-7b/, 0.07, 0.07]
+    ];
+  }
+
+  /**
+   * Price per million tokens, or null when the model is unknown.
+   * ai.pricing entries are keyed "provider/model" or "model" and look
+   * like { "input": 0.5, "output": 1.5 }.
+   */
+  getPrice(provider, model, actualModel = model) {
+    // Local models and the MDSAAD proxy cost the user nothing
+    if (provider === 'ollama' || provider === 'proxy') {
+      return { input: 0, output: 0, source: provider === 'ollama' ? 'local' : 'free' };
+    }
+
+    const overrides = configService.get('ai.pricing', {}) || {};
+    const override = overrides[`${provider}/${model}`] || overrides[model];
+    if (override) {
+      return { input: Number(override.input) || 0, output: Number(override.output) || 0, source: 'config' };
+    }
+
+    for (const name of [actualModel, model]) {
+      const match = this.prices.find(([pattern]) => pattern.test(String(name || '').toLowerCase()));
+      if (match) {
+        return { input: match[1], output: match[2], source: 'list' };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Cost in USD of normalized usage ({ promptTokens, completionTokens }),
+   * or null when the price is unknown
+   */
+  cost(provider, model, usage, actualModel) {
+    const price = this.getPrice(provider, model, actualModel);
+    if (!price) {
+      return null;
+    }
+    return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+  }
+
+  formatCost(cost) {
+    if (cost === null || cost === undefined) return 'n/a';
+    if (cost === 0) return '$0';
+    if (cost < 0.0001) return '<$0.0001';
+    return `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+  }
+}
+
+module.exports = new AIPricingService();
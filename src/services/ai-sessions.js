@@ -0,0 +1,163 @@
+/**
+ * AI Session Service
+ * Named, durable AI conversations stored under the config directory.
+ * Each session keeps its own transcript, system prompt, model and
+ * token usage tally.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const configService = require('./config');
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+class AISessionService {
+  /**
+   * Sessions live next to config.json, outside the cache, so cache
+   * cleanup and TTLs never touch them
+   */
+  getSessionsDir() {
+    return path.join(path.dirname(configService.getConfigPath()), 'sessions');
+  }
+
+  getSessionFile(name) {
+    return path.join(this.getSessionsDir(), `${this.validateName(name)}.json`);
+  }
+
+  /**
+   * Session names become file names: letters, digits, dot, dash, underscore
+   */
+  validateName(name) {
+    const value = String(name || '').trim();
+    if (!NAME_PATTERN.test(value)) {
+      throw new Error(`Invalid session name: "${name}". Use letters, digits, ".", "-" or "_" (max 64)`);
+    }
+    return value;
+  }
+
+  async exists(name) {
+    return fs.pathExists(this.getSessionFile(name));
+  }
+
+  /**
+   * Load a session, or null when it does not exist
+   */
+  async load(name) {
+    const file = this.getSessionFile(name);
+    if (!(await fs.pathExists(file))) {
+      return null;
+    }
+    return fs.readJson(file);
+  }
+
+  /**
+   * Load a session, creating an empty one on first use
+   */
+  async open(name) {
+    const existing = await this.load(name);
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    return {
+      name: this.validateName(name),
+      createdAt: now,
+      updatedAt: now,
+      systemPrompt: null,
+      model: null,
+      provider: null,
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0, requests: 0 },
+      messages: []
+    };
+  }
+
+  async save(session) {
+    session.updatedAt = new Date().toISOString();
+    await fs.ensureDir(this.getSessionsDir());
+    await fs.writeJson(this.getSessionFile(session.name), session, { spaces: 2 });
+    return session;
+  }
+
+  /**
+   * Append one exchange and add its token usage to the session tally
+   */
+  async append(name, exchange, usage = {}) {
+    const session = await this.open(name);
+    const tokens = this.normalizeUsage(usage);
+
+    session.messages.push({
+      timestamp: new Date().toISOString(),
+      prompt: exchange.prompt,
+      response: exchange.response,
+      provider: exchange.provider,
+      model: exchange.model
+    });
+
+    session.provider = exchange.provider || session.provider;
+    session.usage.promptTokens += tokens.promptTokens;
+    session.usage.completionTokens += tokens.completionTokens;
+    session.usage.totalTokens += tokens.totalTokens;
+    session.usage.requests += 1;
+
+    return this.save(session);
+  }
+
+  /**
+   * Token counts from any provider's usage shape (OpenAI, Gemini, Ollama)
+   */
+  normalizeUsage(usage = {}) {
+    const promptTokens = usage.promptTokens || usage.prompt_tokens || usage.promptTokenCount || 0;
+    const completionTokens = usage.completionTokens || usage.completion_tokens || usage.candidatesTokenCount || 0;
+    const totalTokens = usage.totalTokens || usage.total_tokens || usage.totalTokenCount || promptTokens + completionTokens;
+
+    return { promptTokens, completionTokens, totalTokens };
+  }
+
+  /**
+   * All sessions, most recently used first
+   */
+  async list() {
+    const dir = this.getSessionsDir();
+    if (!(await fs.pathExists(dir))) {
+      return [];
+    }
+
+    const sessions = [];
+    for (const file of await fs.readdir(dir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        sessions.push(await fs.readJson(path.join(dir, file)));
+      } catch (error) {
+        // Skip a corrupt session file rather than failing the listing
+      }
+    }
+
+    return sessions.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+
+  async remove(name) {
+    const file = this.getSessionFile(name);
+    if (!(await fs.pathExists(file))) {
+      throw new Error(`Session "${name}" not found`);
+    }
+    await fs.remove(file);
+  }
+
+  async rename(from, to) {
+    const session = await this.load(from);
+    if (!session) {
+      throw new Error(`Session "${from}" not found`);
+    }
+    if (await this.exists(to)) {
+      throw new Error(`Session "${to}" already exists`);
+    }
+
+    session.name = this.validateName(to);
+    await this.save(session);
+    await fs.remove(this.getSessionFile(from));
+    return session;
+  }
+}
+
+module.exports = new AISessionService();
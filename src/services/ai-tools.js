@@ -0,0 +1,306 @@
+/**
+ * AI Tool Service
+ * Local tools the AI command can offer a model for function calling:
+ * the calculator, the unit/currency converter, current weather and
+ * read-only access to files under the working directory. Arguments are
+ * checked against each tool's JSON Schema before it runs, and filesystem
+ * tools only run after the caller confirms.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const configService = require('./config');
+const jsonSchema = require('./json-schema');
+const attachments = require('./attachments');
+const InputValidator = require('./input-validator');
+
+class AIToolService {
+  constructor() {
+    this.validator = new InputValidator();
+
+    // Longest tool result handed back to the model, in characters
+    this.maxResultLength = 8000;
+    this.maxListEntries = 200;
+    this.defaultMaxSteps = 6;
+
+    this.tools = {
+      calculate: {
+        description: 'Evaluate a math expression with the mdsaad calculator (math.js syntax: ' +
+          'functions, constants, units such as "5 km to mi", dates).',
+        parameters: {
+          type: 'object',
+          properties: {
+            expression: { type: 'string', minLength: 1, description: 'Expression to evaluate, e.g. "sqrt(2) * 10"' }
+          },
+          required: ['expression'],
+          additionalProperties: false
+        },
+        run: args => this.calculate(args)
+      },
+      convert: {
+        description: 'Convert an amount between units (km, mi, C, F, kg, lb, GiB, ...) or currencies (USD, EUR, ...) ' +
+          'using live exchange rates.',
+        parameters: {
+          type: 'object',
+          properties: {
+            amount: { type: 'number' },
+            from: { type: 'string', minLength: 1, description: 'Source unit or ISO currency code' },
+            to: { type: 'string', minLength: 1, description: 'Target unit or ISO currency code' }
+          },
+          required: ['amount', 'from', 'to'],
+          additionalProperties: false
+        },
+        run: args => this.convert(args)
+      },
+      weather: {
+        description: 'Current weather for a city or place.',
+        parameters: {
+          type: 'object',
+          properties: {
+            location: { type: 'string', minLength: 1, description: 'City, optionally with country, e.g. "Paris, FR"' },
+            units: { type: 'string', enum: ['metric', 'imperial'] }
+          },
+          required: ['location'],
+          additionalProperties: false
+        },
+        run: args => this.weather(args)
+      },
+      read_file: {
+        description: 'Read a text file under the current working directory. Returns numbered lines.',
+        parameters: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', minLength: 1, description: 'Path relative to the working directory' },
+            startLine: { type: 'integer', minimum: 1 },
+            endLine: { type: 'integer', minimum: 1 }
+          },
+          required: ['path'],
+          additionalProperties: false
+        },
+        filesystem: true,
+        run: args => this.readFile(args)
+      },
+      list_files: {
+        description: 'List the entries of a directory under the current working directory.',
+        parameters: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', description: 'Directory relative to the working directory (default ".")' }
+          },
+          additionalProperties: false
+        },
+        filesystem: true,
+        run: args => this.listFiles(args)
+      }
+    };
+  }
+
+  /**
+   * Most model round trips per request, via ai.tools.maxSteps
+   */
+  getMaxSteps() {
+    const steps = parseInt(configService.get('ai.tools.maxSteps', this.defaultMaxSteps), 10);
+    return Number.isFinite(steps) && steps > 0 ? steps : this.defaultMaxSteps;
+  }
+
+  /**
+   * Tool names from a --tools value: true for all, or a comma-separated list
+   */
+  select(value) {
+    if (value === true || value === undefined || value === '' || value === 'all') {
+      return Object.keys(this.tools);
+    }
+
+    const names = String(value).split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = names.filter(name => !this.tools[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown tool${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}. ` +
+        `Available: ${Object.keys(this.tools).join(', ')}`);
+    }
+    return names;
+  }
+
+  isFilesystemTool(name) {
+    return Boolean(this.tools[name]?.filesystem);
+  }
+
+  /**
+   * Tool declarations for OpenAI-compatible chat completions
+   */
+  toOpenAITools(names) {
+    return names.map(name => ({
+      type: 'function',
+      function: {
+        name,
+        description: this.tools[name].description,
+        parameters: this.tools[name].parameters
+      }
+    }));
+  }
+
+  /**
+   * Tool declarations for Gemini, whose schemas do not accept
+   * additionalProperties
+   */
+  toGeminiTools(names) {
+    return [{
+      functionDeclarations: names.map(name => ({
+        name,
+        description: this.tools[name].description,
+        parameters: this.withoutAdditionalProperties(this.tools[name].parameters)
+      }))
+    }];
+  }
+
+  /**
+   * A copy of a schema with additionalProperties removed at every level
+   */
+  withoutAdditionalProperties(schema) {
+    if (Array.isArray(schema)) {
+      return schema.map(item => this.withoutAdditionalProperties(item));
+    }
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+
+    const copy = { ...schema };
+    delete copy.additionalProperties;
+    for (const [key, value] of Object.entries(copy)) {
+      copy[key] = key === 'properties' && value && typeof value === 'object'
+        ? Object.fromEntries(Object.entries(value).map(([property, sub]) => [property, this.withoutAdditionalProperties(sub)]))
+        : this.withoutAdditionalProperties(value);
+    }
+    return copy;
+  }
+
+  /**
+   * Run one tool call. Never throws: failures, invalid arguments and
+   * declined confirmations come back as `{ error }` so the model can react.
+   * `confirm(name, args)` is asked before filesystem tools run.
+   */
+  async run(name, args, { confirm } = {}) {
+    const tool = this.tools[name];
+    if (!tool) {
+      return { error: `Unknown tool "${name}"` };
+    }
+
+    const errors = jsonSchema.validate(tool.parameters, args);
+    if (errors.length > 0) {
+      return { error: `Invalid arguments: ${errors.join('; ')}` };
+    }
+
+    if (tool.filesystem && !(confirm && await confirm(name, args))) {
+      return { error: 'The user did not allow this file access' };
+    }
+
+    try {
+      return { result: await tool.run(args) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * A tool result as text for the model, capped at maxResultLength
+   */
+  serialize(outcome) {
+    const text = JSON.stringify(outcome);
+    return text.length > this.maxResultLength
+      ? JSON.stringify({ ...outcome, result: undefined, truncated: text.substring(0, this.maxResultLength) })
+      : text;
+  }
+
+  async calculate({ expression }) {
+    // The calculator engine lives in its command; a fresh scope keeps the
+    // user's saved variables out of model-driven evaluation
+    const calculator = require('../commands/calculate');
+    const { result } = calculator.evaluateLine(expression, {});
+    return { expression, result: calculator.formatResult(result) };
+  }
+
+  async convert({ amount, from, to }) {
+    const converter = require('../commands/convert');
+    await converter.initialize();
+
+    const type = converter.getConversionType(from, to);
+    if (type === 'currency') {
+      const result = await converter.convertCurrency(amount, from.toUpperCase(), to.toUpperCase());
+      return {
+        amount,
+        from: result.fromCurrency,
+        to: result.toCurrency,
+        result: result.convertedAmount,
+        rate: result.rate,
+        date: result.date,
+        provider: result.provider
+      };
+    }
+    if (type === 'unit') {
+      const result = converter.convertUnit(amount, from, to);
+      return { amount, from, to, result: result.convertedAmount, category: result.category };
+    }
+
+    throw new Error(`Cannot convert ${from} to ${to}`);
+  }
+
+  async weather({ location, units = 'metric' }) {
+    const weatherService = require('./weather');
+    const data = await weatherService.getCurrentWeather(location, { units });
+    const current = data.current || {};
+
+    return {
+      location: data.location?.name || location,
+      country: data.location?.country || null,
+      units,
+      temperature: current.temperature,
+      feelsLike: current.feelsLike,
+      condition: current.condition,
+      humidity: current.humidity,
+      windSpeed: current.wind?.speed,
+      provider: data.provider
+    };
+  }
+
+  /**
+   * Read a file through the attachment rules (inside the working
+   * directory, size limit, no binaries)
+   */
+  async readFile({ path: filePath, startLine = 1, endLine }) {
+    const file = await attachments.readFile(filePath);
+    const lines = file.content.replace(/\n$/, '').split('\n');
+    const last = Math.min(endLine || lines.length, lines.length);
+
+    return {
+      path: file.name,
+      totalLines: lines.length,
+      startLine,
+      endLine: last,
+      content: lines.slice(startLine - 1, last).map((line, index) => `${startLine + index}: ${line}`).join('\n')
+    };
+  }
+
+  async listFiles({ path: dirPath = '.' }) {
+    const name = path.normalize(String(dirPath));
+    const resolved = this.validator.resolveWorkingPath(name);
+    if (!resolved) {
+      throw new Error(`Cannot list ${dirPath}: path must stay inside the working directory`);
+    }
+
+    const stats = await fs.stat(resolved).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`${name} is not a directory`);
+    }
+
+    const entries = await fs.readdir(resolved, { withFileTypes: true });
+    return {
+      path: name,
+      entries: entries
+        .filter(entry => !entry.name.startsWith('.'))
+        .slice(0, this.maxListEntries)
+        .map(entry => entry.isDirectory() ? `${entry.name}/` : entry.name),
+      truncated: entries.length > this.maxListEntries
+    };
+  }
+}
+
+module.exports = new AIToolService();
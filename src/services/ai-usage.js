@@ -0,0 +1,175 @@
+/**
+ * AI Usage Service
+ * Local ledger of AI token usage and estimated cost per provider, model
+ * and day, stored next to config.json, plus daily and monthly budget
+ * caps that warn or block before a request goes out.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const configService = require('./config');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class AIUsageService {
+  constructor() {
+    // Writes are chained so concurrent requests (ai compare) do not
+    // overwrite each other's updates
+    this.pending = Promise.resolve();
+    this.defaultWarnAt = 0.8;
+  }
+
+  getUsageFile() {
+    return path.join(path.dirname(configService.getConfigPath()), 'ai-usage.json');
+  }
+
+  async load() {
+    const file = this.getUsageFile();
+    if (!(await fs.pathExists(file))) {
+      return { version: 1, days: {} };
+    }
+    return fs.readJson(file);
+  }
+
+  /**
+   * Add one request's normalized usage ({ promptTokens, completionTokens })
+   * and cost to today's entry for provider/model
+   */
+  record({ provider, model, usage, cost = 0, date = new Date() }) {
+    this.pending = this.pending.catch(() => {}).then(async () => {
+      const ledger = await this.load();
+      const day = this.dateKey(date);
+      const key = `${provider}/${model}`;
+
+      ledger.days[day] = ledger.days[day] || {};
+      const entry = ledger.days[day][key] || {
+        provider, model, requests: 0, promptTokens: 0, completionTokens: 0, cost: 0
+      };
+
+      entry.requests += 1;
+      entry.promptTokens += usage.promptTokens || 0;
+      entry.completionTokens += usage.completionTokens || 0;
+      entry.cost += cost || 0;
+      ledger.days[day][key] = entry;
+
+      await fs.outputJson(this.getUsageFile(), ledger, { spaces: 2 });
+    });
+    return this.pending;
+  }
+
+  /**
+   * Local calendar day as YYYY-MM-DD
+   */
+  dateKey(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * A YYYY-MM-DD flag value that names a real day (not 2026-02-31)
+   */
+  parseDate(value, flag = '--since') {
+    const [year, month, day] = String(value).split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    if (!DATE_PATTERN.test(String(value)) || this.dateKey(date) !== value) {
+      throw new Error(`Invalid ${flag} date: ${value}. Use YYYY-MM-DD`);
+    }
+    return value;
+  }
+
+  /**
+   * Usage between two days (inclusive), per provider/model and in total
+   */
+  async summarize({ since, until } = {}) {
+    const ledger = await this.load();
+    const from = since || '0000-00-00';
+    const to = until || '9999-99-99';
+    const models = {};
+    const total = { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+
+    for (const [day, entries] of Object.entries(ledger.days)) {
+      if (day < from || day > to) continue;
+
+      for (const [key, entry] of Object.entries(entries)) {
+        const row = models[key] || (models[key] = {
+          provider: entry.provider, model: entry.model, requests: 0, promptTokens: 0, completionTokens: 0, cost: 0
+        });
+        for (const field of ['requests', 'promptTokens', 'completionTokens', 'cost']) {
+          row[field] += entry[field];
+          total[field] += entry[field];
+        }
+      }
+    }
+
+    return {
+      since: since || null,
+      until: until || null,
+      models: Object.values(models).sort((a, b) => b.cost - a.cost || b.promptTokens - a.promptTokens),
+      total
+    };
+  }
+
+  /**
+   * Budget caps from config. Amounts are USD (ai.budget.daily/monthly)
+   * and tokens (ai.budget.dailyTokens/monthlyTokens); unset means no cap.
+   */
+  getBudget() {
+    const budget = configService.get('ai.budget', {}) || {};
+    const number = value => (Number(value) > 0 ? Number(value) : null);
+
+    return {
+      daily: number(budget.daily),
+      monthly: number(budget.monthly),
+      dailyTokens: number(budget.dailyTokens),
+      monthlyTokens: number(budget.monthlyTokens),
+      mode: budget.mode === 'block' ? 'block' : 'warn',
+      warnAt: number(budget.warnAt) || this.defaultWarnAt
+    };
+  }
+
+  /**
+   * Check spending so far plus an upcoming request ({ tokens, cost })
+   * against the caps. Returns { status: 'ok'|'warn'|'exceeded', mode, messages }.
+   */
+  async checkBudget(estimate = { tokens: 0, cost: 0 }, now = new Date()) {
+    const budget = this.getBudget();
+    const result = { status: 'ok', mode: budget.mode, messages: [] };
+    if (!budget.daily && !budget.monthly && !budget.dailyTokens && !budget.monthlyTokens) {
+      return result;
+    }
+
+    const today = this.dateKey(now);
+    const [day, month] = await Promise.all([
+      this.summarize({ since: today, until: today }),
+      this.summarize({ since: `${today.slice(0, 8)}01`, until: today })
+    ]);
+    const tokens = summary => summary.total.promptTokens + summary.total.completionTokens;
+
+    const caps = [
+      ['Daily budget', budget.daily, day.total.cost + (estimate.cost || 0), this.formatUsd],
+      ['Monthly budget', budget.monthly, month.total.cost + (estimate.cost || 0), this.formatUsd],
+      ['Daily token cap', budget.dailyTokens, tokens(day) + (estimate.tokens || 0), value => `${Math.round(value)} tokens`],
+      ['Monthly token cap', budget.monthlyTokens, tokens(month) + (estimate.tokens || 0), value => `${Math.round(value)} tokens`]
+    ];
+
+    for (const [label, cap, used, format] of caps) {
+      if (!cap) continue;
+
+      if (used > cap) {
+        result.status = 'exceeded';
+        result.messages.push(`${label} exceeded: ${format(used)} of ${format(cap)} with this request`);
+      } else if (used >= cap * budget.warnAt) {
+        if (result.status === 'ok') result.status = 'warn';
+        result.messages.push(`${label} at ${Math.round((used / cap) * 100)}%: ${format(used)} of ${format(cap)}`);
+      }
+    }
+
+    return result;
+  }
+
+  formatUsd(value) {
+    return `$${value.toFixed(value >= 1 ? 2 : 4)}`;
+  }
+}
+
+module.exports = new AIUsageService();
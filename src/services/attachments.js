@@ -0,0 +1,202 @@
+/**
+ * Attachment Service
+ * Reads files and piped stdin to send along with an AI prompt, with size
+ * limits, binary detection and a preview of what will be sent
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const configService = require('./config');
+const InputValidator = require('./input-validator');
+
+class AttachmentService {
+  constructor() {
+    this.validator = new InputValidator();
+    this.defaultLimits = {
+      maxFileSize: 100 * 1024,
+      maxTotalSize: 256 * 1024
+    };
+
+    // Bytes sniffed for binary detection
+    this.sniffLength = 8000;
+    this.previewLines = 3;
+  }
+
+  /**
+   * Limits in bytes, overridable via ai.attachments.maxFileSize/maxTotalSize
+   */
+  getLimits() {
+    return {
+      maxFileSize: configService.get('ai.attachments.maxFileSize', this.defaultLimits.maxFileSize),
+      maxTotalSize: configService.get('ai.attachments.maxTotalSize', this.defaultLimits.maxTotalSize)
+    };
+  }
+
+  /**
+   * Read every requested file, plus stdin when `stdin` is given, checking
+   * each against the per-file limit and all of them against the total
+   */
+  async collect({ files = [], stdin = null } = {}) {
+    const limits = this.getLimits();
+    const attachments = [];
+
+    for (const file of files) {
+      attachments.push(file === '-' && stdin
+        ? await this.readStream(stdin, limits)
+        : await this.readFile(file, limits));
+    }
+
+    if (stdin && !files.includes('-')) {
+      const piped = await this.readStream(stdin, limits);
+      if (piped.content.trim() !== '') {
+        attachments.push(piped);
+      }
+    }
+
+    const total = attachments.reduce((sum, attachment) => sum + attachment.bytes, 0);
+    if (total > limits.maxTotalSize) {
+      throw new Error(`Attachments total ${this.formatBytes(total)}, over the ${this.formatBytes(limits.maxTotalSize)} limit`);
+    }
+
+    return attachments;
+  }
+
+  /**
+   * Read one file. Paths outside the working directory are rejected.
+   */
+  async readFile(filePath, limits = this.getLimits()) {
+    const name = path.normalize(String(filePath));
+    const resolved = this.validator.resolveWorkingPath(name);
+    if (!resolved) {
+      throw new Error(`Cannot attach ${filePath}: path must stay inside the working directory`);
+    }
+
+    let stats;
+    try {
+      stats = await fs.stat(resolved);
+    } catch (error) {
+      throw new Error(`Cannot attach ${name}: file not found`);
+    }
+
+    if (!stats.isFile()) {
+      throw new Error(`Cannot attach ${name}: not a regular file`);
+    }
+    if (stats.size > limits.maxFileSize) {
+      throw new Error(`Cannot attach ${name}: ${this.formatBytes(stats.size)} is over the ${this.formatBytes(limits.maxFileSize)} limit`);
+    }
+
+    return this.toAttachment(name, 'file', await fs.readFile(resolved));
+  }
+
+  /**
+   * Read piped input, stopping as soon as it goes over the per-file limit
+   */
+  async readStream(stream, limits = this.getLimits()) {
+    const chunks = [];
+    let bytes = 0;
+
+    for await (const chunk of stream) {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      bytes += buffer.length;
+      if (bytes > limits.maxFileSize) {
+        throw new Error(`Cannot attach stdin: more than the ${this.formatBytes(limits.maxFileSize)} limit`);
+      }
+      chunks.push(buffer);
+    }
+
+    return this.toAttachment('stdin', 'stdin', Buffer.concat(chunks));
+  }
+
+  toAttachment(name, source, buffer) {
+    if (this.isBinary(buffer)) {
+      throw new Error(`Cannot attach ${name}: it looks like a binary file`);
+    }
+
+    const content = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    return {
+      name,
+      source,
+      content,
+      bytes: buffer.length,
+      lines: content === '' ? 0 : content.split('\n').length - (content.endsWith('\n') ? 1 : 0)
+    };
+  }
+
+  /**
+   * Binary when the start of the data has a NUL byte or is mostly
+   * control characters other than whitespace
+   */
+  isBinary(buffer) {
+    const sample = buffer.subarray(0, this.sniffLength);
+    if (sample.length === 0) {
+      return false;
+    }
+    if (sample.includes(0)) {
+      return true;
+    }
+
+    let control = 0;
+    for (const byte of sample) {
+      if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 13 && byte !== 12) {
+        control++;
+      }
+    }
+    return control / sample.length > 0.1;
+  }
+
+  /**
+   * Append attachments to the prompt as fenced blocks
+   */
+  buildPrompt(prompt, attachments) {
+    if (attachments.length === 0) {
+      return prompt;
+    }
+
+    const blocks = attachments.map(attachment => {
+      const fence = attachment.content.includes('```') ? '````' : '```';
+      const label = attachment.source === 'stdin' ? 'Piped input' : `File: ${attachment.name}`;
+      return `${label}\n${fence}${this.languageOf(attachment.name)}\n${attachment.content.replace(/\n$/, '')}\n${fence}`;
+    });
+
+    return `${prompt}\n\n${blocks.join('\n\n')}`;
+  }
+
+  languageOf(name) {
+    const ext = path.extname(name).slice(1).toLowerCase();
+    return /^[a-z0-9]+$/.test(ext) ? ext : '';
+  }
+
+  /**
+   * Show what will be sent: each attachment's size and first lines
+   */
+  displayPreview(attachments) {
+    if (attachments.length === 0) {
+      return;
+    }
+
+    const total = attachments.reduce((sum, attachment) => sum + attachment.bytes, 0);
+    console.log(chalk.cyan(`📎 Attaching ${attachments.length} item${attachments.length === 1 ? '' : 's'} (${this.formatBytes(total)})`));
+
+    for (const attachment of attachments) {
+      console.log(chalk.white(`  ${attachment.name}`) + chalk.gray(` - ${this.formatBytes(attachment.bytes)}, ${attachment.lines} line${attachment.lines === 1 ? '' : 's'}`));
+
+      const lines = attachment.content.replace(/\n$/, '').split('\n');
+      lines.slice(0, this.previewLines).forEach(line => {
+        console.log(chalk.gray(`    │ ${line.length > 100 ? line.substring(0, 99) + '…' : line}`));
+      });
+      if (attachment.lines > this.previewLines) {
+        console.log(chalk.gray(`    │ … ${attachment.lines - this.previewLines} more lines`));
+      }
+    }
+    console.log();
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+}
+
+module.exports = new AttachmentService();
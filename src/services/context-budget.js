@@ -0,0 +1,200 @@
+/**
+ * Context Budget Service
+ * Estimates token counts per provider/model and fits conversation history
+ * into a model's context window, keeping the newest turns verbatim and
+ * folding older ones into a short summary turn
+ */
+
+const configService = require('./config');
+
+class ContextBudgetService {
+  constructor() {
+    // Context window sizes in tokens, matched against the model name (first match wins)
+    this.contextWindows = [
+      [/gemini-1\.5/, 1048576],
+      [/gemini/, 32768],
+      [/deepseek/, 65536],
+      [/llama-?3\.[12]/, 131072],
+      [/mixtral-8x7b/, 32768],
+      [/gemma/, 8192]
+    ];
+
+    // Fallback window by provider when the model is unknown. Ollama runs
+    // with a small default context unless num_ctx is raised.
+    this.providerWindows = {
+      openrouter: 32768,
+      groq: 32768,
+      deepseek: 65536,
+      gemini: 32768,
+      ollama: 4096
+    };
+
+    // Average characters per token for Latin text, by tokenizer family
+    this.charsPerToken = [
+      [/gemini|gemma/, 4],
+      [/llama|mixtral|mistral|phi|codellama/, 3.5],
+      [/deepseek/, 3.8]
+    ];
+
+    this.defaultWindow = 8192;
+    this.defaultCharsPerToken = 4;
+
+    // Per-message framing (role markers, separators)
+    this.messageOverhead = 4;
+
+    // Share of the window kept free to absorb estimation error
+    this.safetyMargin = 0.05;
+
+    // Most of the history budget a summary may take
+    this.summaryShare = 0.25;
+  }
+
+  /**
+   * Context window for a model, with `ai.contextWindows` config overrides
+   */
+  getContextWindow(provider, model) {
+    const overrides = configService.get('ai.contextWindows', {}) || {};
+    if (model && overrides[model]) {
+      return Number(overrides[model]);
+    }
+    if (overrides[provider]) {
+      return Number(overrides[provider]);
+    }
+
+    // Ollama serves every model with its num_ctx setting, not the model's
+    // trained maximum, so the provider window applies (and is sent as num_ctx)
+    if (provider === 'ollama') {
+      return this.providerWindows.ollama;
+    }
+
+    const name = String(model || '').toLowerCase();
+    const match = this.contextWindows.find(([pattern]) => pattern.test(name));
+    if (match) {
+      return match[1];
+    }
+
+    return this.providerWindows[provider] || this.defaultWindow;
+  }
+
+  /**
+   * Rough token count. Non-ASCII characters (CJK, emoji) count about one
+   * token each; everything else uses the model family's chars-per-token.
+   */
+  estimateTokens(text, provider, model) {
+    if (!text) {
+      return 0;
+    }
+
+    const value = String(text);
+    const name = `${provider || ''} ${model || ''}`.toLowerCase();
+    const match = this.charsPerToken.find(([pattern]) => pattern.test(name));
+    const ratio = match ? match[1] : this.defaultCharsPerToken;
+    let nonAscii = 0;
+    for (let i = 0; i < value.length; i++) {
+      if (value.charCodeAt(i) > 0x7f) nonAscii++;
+    }
+
+    return Math.ceil((value.length - nonAscii) / ratio) + nonAscii;
+  }
+
+  estimateTurn(turn, provider, model) {
+    return this.estimateTokens(turn.prompt, provider, model) +
+      this.estimateTokens(turn.response, provider, model) +
+      2 * this.messageOverhead;
+  }
+
+  /**
+   * Fit history into the context window. Returns the context to send and
+   * how many turns were included, summarized or dropped.
+   */
+  allocate({ provider, model, prompt, systemPrompt, context = [], maxTokens = 1000 }) {
+    const window = this.getContextWindow(provider, model);
+    const fixed = this.estimateTokens(prompt, provider, model) +
+      this.estimateTokens(systemPrompt, provider, model) +
+      2 * this.messageOverhead;
+    const available = Math.floor(window * (1 - this.safetyMargin)) - maxTokens - fixed;
+
+    if (available < 0) {
+      throw new Error(`Prompt is too long for ${model || provider}: about ${fixed} tokens, ` +
+        `but the ${window}-token context window leaves ${window - maxTokens} after reserving ${maxTokens} for the response`);
+    }
+
+    // Keep the newest turns verbatim
+    const included = [];
+    let used = 0;
+    for (let i = context.length - 1; i >= 0; i--) {
+      const cost = this.estimateTurn(context[i], provider, model);
+      if (used + cost > available) break;
+      included.unshift(context[i]);
+      used += cost;
+    }
+
+    const older = context.slice(0, context.length - included.length);
+    const stats = {
+      total: context.length,
+      included: included.length,
+      summarized: 0,
+      dropped: 0,
+      window,
+      estimatedTokens: fixed + used
+    };
+
+    if (older.length === 0) {
+      return { context: included, stats };
+    }
+
+    // Fold older turns into one summary turn
+    const summaryBudget = Math.min(available - used, Math.floor(available * this.summaryShare));
+    const summary = this.summarize(older, summaryBudget, provider, model);
+
+    if (!summary) {
+      stats.dropped = older.length;
+      return { context: included, stats };
+    }
+
+    stats.summarized = summary.turns;
+    stats.dropped = older.length - summary.turns;
+    stats.estimatedTokens += summary.tokens;
+
+    return { context: [summary.turn, ...included], stats };
+  }
+
+  /**
+   * Extractive summary of older turns: the opening of each question and
+   * answer, oldest lines dropped first until it fits the budget
+   */
+  summarize(turns, budget, provider, model) {
+    const header = 'Summary of our earlier conversation:';
+    const lines = turns.map(turn =>
+      `- Q: ${this.excerpt(turn.prompt, 120)} → A: ${this.excerpt(turn.response, 200)}`);
+
+    while (lines.length > 0) {
+      const turn = {
+        prompt: 'Briefly recap what we discussed earlier.',
+        response: [header, ...lines].join('\n'),
+        summary: true
+      };
+      const tokens = this.estimateTurn(turn, provider, model);
+
+      if (tokens <= budget) {
+        return { turn, turns: lines.length, tokens };
+      }
+      lines.shift();
+    }
+
+    return null;
+  }
+
+  /**
+   * First sentence of a text, capped at `limit` characters
+   */
+  excerpt(text, limit) {
+    const flat = String(text || '').replace(/\s+/g, ' ').trim();
+    const sentence = flat.match(/^.*?[.!?](\s|$)/);
+    const value = sentence ? sentence[0].trim() : flat;
+
+    return value.length > limit ? value.substring(0, limit - 1) + '…' : value;
+  }
+}
+
+module.exports = new ContextBudgetService();
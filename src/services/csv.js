@@ -0,0 +1,109 @@
+/**
+ * CSV Service
+ * Minimal RFC 4180 reading and writing: quoted fields, escaped quotes,
+ * embedded commas and newlines, CRLF line endings
+ */
+
+class CsvService {
+  /**
+   * Parse CSV text with a header row into records keyed by header.
+   * Each record carries the file line it started on as `line`.
+   */
+  parse(text) {
+    const rows = this.parseRows(String(text).replace(/^\uFEFF/, ''));
+    if (rows.length === 0) {
+      return { headers: [], records: [] };
+    }
+
+    const headers = rows[0].values.map(header => header.trim());
+    const records = rows.slice(1)
+      .filter(row => row.values.some(value => value.trim() !== ''))
+      .map(row => {
+        const record = { line: row.line, values: {} };
+        headers.forEach((header, index) => {
+          record.values[header] = (row.values[index] || '').trim();
+        });
+        return record;
+      });
+
+    return { headers, records };
+  }
+
+  /**
+   * Split CSV text into rows of raw field values
+   */
+  parseRows(text) {
+    const rows = [];
+    let values = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        values.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        values.push(field);
+        rows.push({ line: rowLine, values });
+        values = [];
+        field = '';
+        line++;
+        rowLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) {
+      throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+    }
+
+    if (field !== '' || values.length > 0) {
+      values.push(field);
+      rows.push({ line: rowLine, values });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Serialize objects to CSV with the given columns as the header row
+   */
+  stringify(records, columns) {
+    const lines = [columns.map(column => this.escape(column)).join(',')];
+
+    for (const record of records) {
+      lines.push(columns.map(column => this.escape(record[column])).join(','));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  escape(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = new CsvService();
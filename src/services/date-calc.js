@@ -0,0 +1,384 @@
+/**
+ * Date Calculation Service
+ * Adds a time-zone aware date type to the math.js calculator, with
+ * duration arithmetic, relative dates and business-day counting
+ */
+
+const configService = require('./config');
+const i18nService = require('./i18n');
+
+const DAY_MS = 86400000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * A point in time together with the time zone used for calendar math
+ */
+class CalcDate {
+  constructor(time, timeZone, hasTime = true) {
+    this.time = time;
+    this.timeZone = timeZone;
+    this.hasTime = hasTime;
+  }
+
+  toString() {
+    const parts = dateCalcService.zonedParts(this.time, this.timeZone);
+    const pad = value => String(value).padStart(2, '0');
+    const date = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+
+    return this.hasTime
+      ? `${date}T${pad(parts.hour)}:${pad(parts.minute)} ${this.timeZone}`
+      : date;
+  }
+}
+
+class DateCalcService {
+  constructor() {
+    this.CalcDate = CalcDate;
+  }
+
+  /**
+   * Time zone for date literals and calendar math: `calculate.timezone`
+   * from config, else the system time zone
+   */
+  getTimeZone() {
+    const configured = configService.get('calculate.timezone', null);
+    if (typeof configured === 'string' && this.isValidTimeZone(configured)) {
+      return configured;
+    }
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+
+  isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Holidays skipped by business-day functions (`calculate.holidays`,
+   * a list of YYYY-MM-DD strings)
+   */
+  getHolidays() {
+    const holidays = configService.get('calculate.holidays', []);
+    return new Set(Array.isArray(holidays) ? holidays : []);
+  }
+
+  isDate(value) {
+    return value instanceof CalcDate;
+  }
+
+  /**
+   * Rewrite date syntax into calculator function calls:
+   * `2026-10-18` and `2026-10-18T09:30` become date(<epoch ms>),
+   * `now`, `today`, `tomorrow`, `yesterday` become function calls, and
+   * `next friday` / `last friday` become nextWeekday(5) / lastWeekday(5)
+   */
+  preprocess(expression) {
+    const timeZone = this.getTimeZone();
+
+    return expression
+      .replace(/\b(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?\b/g, (match, year, month, day, hour, minute, second) => {
+        const hasTime = hour !== undefined;
+        const parts = {
+          year: Number(year),
+          month: Number(month),
+          day: Number(day),
+          hour: Number(hour || 0),
+          minute: Number(minute || 0),
+          second: Number(second || 0)
+        };
+        // Anything that is not a calendar date stays arithmetic: 1000-20-30 is 950
+        if (!this.isCalendarDate(parts)) {
+          return match;
+        }
+        this.validateTime(parts, match);
+        const time = this.fromZonedParts(parts, timeZone);
+        return hasTime ? `datetime(${time})` : `date(${time})`;
+      })
+      .replace(/\b(next|last)\s+(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/gi, (match, direction, weekday) => {
+        const fn = direction.toLowerCase() === 'next' ? 'nextWeekday' : 'lastWeekday';
+        return `${fn}(${WEEKDAYS.indexOf(weekday.toLowerCase())})`;
+      })
+      .replace(/\b(now|today|tomorrow|yesterday)\b(?!\s*\()/g, '$1()');
+  }
+
+  /**
+   * Register the date type, constructors and arithmetic with a math.js instance
+   */
+  install(math) {
+    const toNumber = value => (math.isBigNumber(value) ? value.toNumber() : value);
+
+    math.typed.addType({ name: 'CalcDate', test: value => value instanceof CalcDate });
+
+    math.import({
+      date: math.typed('date', {
+        'number': time => new CalcDate(time, this.getTimeZone(), false),
+        'BigNumber': time => new CalcDate(time.toNumber(), this.getTimeZone(), false)
+      }),
+      datetime: math.typed('datetime', {
+        'number': time => new CalcDate(time, this.getTimeZone(), true),
+        'BigNumber': time => new CalcDate(time.toNumber(), this.getTimeZone(), true)
+      }),
+      now: () => new CalcDate(Date.now(), this.getTimeZone(), true),
+      today: () => this.startOfDay(Date.now(), 0),
+      tomorrow: () => this.startOfDay(Date.now(), 1),
+      yesterday: () => this.startOfDay(Date.now(), -1),
+      nextWeekday: weekday => this.relativeWeekday(toNumber(weekday), 1),
+      lastWeekday: weekday => this.relativeWeekday(toNumber(weekday), -1),
+      businessDays: math.typed('businessDays', {
+        'CalcDate, CalcDate': (from, to) => this.countBusinessDays(from, to)
+      }),
+      addBusinessDays: math.typed('addBusinessDays', {
+        'CalcDate, number': (date, days) => this.addBusinessDays(date, days),
+        'CalcDate, BigNumber': (date, days) => this.addBusinessDays(date, days.toNumber())
+      }),
+      add: math.typed('add', {
+        'CalcDate, Unit': (date, duration) => this.addDuration(math, date, duration, 1),
+        'Unit, CalcDate': (duration, date) => this.addDuration(math, date, duration, 1)
+      }),
+      subtract: math.typed('subtract', {
+        'CalcDate, Unit': (date, duration) => this.addDuration(math, date, duration, -1),
+        'CalcDate, CalcDate': (a, b) => this.difference(math, a, b)
+      })
+    });
+  }
+
+  /**
+   * Add (sign 1) or subtract (sign -1) a time duration. Whole days, weeks,
+   * months and years move the wall-clock date in the date's time zone, so
+   * DST changes and month lengths are respected; other units add elapsed time.
+   */
+  addDuration(math, date, duration, sign) {
+    if (!duration.equalBase(math.unit('1 s'))) {
+      throw new Error(`Cannot add ${duration.formatUnits()} to a date; use a time unit such as days or hours`);
+    }
+
+    const unitName = duration.units.length === 1 && !duration.units[0].prefix.name
+      ? duration.units[0].unit.name.replace(/s$/, '')
+      : null;
+    const calendarUnits = { day: 'day', week: 'day', month: 'month', year: 'year' };
+
+    if (unitName && calendarUnits[unitName]) {
+      let amount = sign * duration.toNumber(duration.units[0].unit.name);
+      if (unitName === 'week') amount *= 7;
+
+      if (Number.isInteger(amount)) {
+        return this.shiftCalendar(date, calendarUnits[unitName], amount);
+      }
+    }
+
+    return new CalcDate(date.time + sign * duration.toNumber('ms'), date.timeZone, true);
+  }
+
+  /**
+   * Difference between two dates in days. Two calendar dates differ by
+   * whole days even when a DST change falls between them.
+   */
+  difference(math, a, b) {
+    const elapsed = a.hasTime || b.hasTime ? a.time - b.time : this.dayKey(a) - this.dayKey(b);
+    return math.unit(elapsed / DAY_MS, 'days');
+  }
+
+  /**
+   * Move a date by whole days, months or years on the calendar,
+   * clamping to the last day of shorter months
+   */
+  shiftCalendar(date, field, amount) {
+    const parts = this.zonedParts(date.time, date.timeZone);
+
+    if (field === 'day') {
+      parts.day += amount;
+    } else {
+      const totalMonths = parts.year * 12 + (parts.month - 1) + (field === 'year' ? amount * 12 : amount);
+      parts.year = Math.floor(totalMonths / 12);
+      parts.month = (totalMonths % 12) + 1;
+      parts.day = Math.min(parts.day, this.daysInMonth(parts.year, parts.month));
+    }
+
+    return new CalcDate(this.fromZonedParts(parts, date.timeZone), date.timeZone, date.hasTime);
+  }
+
+  daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+
+  /**
+   * Midnight of today (plus an offset in days) in the configured time zone
+   */
+  startOfDay(time, offsetDays) {
+    const timeZone = this.getTimeZone();
+    const parts = this.zonedParts(time, timeZone);
+    return new CalcDate(
+      this.fromZonedParts({ year: parts.year, month: parts.month, day: parts.day + offsetDays }, timeZone),
+      timeZone,
+      false
+    );
+  }
+
+  /**
+   * The next (direction 1) or last (direction -1) given weekday, never today
+   */
+  relativeWeekday(weekday, direction) {
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      throw new Error('Weekday must be between 0 (Sunday) and 6 (Saturday)');
+    }
+
+    const today = this.startOfDay(Date.now(), 0);
+    const current = this.weekdayOf(today);
+    let offset = direction > 0 ? (weekday - current + 7) % 7 : -((current - weekday + 7) % 7);
+    if (offset === 0) offset = 7 * direction;
+
+    return this.shiftCalendar(today, 'day', offset);
+  }
+
+  /**
+   * Calendar day of a date in its time zone, as a UTC midnight timestamp
+   */
+  dayKey(date) {
+    const parts = this.zonedParts(date.time, date.timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day);
+  }
+
+  weekdayOf(date) {
+    return new Date(this.dayKey(date)).getUTCDay();
+  }
+
+  isBusinessDay(date, holidays) {
+    const weekday = this.weekdayOf(date);
+    return weekday !== 0 && weekday !== 6 && !holidays.has(date.toString().slice(0, 10));
+  }
+
+  /**
+   * Business days after `from` up to and including `to`
+   * (negative when `to` is before `from`)
+   */
+  countBusinessDays(from, to) {
+    if (to.time < from.time) {
+      return -this.countBusinessDays(to, from);
+    }
+
+    const holidays = this.getHolidays();
+    const endKey = this.dayKey(to);
+    let current = new CalcDate(from.time, from.timeZone, false);
+    let count = 0;
+
+    while (this.dayKey(current) < endKey) {
+      current = this.shiftCalendar(current, 'day', 1);
+      if (this.isBusinessDay(current, holidays)) count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Move forward (or backward) by a number of business days
+   */
+  addBusinessDays(date, days) {
+    if (!Number.isInteger(days)) {
+      throw new Error('addBusinessDays needs a whole number of days');
+    }
+
+    const holidays = this.getHolidays();
+    const step = days >= 0 ? 1 : -1;
+    let remaining = Math.abs(days);
+    let current = date;
+
+    while (remaining > 0) {
+      current = this.shiftCalendar(current, 'day', step);
+      if (this.isBusinessDay(current, holidays)) remaining--;
+    }
+
+    return current;
+  }
+
+  /**
+   * Wall-clock components of a timestamp in a time zone
+   */
+  zonedParts(time, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    const parts = {};
+
+    formatter.formatToParts(new Date(time)).forEach(part => {
+      if (part.type !== 'literal') {
+        parts[part.type] = Number(part.value);
+      }
+    });
+
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hour: parts.hour,
+      minute: parts.minute,
+      second: parts.second,
+      millisecond: ((time % 1000) + 1000) % 1000
+    };
+  }
+
+  /**
+   * Whether year, month and day name a day that exists (not 2026-02-30)
+   */
+  isCalendarDate(parts) {
+    return parts.month >= 1 && parts.month <= 12 &&
+      parts.day >= 1 && parts.day <= this.daysInMonth(parts.year, parts.month);
+  }
+
+  /**
+   * Reject a date-time literal with an out-of-range time (24:00, 09:60)
+   * instead of rolling it over into the next hour or day
+   */
+  validateTime(parts, literal) {
+    if (parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+      throw new Error(`Invalid date: ${literal}`);
+    }
+  }
+
+  /**
+   * Timestamp of wall-clock components in a time zone. Out-of-range
+   * fields roll over (day 32 is the 1st of the next month), which
+   * calendar shifts rely on; date literals are checked before they get here.
+   */
+  fromZonedParts(parts, timeZone) {
+    const wallTime = Date.UTC(
+      parts.year, parts.month - 1, parts.day,
+      parts.hour || 0, parts.minute || 0, parts.second || 0, parts.millisecond || 0
+    );
+    const offsetAt = time => {
+      const zoned = this.zonedParts(time, timeZone);
+      return Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second, zoned.millisecond) - time;
+    };
+
+    // Two passes settle the offset on either side of a DST change
+    const firstGuess = wallTime - offsetAt(wallTime);
+    return wallTime - offsetAt(firstGuess);
+  }
+
+  /**
+   * Locale-aware display through the i18n service
+   */
+  format(date) {
+    const options = { timeZone: date.timeZone, dateStyle: 'full' };
+    if (date.hasTime) {
+      options.timeStyle = 'short';
+    }
+
+    const formatted = i18nService.formatDate(date.time, options);
+    return date.hasTime ? `${formatted} (${date.timeZone})` : formatted;
+  }
+}
+
+const dateCalcService = new DateCalcService();
+
+module.exports = dateCalcService;
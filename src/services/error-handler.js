@@ -160,6 +160,16 @@ class ErrorHandler {
       ],
       severity: this.severityLevels.LOW
     });
+
+    this.recoveryStrategies.set('DIMENSION_MISMATCH', {
+      message: 'Units measure different quantities',
+      suggestions: [
+        'Convert between units of the same kind, e.g. km/h to mph or kWh to J',
+        'Check compound units such as N·m or m/s^2 for typos'
+      ],
+      severity: this.severityLevels.LOW,
+      showDetails: true
+    });
   }
 
   /**
@@ -242,6 +252,9 @@ class ErrorHandler {
     }
 
     // Validation errors
+    if (errorName === 'DimensionMismatchError') {
+      return { category: 'VALIDATION', type: 'DIMENSION_MISMATCH', severity: this.severityLevels.LOW };
+    }
     if (errorName === 'ValidationError' || context.isValidationError) {
       return { category: 'VALIDATION', type: 'INVALID_INPUT', severity: this.severityLevels.LOW };
     }
@@ -293,6 +306,11 @@ class ErrorHandler {
     const severityColor = this.getSeverityColor(recovery.severity);
     
     console.log(chalk[severityColor](`${severityIcon} ${recovery.message || 'Error occurred'}`));
+
+    // Errors whose message is the explanation
+    if (recovery.showDetails) {
+      console.log(chalk.yellow(`   ${error.message}`));
+    }
     
     // Show original error in debug mode
     if (context.debug || process.env.NODE_ENV === 'development') {
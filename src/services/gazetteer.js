@@ -0,0 +1,218 @@
+/**
+ * Gazetteer Service
+ * Offline lookup of major cities (coordinates, country, region and time
+ * zone) from src/assets/gazetteer.json. Weather location resolution uses
+ * it before or after the online geocoders (weather.gazetteer: first,
+ * fallback or off), with exact and fuzzy name matching.
+ */
+
+const configService = require('./config');
+
+class GazetteerService {
+  constructor() {
+    this.data = null;
+    this.defaultMode = 'first';
+
+    // Common names for countries that are not their official name or code
+    this.countryAliases = {
+      uk: 'GB', 'great britain': 'GB', britain: 'GB', england: 'GB', scotland: 'GB', wales: 'GB', 'northern ireland': 'GB',
+      usa: 'US', 'united states of america': 'US', america: 'US',
+      uae: 'AE', 'south korea': 'KR', korea: 'KR', 'czech republic': 'CZ', holland: 'NL',
+      'cote d ivoire': 'CI', drc: 'CD', burma: 'MM', turkiye: 'TR'
+    };
+  }
+
+  /**
+   * Cities as objects, loaded on first use
+   */
+  load() {
+    if (!this.data) {
+      const raw = require('../assets/gazetteer.json');
+      this.data = {
+        countries: raw.countries,
+        regions: raw.regions,
+        cities: raw.cities.map(([name, country, region, lat, lon, timeZone, population, alternateNames = []]) => ({
+          name,
+          country,
+          region: region || null,
+          lat,
+          lon,
+          timeZone,
+          population: population * 1000,
+          keys: [name, ...alternateNames].map(text => this.normalize(text))
+        }))
+      };
+    }
+    return this.data;
+  }
+
+  /**
+   * weather.gazetteer: "first" (before online geocoding), "fallback"
+   * (only when it finds nothing) or "off"
+   */
+  getMode() {
+    const mode = String(configService.get('weather.gazetteer', this.defaultMode) || this.defaultMode).toLowerCase();
+    return ['first', 'fallback', 'off'].includes(mode) ? mode : this.defaultMode;
+  }
+
+  /**
+   * Lowercase, without accents or punctuation: "São Paulo" -> "sao paulo"
+   */
+  normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * "Paris, US-TX" -> { name: "paris", qualifiers: ["us tx"] }
+   */
+  parseQuery(query) {
+    const [name, ...qualifiers] = String(query || '').split(',').map(part => this.normalize(part));
+    return { name: name || '', qualifiers: qualifiers.filter(Boolean) };
+  }
+
+  /**
+   * Whether a qualifier names the city's country or region, by code or name
+   */
+  matchesQualifier(city, qualifier) {
+    const { countries, regions } = this.load();
+    const regionCode = city.region ? `${city.country}-${city.region}` : null;
+    const names = [
+      city.country,
+      countries[city.country],
+      city.region,
+      regionCode,
+      regionCode && regions[regionCode]
+    ].filter(Boolean).map(text => this.normalize(text));
+
+    return names.includes(qualifier) || this.countryAliases[qualifier] === city.country;
+  }
+
+  /**
+   * Cities whose name or alternate name equals the query, most populous first
+   */
+  matches(query) {
+    const { name, qualifiers } = this.parseQuery(query);
+    if (!name) {
+      return [];
+    }
+
+    return this.load().cities
+      .filter(city => city.keys.includes(name))
+      .filter(city => qualifiers.every(qualifier => this.matchesQualifier(city, qualifier)))
+      .sort((a, b) => b.population - a.population);
+  }
+
+  /**
+   * Closest names to a possibly misspelled or partial query, best first.
+   * A name within a few edits, or starting with the query, is a candidate.
+   */
+  search(query, { limit = 5 } = {}) {
+    const { name, qualifiers } = this.parseQuery(query);
+    if (name.length < 3) {
+      return [];
+    }
+
+    const allowed = name.length <= 4 ? 1 : name.length <= 8 ? 2 : 3;
+    const hits = [];
+
+    for (const city of this.load().cities) {
+      if (!qualifiers.every(qualifier => this.matchesQualifier(city, qualifier))) continue;
+
+      const distance = Math.min(...city.keys.map(key => {
+        if (key === name) return 0;
+        if (name.length >= 4 && key.startsWith(name)) return 0.5;
+        return this.distance(name, key, allowed);
+      }));
+      if (distance <= allowed) {
+        hits.push({ city, distance });
+      }
+    }
+
+    return hits
+      .sort((a, b) => a.distance - b.distance || b.city.population - a.city.population)
+      .slice(0, limit);
+  }
+
+  /**
+   * Edit distance (insertions, deletions, substitutions, adjacent swaps),
+   * giving up once it exceeds `max`
+   */
+  distance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) {
+      return max + 1;
+    }
+
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let best = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+        if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          row[j] = Math.min(row[j], previous2[j - 2] + 1);
+        }
+        best = Math.min(best, row[j]);
+      }
+      if (best > max) {
+        return max + 1;
+      }
+      previous2 = previous;
+      previous = row;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Short label: "Paris, FR" or, where regions are recorded, "Paris, US-TX"
+   */
+  label(city) {
+    return city.region ? `${city.name}, ${city.country}-${city.region}` : `${city.name}, ${city.country}`;
+  }
+
+  /**
+   * Label with the region/country names and time zone, for prompts
+   */
+  describe(city) {
+    const { countries, regions } = this.load();
+    const place = [city.region && regions[`${city.country}-${city.region}`], countries[city.country]].filter(Boolean).join(', ');
+    return `${this.label(city)} (${place}, ${city.timeZone})`;
+  }
+
+  /**
+   * A query that selects exactly this city here and reads naturally to
+   * online geocoders: "Paris, Texas, United States"
+   */
+  toQuery(city) {
+    const { countries, regions } = this.load();
+    return [city.name, city.region && regions[`${city.country}-${city.region}`], countries[city.country]]
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  /**
+   * The resolved-location shape used by the weather service
+   */
+  toLocation(city) {
+    const { regions } = this.load();
+    return {
+      lat: city.lat,
+      lon: city.lon,
+      name: city.name,
+      country: city.country,
+      region: city.region ? regions[`${city.country}-${city.region}`] : null,
+      timezone: city.timeZone,
+      source: 'gazetteer'
+    };
+  }
+}
+
+module.exports = new GazetteerService();
@@ -357,6 +357,25 @@ class InputValidator {
     return sanitized;
   }
 
+  /**
+   * Resolve a path against the working directory. Returns null, rather
+   * than a different file, when sanitizePath would change the path or it
+   * resolves outside the working directory.
+   */
+  resolveWorkingPath(filePath, cwd = process.cwd()) {
+    const name = String(filePath);
+    if (this.sanitizePath(name) !== path.normalize(name)) {
+      return null;
+    }
+
+    const resolved = path.resolve(cwd, name);
+    const relative = path.relative(cwd, resolved);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return null;
+    }
+    return resolved;
+  }
+
   /**
    * Sanitize filenames
    */
@@ -0,0 +1,248 @@
+/**
+ * JSON Schema Service
+ * Validates values against the commonly used subset of JSON Schema:
+ * type, enum, const, properties, required, additionalProperties, items,
+ * string/number/array bounds, pattern, format (date, date-time, email, uri)
+ * and allOf/anyOf/oneOf/not. Errors read as "$.path: message". Schema
+ * files that use other keywords, such as $ref, or an invalid pattern are
+ * rejected when loaded.
+ */
+
+const fs = require('fs-extra');
+
+class JsonSchemaService {
+  constructor() {
+    this.formats = {
+      date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+      'date-time': value => /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)),
+      email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+      uri: value => /^[a-z][a-z0-9+.-]*:\S+$/i.test(value)
+    };
+
+    this.keywords = [
+      'type', 'enum', 'const', 'properties', 'required', 'additionalProperties', 'items',
+      'minLength', 'maxLength', 'pattern', 'format', 'minimum', 'maximum', 'exclusiveMinimum',
+      'exclusiveMaximum', 'multipleOf', 'minItems', 'maxItems', 'uniqueItems',
+      'allOf', 'anyOf', 'oneOf', 'not'
+    ];
+    // Annotations that do not affect validation
+    this.annotations = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'deprecated', 'readOnly', 'writeOnly'];
+  }
+
+  /**
+   * Read and sanity-check a schema file
+   */
+  async load(filePath) {
+    let schema;
+    try {
+      schema = await fs.readJson(filePath);
+    } catch (error) {
+      throw new Error(`Cannot read schema ${filePath}: ${error.message}`);
+    }
+
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      throw new Error(`Schema ${filePath} must be a JSON object`);
+    }
+
+    let unsupported;
+    try {
+      unsupported = this.findUnsupported(schema);
+    } catch (error) {
+      throw new Error(`Schema ${filePath} has ${error.message}`);
+    }
+    if (unsupported.length > 0) {
+      throw new Error(`Schema ${filePath} uses unsupported keywords: ${unsupported.join(', ')}`);
+    }
+    return schema;
+  }
+
+  /**
+   * Keywords the validator would silently ignore, as "$.path.keyword".
+   * Nested schemas are checked as well, and an invalid pattern throws.
+   */
+  findUnsupported(schema, at = '$') {
+    if (typeof schema === 'boolean') return [];
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return [`${at} (not a schema)`];
+    }
+
+    const unsupported = [];
+    for (const [keyword, value] of Object.entries(schema)) {
+      const path = `${at}.${keyword}`;
+      if (this.annotations.includes(keyword)) continue;
+      if (!this.keywords.includes(keyword)) {
+        unsupported.push(path);
+      } else if (keyword === 'properties') {
+        Object.entries(value || {}).forEach(([key, sub]) => unsupported.push(...this.findUnsupported(sub, `${path}.${key}`)));
+      } else if (keyword === 'items' && Array.isArray(value)) {
+        unsupported.push(`${path} (array form)`);
+      } else if (['items', 'not'].includes(keyword) || (keyword === 'additionalProperties' && typeof value === 'object')) {
+        unsupported.push(...this.findUnsupported(value, path));
+      } else if (['allOf', 'anyOf', 'oneOf'].includes(keyword)) {
+        (Array.isArray(value) ? value : []).forEach((sub, index) => unsupported.push(...this.findUnsupported(sub, `${path}[${index}]`)));
+      } else if (keyword === 'pattern') {
+        this.compilePattern(value, path);
+      } else if (keyword === 'format' && !this.formats[value]) {
+        unsupported.push(`${path} "${value}"`);
+      }
+    }
+    return unsupported;
+  }
+
+  /**
+   * All validation errors for a value (empty when valid)
+   */
+  validate(schema, value, at = '$') {
+    if (schema === true || schema === undefined) return [];
+    if (schema === false) return [`${at}: is not allowed`];
+
+    const errors = [];
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => this.isType(value, type))) {
+        return [`${at}: expected ${types.join(' or ')}, got ${this.typeOf(value)}`];
+      }
+    }
+
+    if (schema.const !== undefined && !this.equal(value, schema.const)) {
+      errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.some(option => this.equal(value, option))) {
+      errors.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') errors.push(...this.validateString(schema, value, at));
+    if (typeof value === 'number') errors.push(...this.validateNumber(schema, value, at));
+    if (Array.isArray(value)) errors.push(...this.validateArray(schema, value, at));
+    if (this.typeOf(value) === 'object') errors.push(...this.validateObject(schema, value, at));
+
+    if (schema.allOf) {
+      schema.allOf.forEach(sub => errors.push(...this.validate(sub, value, at)));
+    }
+    if (schema.anyOf && !schema.anyOf.some(sub => this.validate(sub, value, at).length === 0)) {
+      errors.push(`${at}: does not match any allowed schema`);
+    }
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter(sub => this.validate(sub, value, at).length === 0).length;
+      if (matches !== 1) {
+        errors.push(`${at}: must match exactly one schema (matched ${matches})`);
+      }
+    }
+    if (schema.not && this.validate(schema.not, value, at).length === 0) {
+      errors.push(`${at}: must not match the excluded schema`);
+    }
+
+    return errors;
+  }
+
+  validateString(schema, value, at) {
+    const errors = [];
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${at}: must match /${schema.pattern}/`);
+    }
+    if (schema.format && this.formats[schema.format] && !this.formats[schema.format](value)) {
+      errors.push(`${at}: must be a valid ${schema.format}`);
+    }
+    return errors;
+  }
+
+  validateNumber(schema, value, at) {
+    const errors = [];
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at}: must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${at}: must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${at}: must be < ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      errors.push(`${at}: must be a multiple of ${schema.multipleOf}`);
+    }
+    return errors;
+  }
+
+  validateArray(schema, value, at) {
+    const errors = [];
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems) {
+      const seen = value.map(item => JSON.stringify(item));
+      if (new Set(seen).size !== seen.length) {
+        errors.push(`${at}: items must be unique`);
+      }
+    }
+    if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+      value.forEach((item, index) => errors.push(...this.validate(schema.items, item, `${at}[${index}]`)));
+    }
+    return errors;
+  }
+
+  validateObject(schema, value, at) {
+    const errors = [];
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        errors.push(`${at}: missing required property "${key}"`);
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      const path = /^[A-Za-z_$][\w$]*$/.test(key) ? `${at}.${key}` : `${at}[${JSON.stringify(key)}]`;
+
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        errors.push(...this.validate(properties[key], item, path));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...this.validate(schema.additionalProperties, item, path));
+      }
+    }
+
+    return errors;
+  }
+
+  compilePattern(pattern, at) {
+    try {
+      return new RegExp(pattern, 'u');
+    } catch (error) {
+      throw new Error(`an invalid pattern at ${at}: ${error.message}`);
+    }
+  }
+
+  isType(value, type) {
+    switch (type) {
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      default: return this.typeOf(value) === type;
+    }
+  }
+
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  equal(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+module.exports = new JsonSchemaService();
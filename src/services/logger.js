@@ -15,6 +15,34 @@ class Logger {
       verbose: 3,
       debug: 4
     };
+    this.held = null;
+  }
+
+  /**
+   * Queue stdout messages until release(), e.g. while it is not yet known
+   * whether stdout must carry only JSON or CSV
+   */
+  hold() {
+    this.held = this.held || [];
+  }
+
+  /**
+   * Print the queued messages, or drop them with { discard: true }
+   */
+  release({ discard = false } = {}) {
+    const held = this.held || [];
+    this.held = null;
+    if (!discard) {
+      held.forEach(args => console.log(...args));
+    }
+  }
+
+  write(...args) {
+    if (this.held) {
+      this.held.push(args);
+    } else {
+      console.log(...args);
+    }
   }
 
   setLevel(level) {
@@ -45,19 +73,19 @@ class Logger {
 
   info(...args) {
     if (this.shouldLog('info')) {
-      console.log(chalk.blue('INFO:'), ...args);
+      this.write(chalk.blue('INFO:'), ...args);
     }
   }
 
   verbose(...args) {
     if (this.shouldLog('verbose')) {
-      console.log(chalk.gray('VERBOSE:'), ...args);
+      this.write(chalk.gray('VERBOSE:'), ...args);
     }
   }
 
   debug(...args) {
     if (this.shouldLog('debug')) {
-      console.log(chalk.magenta('DEBUG:'), ...args);
+      this.write(chalk.magenta('DEBUG:'), ...args);
     }
   }
 }
@@ -7,6 +7,7 @@ const axios = require('axios');
 const chalk = require('chalk');
 const configService = require('./config');
 const loggerService = require('./logger');
+const streamParser = require('./stream-parser');
 
 class OllamaService {
   constructor() {
@@ -105,6 +106,14 @@ class OllamaService {
         requestData.system = options.system;
       }
 
+      if (options.contextWindow) {
+        requestData.options.num_ctx = options.contextWindow;
+      }
+
+      if (requestData.stream) {
+        return await this.streamRequest('/api/generate', requestData, options, chunk => chunk.response);
+      }
+
       const response = await axios.post(`${this.baseUrl}/api/generate`, requestData, {
         timeout: 60000
       });
@@ -148,6 +157,15 @@ class OllamaService {
         }
       };
 
+      if (options.contextWindow) {
+        requestData.options.num_ctx = options.contextWindow;
+      }
+
+      if (requestData.stream) {
+        const result = await this.streamRequest('/api/chat', requestData, options, chunk => chunk.message?.content);
+        return { ...result, role: 'assistant' };
+      }
+
       const response = await axios.post(`${this.baseUrl}/api/chat`, requestData, {
         timeout: 60000
       });
@@ -168,6 +186,103 @@ class OllamaService {
     }
   }
 
+  /**
+   * Stream an NDJSON response, passing each piece of text to
+   * `options.onToken`. Aborting `options.signal` keeps the text so far.
+   */
+  async streamRequest(endpoint, requestData, options, pickText) {
+    const result = {
+      content: '',
+      model: requestData.model,
+      done: false,
+      cancelled: false
+    };
+
+    try {
+      const response = await axios.post(`${this.baseUrl}${endpoint}`, requestData, {
+        responseType: 'stream',
+        signal: options.signal,
+        timeout: 60000
+      });
+
+      for await (const chunk of streamParser.ndjson(response.data)) {
+        if (chunk.error) {
+          throw new Error(chunk.error);
+        }
+
+        const text = pickText(chunk);
+        if (text) {
+          result.content += text;
+          if (options.onToken) options.onToken(text);
+        }
+
+        if (chunk.done) {
+          result.done = true;
+          result.totalDuration = chunk.total_duration;
+          result.loadDuration = chunk.load_duration;
+          result.promptEvalCount = chunk.prompt_eval_count;
+          result.evalCount = chunk.eval_count;
+        }
+      }
+    } catch (error) {
+      if (!streamParser.isAbort(error, options.signal)) {
+        throw error;
+      }
+      result.cancelled = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * Embed one or more texts with a local embedding model. Returns one
+   * vector per input. Falls back to the older /api/embeddings endpoint
+   * (one text per request) on Ollama versions without /api/embed.
+   */
+  async embed(input, options = {}) {
+    if (!this.initialized) {
+      throw new Error('Ollama service not available');
+    }
+
+    const model = options.model || this.getEmbeddingModel();
+    if (!this.hasModel(model) && !this.hasModel(`${model}:latest`)) {
+      throw new Error(`Embedding model ${model} not available. Run "mdsaad ai pull ${model}" first`);
+    }
+
+    const texts = Array.isArray(input) ? input : [input];
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/api/embed`, { model, input: texts }, {
+        timeout: 120000
+      });
+      return response.data.embeddings;
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw new Error(`Ollama embedding failed: ${error.response?.data?.error || error.message}`);
+      }
+    }
+
+    try {
+      const embeddings = [];
+      for (const text of texts) {
+        const response = await axios.post(`${this.baseUrl}/api/embeddings`, { model, prompt: text }, {
+          timeout: 60000
+        });
+        embeddings.push(response.data.embedding);
+      }
+      return embeddings;
+    } catch (error) {
+      throw new Error(`Ollama embedding failed: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Embedding model for indexing, via ollama.embeddingModel
+   */
+  getEmbeddingModel() {
+    return configService.get('ollama.embeddingModel', 'nomic-embed-text');
+  }
+
   /**
    * Pull a model from Ollama registry
    */
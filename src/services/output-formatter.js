@@ -539,6 +539,29 @@ class OutputFormatter {
     return `${label} [${chalk.green(filled)}${chalk.gray(empty)}] ${percent}%`;
   }
 
+  /**
+   * Render numbers as a one-line sparkline, averaging neighbouring
+   * values when there are more than `width` of them
+   */
+  sparkline(values, width = 60) {
+    const blocks = '▁▂▃▄▅▆▇█';
+    const points = [];
+    const bucketSize = Math.max(1, values.length / width);
+
+    for (let start = 0; start < values.length; start += bucketSize) {
+      const from = Math.floor(start);
+      const bucket = values.slice(from, Math.max(from + 1, Math.floor(start + bucketSize)));
+      points.push(bucket.reduce((sum, value) => sum + value, 0) / bucket.length);
+    }
+
+    const min = Math.min(...points);
+    const range = Math.max(...points) - min;
+
+    return points
+      .map(value => blocks[range === 0 ? 3 : Math.round(((value - min) / range) * (blocks.length - 1))])
+      .join('');
+  }
+
   /**
    * Create styled subheader
    */
@@ -126,6 +126,20 @@ class PlatformService {
     return Boolean(process.stdin.isTTY && process.stdout.isTTY);
   }
 
+  /**
+   * Check if stdin is a pipe or a redirected file. Other non-TTY stdins
+   * (cron, CI runners, ssh) may never reach EOF, so they are not read
+   * unless asked for with "-".
+   */
+  hasPipedInput() {
+    try {
+      const stats = fs.fstatSync(0);
+      return stats.isFIFO() || stats.isFile();
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Detect shell type
    */
@@ -0,0 +1,298 @@
+/**
+ * Programmer Calculator Service
+ * Integer expression evaluation with BigInt, fixed-width wraparound,
+ * base conversion and bit-field visualization
+ */
+
+class ProgrammerCalcService {
+  constructor() {
+    this.supportedWidths = [8, 16, 32, 64];
+
+    // Largest power result in arbitrary width mode, so 3 ** 100000000
+    // fails fast instead of exhausting memory
+    this.maxPowerBits = 65536;
+
+    // Binary operators with C-like precedence (higher binds tighter)
+    this.binaryOperators = {
+      '|': { precedence: 1, apply: (a, b) => a | b },
+      '^': { precedence: 2, apply: (a, b) => a ^ b },
+      '&': { precedence: 3, apply: (a, b) => a & b },
+      '<<': { precedence: 4, apply: (a, b) => a << this.shiftCount(b) },
+      '>>': { precedence: 4, apply: (a, b) => a >> this.shiftCount(b) },
+      '>>>': { precedence: 4, apply: (a, b, settings) => this.logicalShiftRight(a, b, settings) },
+      '+': { precedence: 5, apply: (a, b) => a + b },
+      '-': { precedence: 5, apply: (a, b) => a - b },
+      '*': { precedence: 6, apply: (a, b) => a * b },
+      '/': { precedence: 6, apply: (a, b) => this.divide(a, b, (x, y) => x / y) },
+      '%': { precedence: 6, apply: (a, b) => this.divide(a, b, (x, y) => x % y) },
+      '**': { precedence: 8, rightAssociative: true, apply: (a, b, settings) => this.power(a, b, settings) }
+    };
+
+    this.unaryPrecedence = 7;
+  }
+
+  /**
+   * Normalize width and signedness options.
+   * A width of 0 means arbitrary precision (no wraparound).
+   */
+  getSettings(options = {}) {
+    const bits = options.bits === undefined ? 64 : parseInt(options.bits, 10);
+
+    if (bits !== 0 && !this.supportedWidths.includes(bits)) {
+      throw new Error(`Unsupported bit width: ${options.bits}. Use ${this.supportedWidths.join(', ')} or 0 for arbitrary width`);
+    }
+
+    const signed = options.signed !== undefined ? Boolean(options.signed) : !options.unsigned;
+    return { bits, signed };
+  }
+
+  /**
+   * Evaluate an integer expression and return a BigInt.
+   * Every intermediate result wraps to the configured width, like
+   * fixed-width hardware registers.
+   */
+  evaluate(expression, options = {}) {
+    const settings = this.getSettings(options);
+    const tokens = this.tokenize(expression);
+
+    if (tokens.length === 0) {
+      throw new Error('Empty expression');
+    }
+
+    const state = { tokens, position: 0, settings };
+    const value = this.parseExpression(state, 0);
+
+    if (state.position < tokens.length) {
+      throw new Error(`Unexpected token "${tokens[state.position].value}"`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Split an expression into number, operator and parenthesis tokens
+   */
+  tokenize(expression) {
+    const pattern = /\s*(?:(0x[0-9a-f_]+|0o[0-7_]+|0b[01_]+|\d[\d_]*)|(>>>|<<|>>|\*\*|[-+*/%&|^~()]))/iy;
+    const tokens = [];
+    const input = String(expression || '').trim();
+
+    pattern.lastIndex = 0;
+    while (pattern.lastIndex < input.length) {
+      const start = pattern.lastIndex;
+      const match = pattern.exec(input);
+
+      if (!match) {
+        throw new Error(`Unexpected character "${input[start]}" at position ${start + 1}`);
+      }
+
+      if (match[1]) {
+        tokens.push({ type: 'number', value: this.parseLiteral(match[1]) });
+      } else {
+        tokens.push({ type: 'operator', value: match[2] });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse a decimal, hex (0x), octal (0o) or binary (0b) literal
+   */
+  parseLiteral(literal) {
+    const digits = literal.replace(/_/g, '');
+
+    if (/^0o/i.test(digits)) {
+      return BigInt('0o' + digits.slice(2));
+    }
+
+    return BigInt(digits);
+  }
+
+  /**
+   * Precedence-climbing parser for binary operators
+   */
+  parseExpression(state, minPrecedence) {
+    let left = this.parseUnary(state);
+
+    for (;;) {
+      const token = state.tokens[state.position];
+      const operator = token && token.type === 'operator' && this.binaryOperators[token.value];
+
+      if (!operator || operator.precedence < minPrecedence) {
+        return left;
+      }
+
+      state.position++;
+      const nextPrecedence = operator.rightAssociative ? operator.precedence : operator.precedence + 1;
+      const right = this.parseExpression(state, nextPrecedence);
+      left = this.wrap(operator.apply(left, right, state.settings), state.settings);
+    }
+  }
+
+  /**
+   * Parse unary operators, parentheses and literals
+   */
+  parseUnary(state) {
+    const token = state.tokens[state.position++];
+
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token.type === 'number') {
+      return this.wrap(token.value, state.settings);
+    }
+
+    switch (token.value) {
+      case '(': {
+        const value = this.parseExpression(state, 0);
+        const closing = state.tokens[state.position++];
+        if (!closing || closing.value !== ')') {
+          throw new Error('Missing closing parenthesis');
+        }
+        return value;
+      }
+
+      case '-':
+        return this.wrap(-this.parseExpression(state, this.unaryPrecedence), state.settings);
+
+      case '+':
+        return this.parseExpression(state, this.unaryPrecedence);
+
+      case '~':
+        return this.wrap(~this.parseExpression(state, this.unaryPrecedence), state.settings);
+
+      default:
+        throw new Error(`Unexpected token "${token.value}"`);
+    }
+  }
+
+  /**
+   * Wrap a value to the configured width using two's complement
+   */
+  wrap(value, settings) {
+    if (settings.bits === 0) {
+      return value;
+    }
+    return settings.signed ? BigInt.asIntN(settings.bits, value) : BigInt.asUintN(settings.bits, value);
+  }
+
+  shiftCount(count) {
+    if (count < 0n) {
+      throw new Error('Shift count cannot be negative');
+    }
+    return count;
+  }
+
+  /**
+   * Logical (zero-filling) right shift on the unsigned bit pattern
+   */
+  logicalShiftRight(value, count, settings) {
+    if (settings.bits === 0) {
+      if (value < 0n) {
+        throw new Error('>>> needs a fixed bit width for negative values');
+      }
+      return value >> this.shiftCount(count);
+    }
+    return BigInt.asUintN(settings.bits, value) >> this.shiftCount(count);
+  }
+
+  divide(a, b, operation) {
+    if (b === 0n) {
+      throw new Error('Division by zero');
+    }
+    return operation(a, b);
+  }
+
+  /**
+   * Integer power. Fixed widths square and multiply modulo 2^bits, so no
+   * intermediate value grows past the width whatever the exponent.
+   */
+  power(base, exponent, settings) {
+    if (exponent < 0n) {
+      throw new Error('Negative exponents are not supported for integers');
+    }
+
+    if (settings.bits !== 0) {
+      let result = 1n;
+      let square = BigInt.asUintN(settings.bits, base);
+      for (let remaining = exponent; remaining > 0n; remaining >>= 1n) {
+        if (remaining & 1n) {
+          result = BigInt.asUintN(settings.bits, result * square);
+        }
+        square = BigInt.asUintN(settings.bits, square * square);
+      }
+      return result;
+    }
+
+    // 0, 1 and -1 stay small whatever the exponent
+    const magnitude = base < 0n ? -base : base;
+    if (magnitude <= 1n) {
+      return exponent === 0n || (base === -1n && exponent % 2n === 0n) ? 1n : base;
+    }
+
+    const bitLength = magnitude.toString(2).length;
+    const log2 = bitLength > 1000 ? bitLength : Math.log2(Number(magnitude));
+    if (Number(exponent) * log2 > this.maxPowerBits) {
+      throw new Error(`${base} ** ${exponent} is over ${this.maxPowerBits} bits; use a fixed --bits width to wrap it`);
+    }
+    return base ** exponent;
+  }
+
+  /**
+   * Number of bits used to display a value: the configured width, or the
+   * smallest whole number of bytes that holds it (with a sign bit) for
+   * arbitrary width
+   */
+  displayWidth(value, settings) {
+    if (settings.bits !== 0) {
+      return settings.bits;
+    }
+
+    const magnitude = value < 0n ? -value - 1n : value;
+    const needed = magnitude.toString(2).length + 1;
+    return Math.max(8, Math.ceil(needed / 8) * 8);
+  }
+
+  /**
+   * Render a value in every supported base
+   */
+  format(value, options = {}) {
+    const settings = this.getSettings(options);
+    const width = this.displayWidth(value, settings);
+    const pattern = BigInt.asUintN(width, value);
+
+    return {
+      width,
+      signed: BigInt.asIntN(width, value).toString(),
+      unsigned: pattern.toString(),
+      hex: '0x' + pattern.toString(16).toUpperCase().padStart(width / 4, '0'),
+      octal: '0o' + pattern.toString(8),
+      binary: '0b' + pattern.toString(2).padStart(width, '0')
+    };
+  }
+
+  /**
+   * Visualize the bit pattern, 16 bits per row with bit positions
+   */
+  bitField(value, options = {}) {
+    const settings = this.getSettings(options);
+    const width = this.displayWidth(value, settings);
+    const bits = BigInt.asUintN(width, value).toString(2).padStart(width, '0');
+    const rowSize = Math.min(16, width);
+    const labelWidth = `${width - 1}-${width - rowSize}`.length;
+    const rows = [];
+
+    for (let offset = 0; offset < width; offset += rowSize) {
+      const high = width - 1 - offset;
+      const low = Math.max(high - rowSize + 1, 0);
+      const nibbles = bits.slice(offset, offset + high - low + 1).match(/.{4}/g).join(' ');
+      rows.push(`${`${high}-${low}`.padStart(labelWidth)}  ${nibbles}`);
+    }
+
+    return rows;
+  }
+}
+
+module.exports = new ProgrammerCalcService();
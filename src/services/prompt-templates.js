@@ -0,0 +1,210 @@
+/**
+ * Prompt Template Service
+ * Reusable system prompts and prompt framing with {{variables}}, stored
+ * under the config directory. A template may also pin a model and a
+ * temperature.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const configService = require('./config');
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// {{name}} or {{name|default value}}
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*(?:\|([^}]*))?\}\}/g;
+
+class PromptTemplateService {
+  constructor() {
+    // Starting points for common team tasks; a saved template of the same name wins
+    this.builtIns = {
+      commit: {
+        name: 'commit',
+        description: 'Write a commit message for a diff',
+        system: 'You write concise git commit messages in the {{style|imperative mood}}. ' +
+          'Return a subject line of at most 72 characters, a blank line, then a short body.',
+        prompt: 'Write a commit message for this change:\n\n{{input}}',
+        temperature: 0.2
+      },
+      review: {
+        name: 'review',
+        description: 'Review code for bugs and readability',
+        system: 'You are a careful {{language|software}} code reviewer. Point out bugs, risky edge cases ' +
+          'and unclear code, most important first. Be specific and brief.',
+        prompt: 'Review this code:\n\n{{input}}',
+        temperature: 0.3
+      },
+      translate: {
+        name: 'translate',
+        description: 'Translate text into another language',
+        system: 'You are a professional translator. Translate into {{to}} with a {{tone|neutral}} tone. ' +
+          'Return only the translation.',
+        prompt: '{{input}}',
+        temperature: 0.2
+      }
+    };
+  }
+
+  getTemplatesDir() {
+    return path.join(path.dirname(configService.getConfigPath()), 'templates');
+  }
+
+  getTemplateFile(name) {
+    return path.join(this.getTemplatesDir(), `${this.validateName(name)}.json`);
+  }
+
+  validateName(name) {
+    const value = String(name || '').trim();
+    if (!NAME_PATTERN.test(value)) {
+      throw new Error(`Invalid template name: "${name}". Use letters, digits, ".", "-" or "_" (max 64)`);
+    }
+    return value;
+  }
+
+  /**
+   * Saved template, falling back to a built-in of the same name
+   */
+  async get(name) {
+    const file = this.getTemplateFile(name);
+    if (await fs.pathExists(file)) {
+      return fs.readJson(file);
+    }
+    return this.builtIns[name] ? { ...this.builtIns[name], builtIn: true } : null;
+  }
+
+  /**
+   * Create or replace a template. Needs a system prompt or a prompt.
+   */
+  async save(definition) {
+    const template = {
+      name: this.validateName(definition.name),
+      description: definition.description || null,
+      system: definition.system || null,
+      prompt: definition.prompt || null,
+      model: definition.model || null,
+      temperature: this.parseTemperature(definition.temperature),
+      defaults: definition.defaults || {},
+      updatedAt: new Date().toISOString()
+    };
+
+    if (!template.system && !template.prompt) {
+      throw new Error('A template needs a system prompt (--system) or a prompt (--prompt)');
+    }
+
+    await fs.ensureDir(this.getTemplatesDir());
+    await fs.writeJson(this.getTemplateFile(template.name), template, { spaces: 2 });
+    return template;
+  }
+
+  async remove(name) {
+    const file = this.getTemplateFile(name);
+    if (!(await fs.pathExists(file))) {
+      throw new Error(this.builtIns[name]
+        ? `"${name}" is a built-in template and cannot be removed`
+        : `Template "${name}" not found`);
+    }
+    await fs.remove(file);
+  }
+
+  /**
+   * Saved templates plus the built-ins they do not override, by name
+   */
+  async list() {
+    const templates = new Map(Object.entries(this.builtIns).map(([name, template]) => [name, { ...template, builtIn: true }]));
+    const dir = this.getTemplatesDir();
+
+    if (await fs.pathExists(dir)) {
+      for (const file of await fs.readdir(dir)) {
+        if (!file.endsWith('.json')) continue;
+        try {
+          const template = await fs.readJson(path.join(dir, file));
+          templates.set(template.name, template);
+        } catch (error) {
+          // Skip a corrupt template file rather than failing the listing
+        }
+      }
+    }
+
+    return [...templates.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  parseTemperature(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const temperature = Number(value);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+      throw new Error(`Invalid temperature: ${value}. Use a number from 0 to 2`);
+    }
+    return temperature;
+  }
+
+  /**
+   * Parse repeated --var key=value options
+   */
+  parseVariables(pairs = []) {
+    const variables = {};
+
+    for (const pair of pairs) {
+      const index = pair.indexOf('=');
+      const key = index > 0 ? pair.slice(0, index).trim() : '';
+      if (!/^[A-Za-z_][\w-]*$/.test(key)) {
+        throw new Error(`Invalid --var "${pair}". Use key=value`);
+      }
+      variables[key] = pair.slice(index + 1);
+    }
+
+    return variables;
+  }
+
+  /**
+   * Variable names a template uses, in order of first appearance
+   */
+  variablesOf(template) {
+    const names = new Set();
+    for (const text of [template.system, template.prompt]) {
+      for (const match of String(text || '').matchAll(VARIABLE_PATTERN)) {
+        names.add(match[1]);
+      }
+    }
+    return [...names];
+  }
+
+  /**
+   * Fill in a template. A value comes from the given variables, then the
+   * template's saved defaults, then an inline {{name|default}}.
+   */
+  render(template, variables = {}) {
+    const missing = new Set();
+    const values = { ...template.defaults, ...variables };
+
+    const fill = text => {
+      if (!text) return null;
+      return text.replace(VARIABLE_PATTERN, (match, name, inlineDefault) => {
+        if (values[name] !== undefined) return values[name];
+        if (inlineDefault !== undefined) return inlineDefault.trim();
+        missing.add(name);
+        return match;
+      });
+    };
+
+    const system = fill(template.system);
+    const prompt = fill(template.prompt || '{{input}}');
+
+    if (missing.size > 0) {
+      const names = [...missing];
+      throw new Error(`Template "${template.name}" is missing ${names.map(name => `{{${name}}}`).join(', ')}. ` +
+        `Pass ${names.map(name => `--var ${name}=...`).join(' ')}`);
+    }
+
+    return {
+      system,
+      prompt,
+      model: template.model || null,
+      temperature: template.temperature ?? null
+    };
+  }
+}
+
+module.exports = new PromptTemplateService();
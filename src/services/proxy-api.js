@@ -70,7 +70,10 @@ class ProxyAPIService {
   }
 
   /**
-   * Make AI requests through your proxy API
+   * Make AI requests through your proxy API. `options.systemPrompt` and
+   * `options.context` ([{ prompt, response }], oldest first) are sent as
+   * `system` and `messages` so sessions and templates keep their memory
+   * and instructions.
    */
   async aiRequest(prompt, options = {}) {
     // Check client-side rate limiting first
@@ -81,9 +84,14 @@ class ProxyAPIService {
     return await this.makeRequestWithFallback(async () => {
       const response = await axios.post(`${this.baseUrl}/ai/chat`, {
         prompt: prompt,
+        system: options.systemPrompt || undefined,
+        messages: (options.context || []).flatMap(item => [
+          { role: 'user', content: item.prompt },
+          { role: 'assistant', content: item.response }
+        ]),
         model: options.model || 'auto',
         max_tokens: options.maxTokens || 1000,
-        temperature: options.temperature || 0.7,
+        temperature: Number.isFinite(parseFloat(options.temperature)) ? parseFloat(options.temperature) : 0.7,
         client_id: this.clientId,
         version: require('../../package.json').version
       }, {
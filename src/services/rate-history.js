@@ -0,0 +1,209 @@
+/**
+ * Rate History Service
+ * Local time-series store of daily exchange rates, kept under the cache
+ * directory so historical lookups and trends work offline once fetched
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const configService = require('./config');
+
+const DAY_MS = 86400000;
+
+class RateHistoryService {
+  constructor() {
+    // Loaded series by base currency: { days: Map<date, rates>, ranges: [[from, to]] }
+    this.series = new Map();
+
+    // Rates are published on business days only, so a lookup may fall back
+    // to the closest earlier day (weekends and holidays)
+    this.maxGapDays = 4;
+  }
+
+  /**
+   * Store directory. Files use the .jsonl extension so the cache service's
+   * TTL and size cleanup (which only scans .json entries) leaves them alone.
+   */
+  getStoreDir() {
+    return path.join(configService.getCacheDir(), 'rates');
+  }
+
+  getStoreFile(base) {
+    return path.join(this.getStoreDir(), `${base}.jsonl`);
+  }
+
+  /**
+   * Load the series for a base currency. Each line is either a day
+   * ({"date", "rates"}) or a fetched range ({"range": [from, to]}).
+   */
+  async load(base) {
+    if (this.series.has(base)) {
+      return this.series.get(base);
+    }
+
+    const series = { days: new Map(), ranges: [] };
+    const file = this.getStoreFile(base);
+
+    if (await fs.pathExists(file)) {
+      const content = await fs.readFile(file, 'utf8');
+
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+
+        try {
+          const entry = JSON.parse(line);
+          if (entry.range) {
+            series.ranges.push(entry.range);
+          } else if (entry.date && entry.rates) {
+            series.days.set(entry.date, { ...series.days.get(entry.date), ...entry.rates });
+          }
+        } catch (error) {
+          // Skip a partially written line
+        }
+      }
+    }
+
+    this.series.set(base, series);
+    return series;
+  }
+
+  /**
+   * Append daily rates, and optionally the range they cover, to the store
+   */
+  async record(base, days, range = null) {
+    const series = await this.load(base);
+    const lines = [];
+
+    for (const [date, rates] of Object.entries(days)) {
+      series.days.set(date, { ...series.days.get(date), ...rates });
+      lines.push(JSON.stringify({ date, rates }));
+    }
+
+    if (range) {
+      series.ranges.push(range);
+      lines.push(JSON.stringify({ range }));
+    }
+
+    if (lines.length > 0) {
+      await fs.ensureDir(this.getStoreDir());
+      await fs.appendFile(this.getStoreFile(base), lines.join('\n') + '\n');
+    }
+  }
+
+  /**
+   * Rate on a date, or on the closest earlier day with data
+   */
+  async findRate(base, quote, date) {
+    const series = await this.load(base);
+
+    for (let gap = 0; gap <= this.maxGapDays; gap++) {
+      const day = this.shiftDate(date, -gap);
+      const rates = series.days.get(day);
+      if (rates && rates[quote] !== undefined) {
+        return { date: day, rate: rates[quote] };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Daily rates for a pair between two dates, oldest first
+   */
+  async getSeries(base, quote, from, to) {
+    const series = await this.load(base);
+
+    return [...series.days.entries()]
+      .filter(([date, rates]) => date >= from && date <= to && rates[quote] !== undefined)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, rates]) => ({ date, rate: rates[quote] }));
+  }
+
+  /**
+   * The part of a date range not yet fetched, as [from, to], or null
+   * when the store already covers it
+   */
+  async findMissingRange(base, from, to) {
+    const series = await this.load(base);
+    const covered = date => series.ranges.some(([start, end]) => date >= start && date <= end);
+    const missing = this.listDates(from, to).filter(date => !covered(date));
+
+    return missing.length > 0 ? [missing[0], missing[missing.length - 1]] : null;
+  }
+
+  /**
+   * Make sure a date range is in the store, fetching only what is missing.
+   * `fetchRange(from, to)` returns { date: { CODE: rate } }. Today is never
+   * marked as covered, since its rates may still be published.
+   */
+  async ensureRange(base, from, to, fetchRange) {
+    const missing = await this.findMissingRange(base, from, to);
+    if (!missing) {
+      return false;
+    }
+
+    const days = await fetchRange(missing[0], missing[1]);
+    const yesterday = this.shiftDate(this.today(), -1);
+    const coveredTo = missing[1] < yesterday ? missing[1] : yesterday;
+
+    await this.record(base, days, missing[0] <= coveredTo ? [missing[0], coveredTo] : null);
+    return true;
+  }
+
+  /**
+   * Validate a YYYY-MM-DD date that is not in the future
+   */
+  parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+    const time = match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+
+    if (!match || new Date(time).toISOString().slice(0, 10) !== match[0]) {
+      throw new Error(`Invalid date: ${value}. Use YYYY-MM-DD`);
+    }
+    if (match[0] > this.today()) {
+      throw new Error(`Date ${match[0]} is in the future`);
+    }
+
+    return match[0];
+  }
+
+  /**
+   * Parse "YYYY-MM-DD" or "YYYY-MM-DD..YYYY-MM-DD" (end defaults to today)
+   */
+  parseRange(value) {
+    const [start, end] = String(value).split('..');
+    const from = this.parseDate(start);
+    const to = end === undefined ? from : this.parseDate(end || this.today());
+
+    if (to < from) {
+      throw new Error(`Range end ${to} is before its start ${from}`);
+    }
+
+    return { from, to, isRange: end !== undefined };
+  }
+
+  listDates(from, to) {
+    const dates = [];
+    for (let date = from; date <= to; date = this.shiftDate(date, 1)) {
+      dates.push(date);
+    }
+    return dates;
+  }
+
+  shiftDate(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  /**
+   * Forget loaded series (the files stay on disk)
+   */
+  reset() {
+    this.series.clear();
+  }
+}
+
+module.exports = new RateHistoryService();
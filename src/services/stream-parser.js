@@ -0,0 +1,105 @@
+/**
+ * Stream Parser Service
+ * Incremental readers for streamed HTTP bodies: Server-Sent Events
+ * (OpenAI-compatible providers, Gemini) and newline-delimited JSON (Ollama)
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+class StreamParser {
+  /**
+   * Yield complete lines from a chunked stream. A line split across
+   * chunks is held back until its newline arrives, and so is a UTF-8
+   * character split across chunks.
+   */
+  async *lines(stream) {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+
+    for await (const chunk of stream) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+      let index;
+      while ((index = buffer.indexOf('\n')) !== -1) {
+        yield buffer.slice(0, index).replace(/\r$/, '');
+        buffer = buffer.slice(index + 1);
+      }
+    }
+
+    buffer += decoder.end();
+    if (buffer.length > 0) {
+      yield buffer.replace(/\r$/, '');
+    }
+  }
+
+  /**
+   * Yield the data payload of each Server-Sent Event. Multi-line data
+   * fields are joined, comments are skipped and "[DONE]" ends the stream.
+   */
+  async *sse(stream) {
+    let data = [];
+
+    for await (const line of this.lines(stream)) {
+      if (line === '') {
+        if (data.length > 0) {
+          const payload = data.join('\n');
+          data = [];
+          if (payload === '[DONE]') return;
+          yield payload;
+        }
+        continue;
+      }
+
+      if (line.startsWith(':')) continue;
+
+      if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+
+    if (data.length > 0 && data.join('\n') !== '[DONE]') {
+      yield data.join('\n');
+    }
+  }
+
+  /**
+   * Yield each SSE payload parsed as JSON
+   */
+  async *sseJson(stream) {
+    for await (const payload of this.sse(stream)) {
+      yield this.parseJson(payload);
+    }
+  }
+
+  /**
+   * Yield one parsed object per non-empty line
+   */
+  async *ndjson(stream) {
+    for await (const line of this.lines(stream)) {
+      if (line.trim() === '') continue;
+      yield this.parseJson(line);
+    }
+  }
+
+  parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Malformed stream event: ${text.substring(0, 80)}`);
+    }
+  }
+
+  /**
+   * Whether an error came from aborting the request
+   */
+  isAbort(error, signal) {
+    return Boolean(
+      (signal && signal.aborted) ||
+      error?.name === 'AbortError' ||
+      error?.name === 'CanceledError' ||
+      error?.code === 'ERR_CANCELED'
+    );
+  }
+}
+
+module.exports = new StreamParser();
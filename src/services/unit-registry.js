@@ -0,0 +1,470 @@
+/**
+ * Unit Registry
+ * Single source of unit definitions, aliases and dimension checks shared by
+ * the calculate and convert commands. Units are math.js units, so both
+ * commands agree on names and conversion factors.
+ */
+
+const { create, all } = require('mathjs');
+
+// Data units: prefix in any case, then b (bits) or B (bytes) as written
+const DATA_PATTERN = /^(?:([kmgtp])(i)?)?([bB])$/i;
+
+/**
+ * Raised when two units measure different quantities
+ */
+class DimensionMismatchError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'DimensionMismatchError';
+    this.from = details.from;
+    this.to = details.to;
+    this.fromDimension = details.fromDimension;
+    this.toDimension = details.toDimension;
+  }
+}
+
+class UnitRegistry {
+  constructor() {
+    this.DimensionMismatchError = DimensionMismatchError;
+
+    // Units math.js does not define, installed into every math instance
+    this.customUnits = {
+      nmi: '1852 m',
+      impfloz: '28.4130625 mL',
+      imppint: '568.26125 mL',
+      impquart: '1.1365225 L',
+      impgallon: '4.54609 L',
+      kph: '1 km/h',
+      mph: '1 mi/h',
+      knot: '1852 m/h',
+      inHg: '3386.389 Pa',
+      cal: { definition: '4.184 J', prefixes: 'short' },
+      mpg: '1 mi/gallon',
+      mpgimp: '1 mi/impgallon',
+      kmpl: '1 km/L',
+      L100km: '0.01 L/km'
+    };
+
+    // Fuel economy units measure distance per volume or its inverse,
+    // volume per distance, so they convert by reciprocal
+    this.fuelEconomy = {
+      mpg: 'distance',
+      mpgimp: 'distance',
+      kmpl: 'distance',
+      L100km: 'consumption'
+    };
+
+    // Base unit of each category; a unit belongs to the first category
+    // whose base has the same dimension
+    this.categories = {
+      length: 'm',
+      weight: 'g',
+      volume: 'L',
+      area: 'm^2',
+      temperature: 'K',
+      time: 's',
+      speed: 'm/s',
+      energy: 'J',
+      power: 'W',
+      pressure: 'Pa',
+      data: 'B',
+      angle: 'rad'
+    };
+
+    // Case-insensitive codes accepted by `convert`, mapped to math.js units
+    this.aliases = {
+      length: {
+        'MM': 'mm', 'MILLIMETER': 'mm', 'MILLIMETERS': 'mm',
+        'CM': 'cm', 'CENTIMETER': 'cm', 'CENTIMETERS': 'cm',
+        'M': 'm', 'METER': 'm', 'METERS': 'm',
+        'KM': 'km', 'KILOMETER': 'km', 'KILOMETERS': 'km',
+        'IN': 'in', 'INCH': 'in', 'INCHES': 'in',
+        'FT': 'ft', 'FOOT': 'ft', 'FEET': 'ft',
+        'YD': 'yd', 'YARD': 'yd', 'YARDS': 'yd',
+        'MI': 'mi', 'MILE': 'mi', 'MILES': 'mi',
+        'NM': 'nmi', 'NAUTICAL_MILE': 'nmi', 'NAUTICAL_MILES': 'nmi'
+      },
+      weight: {
+        'MG': 'mg', 'MILLIGRAM': 'mg', 'MILLIGRAMS': 'mg',
+        'G': 'g', 'GRAM': 'g', 'GRAMS': 'g',
+        'KG': 'kg', 'KILOGRAM': 'kg', 'KILOGRAMS': 'kg',
+        'TONNE': 'tonne', 'TONNES': 'tonne', 'MT': 'tonne',
+        'OZ': 'oz', 'OUNCE': 'oz', 'OUNCES': 'oz',
+        'LB': 'lb', 'LBS': 'lb', 'POUND': 'lb', 'POUNDS': 'lb',
+        'ST': 'stone', 'STONE': 'stone', 'STONES': 'stone',
+        'TON': 'ton', 'TONS': 'ton', 'SHORT_TON': 'ton'
+      },
+      volume: {
+        'ML': 'mL', 'MILLILITER': 'mL', 'MILLILITERS': 'mL',
+        'L': 'L', 'LITER': 'L', 'LITERS': 'L', 'LITRE': 'L', 'LITRES': 'L',
+        'FL_OZ': 'floz', 'FLUID_OUNCE': 'floz', 'FLUID_OUNCES': 'floz',
+        'CUP': 'cup', 'CUPS': 'cup',
+        'PINT': 'pint', 'PINTS': 'pint', 'PT': 'pint',
+        'QUART': 'qt', 'QUARTS': 'qt', 'QT': 'qt',
+        'GALLON': 'gallon', 'GALLONS': 'gallon', 'GAL': 'gallon',
+        'IMP_FL_OZ': 'impfloz', 'IMP_PINT': 'imppint', 'IMP_QUART': 'impquart', 'IMP_GALLON': 'impgallon'
+      },
+      area: {
+        'SQ_MM': 'mm^2', 'SQ_CM': 'cm^2', 'SQ_M': 'm^2', 'SQ_KM': 'km^2',
+        'HECTARE': 'hectare', 'HA': 'hectare',
+        'SQ_IN': 'in^2', 'SQ_FT': 'ft^2', 'SQ_YD': 'yd^2',
+        'ACRE': 'acre', 'ACRES': 'acre', 'SQ_MILE': 'mi^2'
+      },
+      temperature: {
+        'C': 'degC', 'CELSIUS': 'degC', '°C': 'degC',
+        'F': 'degF', 'FAHRENHEIT': 'degF', '°F': 'degF',
+        'K': 'K', 'KELVIN': 'K',
+        'R': 'degR', 'RANKINE': 'degR', '°R': 'degR'
+      },
+      time: {
+        'MS': 'ms', 'MILLISECOND': 'ms', 'MILLISECONDS': 'ms',
+        'S': 's', 'SEC': 's', 'SECOND': 's', 'SECONDS': 's',
+        'MIN': 'minute', 'MINUTE': 'minute', 'MINUTES': 'minute',
+        'H': 'hour', 'HR': 'hour', 'HOUR': 'hour', 'HOURS': 'hour',
+        'D': 'day', 'DAY': 'day', 'DAYS': 'day',
+        'WK': 'week', 'WEEK': 'week', 'WEEKS': 'week',
+        'YR': 'year', 'YEAR': 'year', 'YEARS': 'year'
+      },
+      speed: {
+        'M/S': 'm/s', 'KPH': 'kph', 'KMH': 'kph', 'KM/H': 'kph',
+        'MPH': 'mph', 'FT/S': 'ft/s', 'FPS': 'ft/s',
+        'KNOT': 'knot', 'KNOTS': 'knot', 'KN': 'knot', 'KT': 'knot'
+      },
+      energy: {
+        'J': 'J', 'JOULE': 'J', 'JOULES': 'J', 'KJ': 'kJ', 'MJ': 'MJ',
+        'WH': 'Wh', 'KWH': 'kWh', 'MWH': 'MWh',
+        'CAL': 'cal', 'CALORIE': 'cal', 'CALORIES': 'cal', 'KCAL': 'kcal',
+        'BTU': 'BTU', 'EV': 'eV'
+      },
+      power: {
+        'W': 'W', 'WATT': 'W', 'WATTS': 'W', 'KW': 'kW', 'MW': 'MW',
+        'HP': 'hp', 'HORSEPOWER': 'hp', 'BTU/H': 'BTU/h'
+      },
+      pressure: {
+        'PA': 'Pa', 'PASCAL': 'Pa', 'HPA': 'hPa', 'KPA': 'kPa', 'MPA': 'MPa',
+        'BAR': 'bar', 'MBAR': 'mbar', 'PSI': 'psi', 'ATM': 'atm',
+        'MMHG': 'mmHg', 'TORR': 'torr', 'INHG': 'inHg'
+      },
+      data: {
+        // Decimal (SI) prefixes
+        'B': 'B', 'BYTE': 'B', 'BYTES': 'B',
+        'KB': 'kB', 'MB': 'MB', 'GB': 'GB', 'TB': 'TB', 'PB': 'PB',
+        // Binary (IEC) prefixes
+        'KIB': 'KiB', 'MIB': 'MiB', 'GIB': 'GiB', 'TIB': 'TiB', 'PIB': 'PiB',
+        // Bits. Prefixed codes such as Mb and kib are matched by
+        // dataUnit, where b is always bits and B always bytes
+        'BIT': 'b', 'BITS': 'b', 'KBIT': 'kb', 'MBIT': 'Mb', 'GBIT': 'Gb'
+      },
+      angle: {
+        'DEG': 'deg', 'DEGREE': 'deg', 'DEGREES': 'deg', '°': 'deg',
+        'RAD': 'rad', 'RADIAN': 'rad', 'RADIANS': 'rad',
+        'GRAD': 'grad', 'GON': 'grad', 'ARCMIN': 'arcmin', 'ARCSEC': 'arcsec',
+        'TURN': 'cycle', 'TURNS': 'cycle', 'REV': 'cycle'
+      },
+      'fuel economy': {
+        'MPG': 'mpg', 'MPG_US': 'mpg', 'MPG_IMP': 'mpgimp',
+        'KMPL': 'kmpl', 'KM/L': 'kmpl', 'L/100KM': 'L100km', 'L100KM': 'L100km'
+      }
+    };
+
+    this.aliasIndex = {};
+    for (const codes of Object.values(this.aliases)) {
+      Object.assign(this.aliasIndex, codes);
+    }
+
+    this.math = create(all);
+    this.install(this.math);
+  }
+
+  /**
+   * Register the shared custom units with a math.js instance
+   */
+  install(math) {
+    for (const [name, definition] of Object.entries(this.customUnits)) {
+      if (!math.Unit.isValuelessUnit(name)) {
+        math.createUnit(name, definition);
+      }
+    }
+  }
+
+  /**
+   * Normalize unit notation for math.js: N·m and N⋅m become N*m
+   */
+  normalize(expression) {
+    return expression.replace(/\s*[·⋅]\s*/g, '*');
+  }
+
+  /**
+   * Turn a unit code into a math.js unit expression. Data codes go
+   * through dataUnit; otherwise exact-case matches come first: convert-style codes (KM, FL_OZ, °C), then math.js units,
+   * so Mm is megametres here as in calculate. Codes in any other case are
+   * the fallback. Compound codes (km/h, kWh, N·m, m/s^2) resolve each part
+   * the same way.
+   */
+  toExpression(code) {
+    const text = this.normalize(String(code || '').trim());
+    if (!text) {
+      return null;
+    }
+
+    const data = this.dataUnit(text);
+    if (data) {
+      return data;
+    }
+    if (this.aliasIndex[text]) {
+      return this.aliasIndex[text];
+    }
+    if (this.math.Unit.isValuelessUnit(text)) {
+      return text;
+    }
+    if (this.aliasIndex[text.toUpperCase()]) {
+      return this.aliasIndex[text.toUpperCase()];
+    }
+
+    let valid = true;
+    const expression = text.replace(/°?[A-Za-z_][A-Za-z_0-9]*/g, token => {
+      const unit = this.resolveToken(token);
+      if (!unit) {
+        valid = false;
+        return token;
+      }
+      return unit.includes('^') ? `(${unit})` : unit;
+    });
+
+    return valid && /^[\w\s*/^().°-]+$/.test(expression) ? expression : null;
+  }
+
+  /**
+   * A data unit code (b, MB, Gb, kib, GiB) as a math.js unit, or null.
+   * Only the prefix ignores case: 8 Mb is one megabyte, not eight.
+   */
+  dataUnit(code) {
+    const match = DATA_PATTERN.exec(code);
+    if (!match) {
+      return null;
+    }
+
+    const [, prefix, binary, unit] = match;
+    if (!prefix) {
+      return unit;
+    }
+    if (binary) {
+      return `${prefix.toUpperCase()}i${unit}`;
+    }
+    return `${prefix.toLowerCase() === 'k' ? 'k' : prefix.toUpperCase()}${unit}`;
+  }
+
+  /**
+   * One part of a unit code as a math.js unit, in the order toExpression
+   * uses, or null
+   */
+  resolveToken(token) {
+    const data = this.dataUnit(token);
+    if (data) {
+      return data;
+    }
+    if (this.aliasIndex[token]) {
+      return this.aliasIndex[token];
+    }
+    if (this.math.Unit.isValuelessUnit(token)) {
+      return token;
+    }
+    return this.aliasIndex[token.toUpperCase()] || null;
+  }
+
+  /**
+   * Resolve a unit code to a math.js Unit of value 1, or null if unknown
+   */
+  resolve(code) {
+    const expression = this.toExpression(code);
+    if (!expression) {
+      return null;
+    }
+
+    try {
+      return this.math.unit(expression);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a code names a known unit
+   */
+  isUnit(code) {
+    return this.resolve(code) !== null;
+  }
+
+  /**
+   * Category of a unit (length, speed, ...) or null for other dimensions
+   */
+  categoryOf(unit) {
+    for (const [category, base] of Object.entries(this.categories)) {
+      if (unit.equalBase(this.math.unit(base))) {
+        return category;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a code is a fuel economy unit: 'distance' (mpg, km/L),
+   * 'consumption' (L/100km) or null
+   */
+  fuelEconomyKind(code) {
+    return this.fuelEconomy[this.toExpression(code)] || null;
+  }
+
+  /**
+   * Convert a fuel economy value to km/L, inverting L/100km
+   */
+  toKilometersPerLiter(amount, code) {
+    const expression = this.toExpression(code);
+    if (this.fuelEconomy[expression] === 'consumption') {
+      return 1 / this.math.unit(amount, expression).toNumber('L/km');
+    }
+    return this.math.unit(amount, expression).toNumber('km/L');
+  }
+
+  /**
+   * Convert a km/L value to a fuel economy unit, inverting L/100km
+   */
+  fromKilometersPerLiter(kmpl, code) {
+    const expression = this.toExpression(code);
+    if (this.fuelEconomy[expression] === 'consumption') {
+      return this.math.unit(1 / kmpl, 'L/km').toNumber(expression);
+    }
+    return this.math.unit(kmpl, 'km/L').toNumber(expression);
+  }
+
+  /**
+   * Human-readable dimension: the category name, or the SI base units
+   */
+  describeDimension(unit) {
+    if (unit.units.length === 1 && this.fuelEconomy[unit.units[0].unit.name]) {
+      return 'fuel economy';
+    }
+    return this.categoryOf(unit) || unit.toSI().formatUnits();
+  }
+
+  /**
+   * Build a dimension-mismatch error for two units
+   */
+  mismatchError(fromUnit, toUnit, action = 'convert', labels = {}) {
+    const fromDimension = this.describeDimension(fromUnit);
+    const toDimension = this.describeDimension(toUnit);
+    const fromLabel = labels.from || fromUnit.formatUnits();
+    const toLabel = labels.to || toUnit.formatUnits();
+    const phrase = action === 'convert'
+      ? `cannot convert ${fromLabel} (${fromDimension}) to ${toLabel} (${toDimension})`
+      : `cannot ${action} ${fromLabel} (${fromDimension}) and ${toLabel} (${toDimension})`;
+
+    return new DimensionMismatchError(`Dimension mismatch: ${phrase}`, {
+      from: fromLabel,
+      to: toLabel,
+      fromDimension,
+      toDimension
+    });
+  }
+
+  /**
+   * Check that two codes name units of the same dimension and return them
+   */
+  assertCompatible(from, to) {
+    const fromUnit = this.resolve(from);
+    const toUnit = this.resolve(to);
+
+    if (!fromUnit || !toUnit) {
+      throw new Error(`Unknown unit: ${fromUnit ? to : from}`);
+    }
+
+    if (!fromUnit.equalBase(toUnit)) {
+      throw this.mismatchError(fromUnit, toUnit, 'convert', { from, to });
+    }
+
+    return { fromUnit, toUnit };
+  }
+
+  /**
+   * Convert an amount between two unit codes
+   */
+  convert(amount, from, to) {
+    this.assertCompatible(from, to);
+    return this.math.unit(amount, this.toExpression(from)).toNumber(this.toExpression(to));
+  }
+
+  /**
+   * Size of one unit in its category's base unit (SI base units when it has
+   * no category). Offset units such as °C report 1.
+   */
+  factor(code) {
+    const unit = this.resolve(code);
+    if (!unit) {
+      return undefined;
+    }
+
+    if (unit.units.some(part => part.unit.offset !== 0)) {
+      return 1;
+    }
+
+    if (this.fuelEconomyKind(code)) {
+      return this.toKilometersPerLiter(1, code);
+    }
+
+    return this.math.unit(1, this.toExpression(code)).toNumber(this.baseOf(code));
+  }
+
+  /**
+   * Base unit used for factors of a code
+   */
+  baseOf(code) {
+    const unit = this.resolve(code);
+    if (!unit) {
+      return null;
+    }
+
+    if (this.fuelEconomyKind(code)) {
+      return 'km/L';
+    }
+
+    const category = this.categoryOf(unit);
+    return category ? this.categories[category] : unit.toSI().formatUnits();
+  }
+
+  /**
+   * Find the innermost unit operation in a parsed expression whose operands
+   * have different dimensions, and describe it. Used to explain math.js's
+   * generic "Units do not match" failure.
+   */
+  explainMismatch(math, node, scope = {}) {
+    const actions = {
+      add: 'add', subtract: 'subtract', to: 'convert',
+      equal: 'compare', unequal: 'compare', smaller: 'compare',
+      larger: 'compare', smallerEq: 'compare', largerEq: 'compare'
+    };
+    const evaluate = child => {
+      try {
+        return child.compile().evaluate({ ...scope });
+      } catch (error) {
+        return null;
+      }
+    };
+    let mismatch = null;
+
+    node.traverse(child => {
+      if (child.type !== 'OperatorNode' || !actions[child.fn] || child.args.length !== 2) {
+        return;
+      }
+
+      const [left, right] = child.args.map(evaluate);
+      if (math.isUnit(left) && math.isUnit(right) && !left.equalBase(right)) {
+        mismatch = this.mismatchError(left, right, actions[child.fn]);
+      }
+    });
+
+    return mismatch;
+  }
+}
+
+module.exports = new UnitRegistry();
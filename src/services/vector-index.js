@@ -0,0 +1,275 @@
+/**
+ * Vector Index Service
+ * Local retrieval over a directory: text files are split into line
+ * chunks, embedded with a local Ollama model and stored as JSON in the
+ * cache directory. Nothing leaves the machine.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const configService = require('./config');
+const ollamaService = require('./ollama');
+const attachments = require('./attachments');
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+class VectorIndexService {
+  constructor() {
+    this.chunkLines = 40;
+    this.overlapLines = 5;
+    this.maxChunkChars = 2000;
+    this.batchSize = 16;
+    this.maxFiles = 5000;
+    this.defaultMaxFileSize = 256 * 1024;
+    this.ignoredDirs = new Set(['node_modules', 'dist', 'build', 'coverage', 'vendor', '__pycache__']);
+  }
+
+  getIndexesDir() {
+    return path.join(configService.getCacheDir(), 'indexes');
+  }
+
+  getIndexFile(name) {
+    return path.join(this.getIndexesDir(), `${this.validateName(name)}.json`);
+  }
+
+  validateName(name) {
+    const value = String(name || '').trim();
+    if (!NAME_PATTERN.test(value)) {
+      throw new Error(`Invalid index name: "${name}". Use letters, digits, ".", "-" or "_" (max 64)`);
+    }
+    return value;
+  }
+
+  /**
+   * Index name for a directory when --name is not given
+   */
+  defaultName(dir) {
+    return path.basename(path.resolve(dir)).replace(/[^A-Za-z0-9._-]/g, '-').replace(/^[^A-Za-z0-9]+/, '') || 'index';
+  }
+
+  /**
+   * Chunk and embed every text file under `dir`. Files whose content is
+   * unchanged since the last build keep their stored embeddings.
+   * `onProgress({ file, done, total })` is called after each file.
+   */
+  async build(dir, { name, model, onProgress } = {}) {
+    const root = path.resolve(dir);
+    const stats = await fs.stat(root).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`${dir} is not a directory`);
+    }
+
+    const indexName = this.validateName(name || this.defaultName(root));
+    const embeddingModel = model || ollamaService.getEmbeddingModel();
+    const previous = await this.load(indexName).catch(() => null);
+    const reusable = previous && previous.model === embeddingModel ? previous.files : {};
+
+    const files = await this.listFiles(root);
+    const index = {
+      name: indexName,
+      root,
+      model: embeddingModel,
+      createdAt: new Date().toISOString(),
+      files: {},
+      chunks: [],
+      skipped: []
+    };
+    let reused = 0;
+
+    for (let i = 0; i < files.length; i++) {
+      const relative = path.relative(root, files[i]).split(path.sep).join('/');
+      const text = await this.readText(files[i]);
+
+      if (text === null) {
+        index.skipped.push(relative);
+      } else {
+        const hash = crypto.createHash('sha1').update(text).digest('hex');
+        const old = reusable[relative];
+        const chunks = old && old.hash === hash
+          ? previous.chunks.filter(chunk => chunk.file === relative)
+          : await this.embedChunks(relative, text, embeddingModel);
+
+        if (old && old.hash === hash) reused++;
+        index.files[relative] = { hash, chunks: chunks.length };
+        index.chunks.push(...chunks);
+      }
+
+      if (onProgress) onProgress({ file: relative, done: i + 1, total: files.length });
+    }
+
+    if (index.chunks.length === 0) {
+      throw new Error(`No text files to index in ${dir}`);
+    }
+
+    await fs.ensureDir(this.getIndexesDir());
+    await fs.writeJson(this.getIndexFile(indexName), index);
+
+    return { index, reused };
+  }
+
+  async embedChunks(file, text, model) {
+    const chunks = this.chunk(text).map(chunk => ({ file, ...chunk }));
+
+    for (let i = 0; i < chunks.length; i += this.batchSize) {
+      const batch = chunks.slice(i, i + this.batchSize);
+      // The file name gives the model context the chunk text may lack
+      const vectors = await ollamaService.embed(batch.map(chunk => `${file}\n${chunk.text}`), { model });
+      batch.forEach((chunk, j) => { chunk.vector = vectors[j]; });
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Split text into overlapping line windows of at most chunkLines lines
+   * and maxChunkChars characters
+   */
+  chunk(text) {
+    const lines = text.replace(/\n$/, '').split('\n');
+    const chunks = [];
+    let start = 0;
+
+    while (start < lines.length) {
+      let end = start;
+      let chars = 0;
+      while (end < lines.length && end - start < this.chunkLines &&
+        (end === start || chars + lines[end].length < this.maxChunkChars)) {
+        chars += lines[end].length + 1;
+        end++;
+      }
+
+      const body = lines.slice(start, end).join('\n');
+      if (body.trim() !== '') {
+        chunks.push({ startLine: start + 1, endLine: end, text: body.substring(0, this.maxChunkChars) });
+      }
+      if (end >= lines.length) break;
+      start = Math.max(end - this.overlapLines, start + 1);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Files under root, skipping dot entries and build/dependency folders
+   */
+  async listFiles(root) {
+    const files = [];
+    const walk = async dir => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.') || files.length >= this.maxFiles) continue;
+
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!this.ignoredDirs.has(entry.name)) await walk(full);
+        } else if (entry.isFile()) {
+          files.push(full);
+        }
+      }
+    };
+
+    await walk(root);
+    return files.sort();
+  }
+
+  /**
+   * File content, or null for binary and oversized files
+   */
+  async readText(file) {
+    const { size } = await fs.stat(file);
+    if (size === 0 || size > configService.get('ai.index.maxFileSize', this.defaultMaxFileSize)) {
+      return null;
+    }
+
+    const buffer = await fs.readFile(file);
+    return attachments.isBinary(buffer) ? null : buffer.toString('utf8').replace(/^\uFEFF/, '');
+  }
+
+  async load(name) {
+    const file = this.getIndexFile(name);
+    if (!(await fs.pathExists(file))) {
+      throw new Error(`Index "${name}" not found. Build it with "mdsaad ai index <dir> --name ${name}"`);
+    }
+    return fs.readJson(file);
+  }
+
+  /**
+   * Summaries of the stored indexes (without their vectors)
+   */
+  async list() {
+    const dir = this.getIndexesDir();
+    if (!(await fs.pathExists(dir))) {
+      return [];
+    }
+
+    const indexes = [];
+    for (const file of await fs.readdir(dir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const index = await fs.readJson(path.join(dir, file));
+        indexes.push({
+          name: index.name,
+          root: index.root,
+          model: index.model,
+          files: Object.keys(index.files).length,
+          chunks: index.chunks.length,
+          createdAt: index.createdAt
+        });
+      } catch (error) {
+        // Skip a corrupt index rather than failing the listing
+      }
+    }
+
+    return indexes.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async remove(name) {
+    const file = this.getIndexFile(name);
+    if (!(await fs.pathExists(file))) {
+      throw new Error(`Index "${name}" not found`);
+    }
+    await fs.remove(file);
+  }
+
+  /**
+   * The k chunks most similar to a query vector, best first
+   */
+  search(index, vector, k = 5) {
+    return index.chunks
+      .map(chunk => ({ ...chunk, score: this.cosine(vector, chunk.vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+
+  cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  citation(chunk) {
+    return `${chunk.file}:${chunk.startLine}-${chunk.endLine}`;
+  }
+
+  /**
+   * Prompt with the retrieved excerpts, each labelled with its citation
+   */
+  buildPrompt(question, hits) {
+    const excerpts = hits.map(hit => `[${this.citation(hit)}]\n${hit.text}`).join('\n\n---\n\n');
+
+    return `Excerpts:\n\n${excerpts}\n\n---\n\nQuestion: ${question}`;
+  }
+
+  systemPrompt() {
+    return 'Answer the question using only the excerpts provided. After each claim, cite the excerpt it comes from ' +
+      'in square brackets exactly as labelled, e.g. [src/app.js:10-40]. If the excerpts do not contain the answer, say so.';
+  }
+}
+
+module.exports = new VectorIndexService();
@@ -0,0 +1,273 @@
+/**
+ * Weather Export Service
+ * Machine-readable weather output for --format json|csv. Documents follow
+ * a versioned schema (docs/commands/weather.md); bump SCHEMA_VERSION when
+ * a field is removed or changes meaning, not when one is added.
+ */
+
+const csvService = require('./csv');
+
+const SCHEMA_NAME = 'mdsaad.weather';
+const SCHEMA_VERSION = 1;
+
+class WeatherExportService {
+  constructor() {
+    this.formats = ['table', 'json', 'csv'];
+
+    this.columns = {
+      current: [
+        'provider', 'cacheHit', 'cacheAgeSeconds', 'location', 'country', 'lat', 'lon', 'units', 'observedAt',
+        'temperature', 'feelsLike', 'condition', 'conditionCode', 'humidity', 'pressure', 'visibility', 'uvIndex',
+        'clouds', 'windSpeed', 'windDirection', 'windGust', 'rain', 'snow', 'sunrise', 'sunset', 'aqiUsEpa'
+      ],
+      forecast: [
+        'provider', 'cacheHit', 'cacheAgeSeconds', 'location', 'country', 'lat', 'lon', 'units', 'date',
+        'temperature', 'temperatureMin', 'temperatureMax', 'feelsLike', 'condition', 'conditionCode', 'humidity',
+        'windSpeed', 'windDirection', 'pop', 'rain', 'snow'
+      ],
+      alerts: [
+        'provider', 'cacheHit', 'cacheAgeSeconds', 'location', 'country', 'lat', 'lon',
+        'event', 'severity', 'start', 'end', 'sender', 'description'
+      ]
+    };
+  }
+
+  /**
+   * The --format value, defaulting to table
+   */
+  parseFormat(value) {
+    const format = String(value || 'table').toLowerCase();
+    if (!this.formats.includes(format)) {
+      throw new Error(`Invalid --format "${value}". Use ${this.formats.join(', ')}`);
+    }
+    return format;
+  }
+
+  /**
+   * Document for current conditions (getCurrentWeather result)
+   */
+  current(data, { units = 'metric', alerts } = {}) {
+    const current = data.current || {};
+
+    return this.envelope('current', data, units, {
+      current: {
+        observedAt: this.toIso(data.timestamp),
+        temperature: this.value(current.temperature),
+        feelsLike: this.value(current.feelsLike),
+        condition: this.value(current.condition),
+        conditionCode: this.value(current.conditionCode),
+        humidity: this.value(current.humidity),
+        pressure: this.value(current.pressure),
+        visibility: this.value(current.visibility),
+        uvIndex: this.value(current.uvIndex),
+        clouds: this.value(current.clouds),
+        wind: this.wind(current.wind),
+        rain: this.value(current.rain),
+        snow: this.value(current.snow),
+        sunrise: this.toIso(current.sunrise),
+        sunset: this.toIso(current.sunset),
+        airQuality: current.airQuality ? {
+          usEpaIndex: this.value(current.airQuality.usEpaIndex),
+          gbDefraIndex: this.value(current.airQuality.gbDefraIndex),
+          pm2_5: this.value(current.airQuality.pm2_5),
+          pm10: this.value(current.airQuality.pm10),
+          o3: this.value(current.airQuality.o3),
+          no2: this.value(current.airQuality.no2),
+          so2: this.value(current.airQuality.so2),
+          co: this.value(current.airQuality.co)
+        } : null
+      },
+      ...(alerts ? { alerts: this.alertSection(alerts) } : {})
+    });
+  }
+
+  /**
+   * Document for a forecast (getWeatherForecast result): the provider's
+   * steps (daily, or 3-hourly for OpenWeatherMap) and the hourly series
+   */
+  forecast(data, { units = 'metric', alerts } = {}) {
+    return this.envelope('forecast', data, units, {
+      forecast: (data.forecast || []).map(item => ({
+        date: this.toIso(item.date),
+        temperature: {
+          current: this.value(item.temperature?.current),
+          min: this.value(item.temperature?.min),
+          max: this.value(item.temperature?.max),
+          feelsLike: this.value(item.temperature?.feelsLike)
+        },
+        condition: this.value(item.condition),
+        conditionCode: this.value(item.conditionCode),
+        humidity: this.value(item.humidity),
+        wind: this.wind(item.wind),
+        pop: this.value(item.pop),
+        rain: this.value(item.rain),
+        snow: this.value(item.snow),
+        uvIndex: this.value(item.uvIndex)
+      })),
+      hourly: (data.hourly || []).map(item => ({
+        date: this.toIso(item.date),
+        temperature: this.value(item.temperature),
+        feelsLike: this.value(item.feelsLike),
+        condition: this.value(item.condition),
+        conditionCode: this.value(item.conditionCode),
+        wind: this.wind(item.wind),
+        pop: this.value(item.pop)
+      })),
+      ...(alerts ? { alerts: this.alertSection(alerts) } : {})
+    });
+  }
+
+  /**
+   * Document for a failure, so stdout always carries valid JSON
+   */
+  error(message) {
+    return { schema: SCHEMA_NAME, version: SCHEMA_VERSION, kind: 'error', generatedAt: new Date().toISOString(), error: { message } };
+  }
+
+  envelope(kind, data, units, body) {
+    return {
+      schema: SCHEMA_NAME,
+      version: SCHEMA_VERSION,
+      kind,
+      generatedAt: new Date().toISOString(),
+      provider: data.provider || null,
+      cache: this.cache(data.cache),
+      units,
+      location: this.location(data.location),
+      ...body
+    };
+  }
+
+  /**
+   * Alerts (getAlertReport result) fetched alongside current conditions or
+   * a forecast; they may come from a different provider or cache entry
+   */
+  alertSection(report) {
+    return {
+      provider: report.provider || null,
+      cache: this.cache(report.cache),
+      items: report.alerts.map(alert => this.alert(alert))
+    };
+  }
+
+  /**
+   * Alert fields differ per provider (OpenWeatherMap: sender_name and
+   * epoch seconds; WeatherAPI: desc, effective and expires)
+   */
+  alert(alert) {
+    return {
+      event: alert.event || alert.headline || 'Weather Alert',
+      severity: this.value(alert.severity),
+      start: this.toIso(alert.start ?? alert.effective),
+      end: this.toIso(alert.end ?? alert.expires),
+      sender: alert.sender_name || alert.sender || null,
+      description: alert.description || alert.desc || null
+    };
+  }
+
+  location(location = {}) {
+    return {
+      name: this.value(location.name),
+      country: location.country && location.country !== 'N/A' ? location.country : null,
+      region: location.region || location.state || null,
+      lat: this.value(location.lat),
+      lon: this.value(location.lon)
+    };
+  }
+
+  wind(wind = {}) {
+    return {
+      speed: this.value(wind?.speed),
+      direction: this.value(wind?.direction),
+      gust: this.value(wind?.gust)
+    };
+  }
+
+  cache(cache) {
+    if (!cache) {
+      return { hit: false, ageSeconds: null, ttlSeconds: null };
+    }
+    return {
+      hit: Boolean(cache.hit),
+      ageSeconds: cache.hit ? Math.round((cache.age || 0) / 1000) : 0,
+      ttlSeconds: cache.ttl ? Math.round(cache.ttl / 1000) : null
+    };
+  }
+
+  /**
+   * A document as CSV rows: one per forecast step (or hourly step with
+   * `hourly`) or alert, or a single row for current conditions. With
+   * alerts attached, the alerts are the rows.
+   */
+  toCsv(document, { hourly = false } = {}) {
+    const common = section => ({
+      provider: section.provider,
+      cacheHit: section.cache.hit,
+      cacheAgeSeconds: section.cache.ageSeconds,
+      location: document.location.name,
+      country: document.location.country,
+      lat: document.location.lat,
+      lon: document.location.lon,
+      units: document.units
+    });
+
+    if (document.alerts) {
+      return csvService.stringify(document.alerts.items.map(alert => ({ ...common(document.alerts), ...alert })), this.columns.alerts);
+    }
+
+    if (document.kind === 'current') {
+      const { wind, airQuality, ...current } = document.current;
+      return csvService.stringify([{
+        ...common(document),
+        ...current,
+        windSpeed: wind.speed,
+        windDirection: wind.direction,
+        windGust: wind.gust,
+        aqiUsEpa: airQuality ? airQuality.usEpaIndex : null
+      }], this.columns.current);
+    }
+
+    if (hourly) {
+      return csvService.stringify(document.hourly.map(({ wind, ...item }) => ({
+        ...common(document),
+        ...item,
+        windSpeed: wind.speed,
+        windDirection: wind.direction
+      })), this.columns.forecast);
+    }
+
+    return csvService.stringify(document.forecast.map(item => ({
+      ...common(document),
+      date: item.date,
+      temperature: item.temperature.current,
+      temperatureMin: item.temperature.min,
+      temperatureMax: item.temperature.max,
+      feelsLike: item.temperature.feelsLike,
+      condition: item.condition,
+      conditionCode: item.conditionCode,
+      humidity: item.humidity,
+      windSpeed: item.wind.speed,
+      windDirection: item.wind.direction,
+      pop: item.pop,
+      rain: item.rain,
+      snow: item.snow
+    })), this.columns.forecast);
+  }
+
+  /**
+   * ISO 8601 string for a Date, date string or epoch (seconds or ms)
+   */
+  toIso(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  value(value) {
+    return value === undefined ? null : value;
+  }
+}
+
+module.exports = new WeatherExportService();
@@ -0,0 +1,258 @@
+/**
+ * Weather Watch Service
+ * Rules and state for "weather watch": polling intervals, thresholds such
+ * as wind>50km/h or temp<0, and which alerts and crossings were already
+ * notified. State is stored next to config.json so a restarted watch does
+ * not repeat notifications.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn } = require('child_process');
+const configService = require('./config');
+const weatherExport = require('./weather-export');
+
+const THRESHOLD_PATTERN = /^([a-z]+)\s*(>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)\s*(°?[a-z/%]*)$/i;
+const INTERVAL_PATTERN = /^(\d+(?:\.\d+)?)\s*(s|sec|m|min|h|hr)?$/i;
+
+class WeatherWatchService {
+  constructor() {
+    this.defaultInterval = '15m';
+    this.minIntervalMs = 60 * 1000;
+    this.maxIntervalMs = 24 * 60 * 60 * 1000;
+    this.channels = ['bell', 'stderr'];
+    this.hookTimeoutMs = 30 * 1000;
+
+    // Alerts are remembered this long after they end or were last seen
+    this.alertRetentionMs = 7 * 24 * 60 * 60 * 1000;
+
+    // Readings come from the metric API: °C, m/s, hPa, mm
+    this.metrics = {
+      temp: { label: 'Temperature', kind: 'temperature', read: current => current.temperature },
+      feels: { label: 'Feels like', kind: 'temperature', read: current => current.feelsLike },
+      wind: { label: 'Wind', kind: 'speed', read: current => current.wind?.speed },
+      gust: { label: 'Gusts', kind: 'speed', read: current => current.wind?.gust },
+      humidity: { label: 'Humidity', unit: '%', read: current => current.humidity },
+      uv: { label: 'UV index', unit: '', read: current => current.uvIndex },
+      pressure: { label: 'Pressure', unit: 'hPa', read: current => current.pressure },
+      rain: { label: 'Rain', unit: 'mm', read: current => current.rain },
+      snow: { label: 'Snow', unit: 'mm', read: current => current.snow }
+    };
+    this.metricAliases = { temperature: 'temp', feelslike: 'feels', gusts: 'gust', uvindex: 'uv' };
+
+    // Multipliers from m/s
+    this.speedUnits = { 'km/h': 3.6, 'm/s': 1, mph: 2.23694, kn: 1.94384 };
+    this.unitAliases = { c: '°C', f: '°F', kmh: 'km/h', kph: 'km/h', ms: 'm/s', kt: 'kn', kts: 'kn' };
+  }
+
+  getStateFile() {
+    return path.join(path.dirname(configService.getConfigPath()), 'weather-watch.json');
+  }
+
+  async loadState() {
+    const file = this.getStateFile();
+    if (!(await fs.pathExists(file))) {
+      return { version: 1, locations: {} };
+    }
+    return fs.readJson(file);
+  }
+
+  async saveState(state) {
+    await fs.outputJson(this.getStateFile(), state, { spaces: 2 });
+  }
+
+  /**
+   * "15m", "1h", "90s" or plain minutes ("15") in milliseconds
+   */
+  parseInterval(value = this.defaultInterval) {
+    const match = INTERVAL_PATTERN.exec(String(value).trim());
+    const unit = match && (match[2] || 'm').toLowerCase()[0];
+    const ms = match ? Number(match[1]) * { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 }[unit] : NaN;
+
+    if (!Number.isFinite(ms) || ms < this.minIntervalMs || ms > this.maxIntervalMs) {
+      throw new Error(`Invalid --interval "${value}". Use a duration from 1m to 24h, e.g. 5m, 15m or 1h`);
+    }
+    return ms;
+  }
+
+  /**
+   * "wind>50km/h" -> { metric: 'wind', operator: '>', value: 50, unit: 'km/h', text }.
+   * Without a unit, temperatures are °C (°F with imperial units) and
+   * speeds km/h (mph).
+   */
+  parseThreshold(rule, { units = 'metric' } = {}) {
+    const match = THRESHOLD_PATTERN.exec(String(rule).trim());
+    const metric = match && (this.metricAliases[match[1].toLowerCase()] || match[1].toLowerCase());
+    const definition = metric && this.metrics[metric];
+    if (!definition) {
+      throw new Error(`Invalid threshold "${rule}". Use <metric><op><value>, e.g. wind>50km/h or temp<0, with metric ${Object.keys(this.metrics).join(', ')}`);
+    }
+
+    const unit = this.parseUnit(definition, match[4], units);
+    if (unit === null) {
+      throw new Error(`Invalid unit "${match[4]}" in threshold "${rule}"`);
+    }
+
+    const threshold = { metric, operator: match[2], value: Number(match[3]), unit };
+    return { ...threshold, text: `${metric}${threshold.operator}${threshold.value}${unit}` };
+  }
+
+  parseUnit(definition, suffix, units) {
+    const given = suffix.replace('°', '').toLowerCase();
+    const unit = this.unitAliases[given] || given;
+    if (definition.kind === 'temperature') {
+      if (!unit) return units === 'imperial' ? '°F' : '°C';
+      return ['°C', '°F'].includes(unit) ? unit : null;
+    }
+    if (definition.kind === 'speed') {
+      if (!unit) return units === 'imperial' ? 'mph' : 'km/h';
+      return unit in this.speedUnits ? unit : null;
+    }
+    return !unit || unit === definition.unit.toLowerCase() ? definition.unit : null;
+  }
+
+  /**
+   * --notify "bell,stderr" (either or both)
+   */
+  parseChannels(value) {
+    const channels = String(value || this.channels.join(',')).split(',').map(channel => channel.trim().toLowerCase()).filter(Boolean);
+    const unknown = channels.filter(channel => !this.channels.includes(channel) && channel !== 'none');
+    if (unknown.length > 0) {
+      throw new Error(`Invalid --notify "${value}". Use ${this.channels.join(', ')} or none`);
+    }
+    return channels.filter(channel => channel !== 'none');
+  }
+
+  /**
+   * A metric reading (metric units) in the threshold's unit, or null
+   */
+  measure(current, threshold) {
+    const definition = this.metrics[threshold.metric];
+    const reading = definition.read(current || {});
+    if (typeof reading !== 'number' || Number.isNaN(reading)) {
+      return null;
+    }
+    if (threshold.unit === '°F') {
+      return Math.round((reading * 9 / 5 + 32) * 10) / 10;
+    }
+    if (definition.kind === 'speed') {
+      return Math.round(reading * this.speedUnits[threshold.unit] * 10) / 10;
+    }
+    return reading;
+  }
+
+  compare(reading, { operator, value }) {
+    switch (operator) {
+      case '>': return reading > value;
+      case '>=': return reading >= value;
+      case '<': return reading < value;
+      default: return reading <= value;
+    }
+  }
+
+  /**
+   * State is kept per place, by coordinates, so aliases and spellings of
+   * the same place share it
+   */
+  locationKey(location = {}) {
+    return typeof location.lat === 'number' && typeof location.lon === 'number'
+      ? `${location.lat.toFixed(2)},${location.lon.toFixed(2)}`
+      : String(location.name || 'unknown').toLowerCase();
+  }
+
+  /**
+   * Events worth notifying for one poll: alerts not seen before, and
+   * thresholds that were not met last time and are now. Updates `state`.
+   */
+  check(state, { weather, alerts = [], thresholds = [], now = Date.now() }) {
+    const key = this.locationKey(weather.location);
+    const entry = state.locations[key] || { alerts: {}, thresholds: {} };
+    const place = weather.location?.name || key;
+    const events = [];
+
+    for (const alert of alerts.map(item => weatherExport.alert(item))) {
+      const alertKey = [alert.event, alert.start, alert.sender].join('|');
+      if (!(alertKey in entry.alerts)) {
+        events.push({ type: 'alert', location: place, alert, title: `${place}: ${alert.event}`, message: this.describeAlert(alert) });
+      }
+      entry.alerts[alertKey] = Math.max(Date.parse(alert.end) || 0, now) + this.alertRetentionMs;
+    }
+    for (const [alertKey, expires] of Object.entries(entry.alerts)) {
+      if (expires < now) {
+        delete entry.alerts[alertKey];
+      }
+    }
+
+    for (const threshold of thresholds) {
+      const reading = this.measure(weather.current, threshold);
+      if (reading === null) {
+        continue;
+      }
+      const met = this.compare(reading, threshold);
+      if (met && !entry.thresholds[threshold.text]) {
+        const { label } = this.metrics[threshold.metric];
+        events.push({
+          type: 'threshold',
+          location: place,
+          threshold: threshold.text,
+          reading,
+          title: `${place}: ${label} ${threshold.operator} ${threshold.value}${threshold.unit}`,
+          message: `${label} is ${reading}${threshold.unit} (threshold ${threshold.operator} ${threshold.value}${threshold.unit})`
+        });
+      }
+      entry.thresholds[threshold.text] = met;
+    }
+
+    entry.name = place;
+    entry.lastCheck = new Date(now).toISOString();
+    state.locations[key] = entry;
+    return events;
+  }
+
+  describeAlert(alert) {
+    const parts = [alert.severity, alert.end && `until ${new Date(alert.end).toLocaleString()}`, alert.sender && `from ${alert.sender}`];
+    return parts.filter(Boolean).join(', ') || 'New weather alert';
+  }
+
+  /**
+   * Run the --exec hook for an event through the shell. The event is
+   * passed in MDSAAD_WATCH_* environment variables, never interpolated
+   * into the command.
+   */
+  runHook(command, event) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, {
+        shell: true,
+        stdio: ['ignore', 'inherit', 'inherit'],
+        env: {
+          ...process.env,
+          MDSAAD_WATCH_TYPE: event.type,
+          MDSAAD_WATCH_LOCATION: event.location,
+          MDSAAD_WATCH_TITLE: event.title,
+          MDSAAD_WATCH_MESSAGE: event.message,
+          MDSAAD_WATCH_EVENT: JSON.stringify(event)
+        }
+      });
+
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(new Error(`Hook timed out after ${this.hookTimeoutMs / 1000}s`));
+      }, this.hookTimeoutMs);
+
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on('exit', code => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`Hook exited with code ${code}`));
+        }
+      });
+    });
+  }
+}
+
+module.exports = new WeatherWatchService();
@@ -7,6 +7,7 @@ const axios = require('axios');
 const loggerService = require('./logger');
 const cacheService = require('./cache');
 const configService = require('./config');
+const gazetteer = require('./gazetteer');
 const mdsaadKeys = require('../config/mdsaad-keys');
 
 class WeatherService {
@@ -88,7 +89,7 @@ class WeatherService {
       await this.initialize();
     }
 
-    const { units = 'metric', lang = 'en' } = options;
+    const { units = 'metric', lang = 'en', maxAge } = options;
     
     try {
       // Try to resolve location first
@@ -108,9 +109,9 @@ class WeatherService {
       
       try {
         const cached = await cacheService.get('weather', cacheKey);
-        if (cached && cached.data) {
+        if (this.isCacheUsable(cached, maxAge)) {
           loggerService.info('Returning cached weather data');
-          return cached.data;
+          return { ...cached.data, cache: this.describeCache(cached) };
         }
       } catch (cacheError) {
         loggerService.warn('Cache retrieval failed:', cacheError.message);
@@ -138,7 +139,7 @@ class WeatherService {
             await cacheService.set('weather', cacheKey, weatherData, this.cacheTtl);
             
             loggerService.info(`Weather data retrieved from ${provider.name}`);
-            return weatherData;
+            return { ...weatherData, cache: this.describeCache(null) };
           }
 
         } catch (error) {
@@ -163,7 +164,7 @@ class WeatherService {
       await this.initialize();
     }
 
-    const { units = 'metric', lang = 'en', days = 5 } = options;
+    const { units = 'metric', lang = 'en', days = 5, maxAge } = options;
     
     try {
       const resolvedLocation = await this.resolveLocation(location);
@@ -182,9 +183,9 @@ class WeatherService {
       
       try {
         const cached = await cacheService.get('weather', cacheKey);
-        if (cached && cached.data) {
+        if (this.isCacheUsable(cached, maxAge)) {
           loggerService.info('Returning cached forecast data');
-          return cached.data;
+          return { ...cached.data, cache: this.describeCache(cached) };
         }
       } catch (cacheError) {
         loggerService.warn('Cache retrieval failed:', cacheError.message);
@@ -212,7 +213,7 @@ class WeatherService {
             await cacheService.set('weather', cacheKey, forecastData, this.cacheTtl);
             
             loggerService.info(`Forecast data retrieved from ${provider.name}`);
-            return forecastData;
+            return { ...forecastData, cache: this.describeCache(null) };
           }
 
         } catch (error) {
@@ -249,6 +250,15 @@ class WeatherService {
       };
     }
 
+    // Major cities resolve offline unless weather.gazetteer says otherwise
+    const gazetteerMode = gazetteer.getMode();
+    if (gazetteerMode === 'first') {
+      const city = this.pickGazetteerCity(location, gazetteer.matches(location));
+      if (city) {
+        return gazetteer.toLocation(city);
+      }
+    }
+
     // Check cache first
     const cacheKey = location.toLowerCase();
     const cached = await cacheService.get('geocoding', cacheKey);
@@ -256,6 +266,38 @@ class WeatherService {
       return cached.data;
     }
 
+    const resolved = await this.geocodeOnline(location, cacheKey);
+    if (resolved || gazetteerMode === 'off') {
+      return resolved;
+    }
+
+    // Nothing found online (or no network): try exact, then close, gazetteer names
+    const exact = gazetteer.matches(location);
+    const city = this.pickGazetteerCity(location, exact.length > 0 ? exact : gazetteer.search(location).map(hit => hit.city));
+    if (city) {
+      loggerService.warn(`Using ${gazetteer.label(city)} from the offline gazetteer for "${location}"`);
+      return gazetteer.toLocation(city);
+    }
+    return null;
+  }
+
+  /**
+   * The first (best) gazetteer candidate, noting the others when the
+   * query is ambiguous
+   */
+  pickGazetteerCity(location, candidates) {
+    if (candidates.length > 1) {
+      const labels = candidates.map(city => gazetteer.label(city));
+      loggerService.warn(`"${location}" matches ${labels.join(', ')}; using ${labels[0]}. ` +
+        `Add a country or state to choose, e.g. "${labels[1]}"`);
+    }
+    return candidates[0] || null;
+  }
+
+  /**
+   * Resolve a place name with the providers' geocoding APIs
+   */
+  async geocodeOnline(location, cacheKey) {
     try {
       // Try MDSAAD geocoding first (free service)
       if (this.providers.mdsaad.isActive) {
@@ -296,66 +338,97 @@ class WeatherService {
    * Get weather alerts for a location
    */
   async getWeatherAlerts(location, options = {}) {
+    try {
+      const report = await this.getAlertReport(location, options);
+      return report.alerts;
+    } catch (error) {
+      loggerService.error('Failed to get weather alerts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Weather alerts with the provider they came from and cache details:
+   * { provider, location, timestamp, alerts, cache }. Unlike
+   * getWeatherAlerts this throws when the location cannot be resolved.
+   */
+  async getAlertReport(location, options = {}) {
     if (!this.isInitialized) {
       await this.initialize();
     }
 
+    const resolvedLocation = await this.resolveLocation(location);
+    if (!resolvedLocation) {
+      throw new Error(`Location "${location}" not found`);
+    }
+
+    const report = { provider: null, location: resolvedLocation, timestamp: Date.now(), alerts: [], cache: this.describeCache(null) };
+
+    // Check if we have active providers first
+    const activeProviders = Object.entries(this.providers).filter(([, provider]) => provider.isActive);
+    if (activeProviders.length === 0) {
+      return report; // No alerts available without providers
+    }
+
+    // Check cache first
+    const cacheKey = `alerts:${resolvedLocation.lat}:${resolvedLocation.lon}`;
+    
     try {
-      const resolvedLocation = await this.resolveLocation(location);
-      if (!resolvedLocation) {
-        throw new Error(`Location "${location}" not found`);
+      const cached = await cacheService.get('weather', cacheKey);
+      if (this.isCacheUsable(cached, options.maxAge)) {
+        // Entries written before alerts recorded their provider are plain arrays
+        const data = Array.isArray(cached.data) ? { provider: null, alerts: cached.data } : cached.data;
+        return { ...report, ...data, timestamp: cached.timestamp, cache: this.describeCache(cached) };
       }
+    } catch (cacheError) {
+      loggerService.warn('Cache retrieval failed:', cacheError.message);
+      // Continue without cache
+    }
 
-      // Check if we have active providers first
-      const activeProviders = Object.entries(this.providers).filter(([, provider]) => provider.isActive);
-      if (activeProviders.length === 0) {
-        return []; // No alerts available without providers
-      }
+    let alertData = null;
+    const sortedProviders = activeProviders.sort(([,a], [,b]) => (a.priority || 999) - (b.priority || 999));
 
-      // Check cache first
-      const cacheKey = `alerts:${resolvedLocation.lat}:${resolvedLocation.lon}`;
-      
+    for (const [providerId, provider] of sortedProviders) {
       try {
-        const cached = await cacheService.get('weather', cacheKey);
-        if (cached && cached.data) {
-          return cached.data;
+        if (providerId === 'mdsaad') {
+          alertData = await this.getMdsaadWeatherAlerts(resolvedLocation);
+        } else if (providerId === 'openweathermap') {
+          alertData = await this.getOpenWeatherMapAlerts(resolvedLocation);
+        } else if (providerId === 'weatherapi') {
+          alertData = await this.getWeatherAPIAlerts(resolvedLocation);
         }
-      } catch (cacheError) {
-        loggerService.warn('Cache retrieval failed:', cacheError.message);
-        // Continue without cache
-      }
-
-      let alertData = null;
-      const sortedProviders = activeProviders.sort(([,a], [,b]) => (a.priority || 999) - (b.priority || 999));
-
-      for (const [providerId, provider] of sortedProviders) {
-        try {
-          if (providerId === 'mdsaad') {
-            alertData = await this.getMdsaadWeatherAlerts(resolvedLocation);
-          } else if (providerId === 'openweathermap') {
-            alertData = await this.getOpenWeatherMapAlerts(resolvedLocation);
-          } else if (providerId === 'weatherapi') {
-            alertData = await this.getWeatherAPIAlerts(resolvedLocation);
-          }
 
-          if (alertData) {
-            await cacheService.set('weather', cacheKey, alertData, this.cacheTtl);
-            
-            return alertData;
-          }
-
-        } catch (error) {
-          loggerService.warn(`${provider.name} alerts failed:`, error.message);
-          continue;
+        if (alertData) {
+          await cacheService.set('weather', cacheKey, { provider: providerId, alerts: alertData }, this.cacheTtl);
+          
+          return { ...report, provider: providerId, alerts: alertData };
         }
+
+      } catch (error) {
+        loggerService.warn(`${provider.name} alerts failed:`, error.message);
+        continue;
       }
+    }
 
-      return []; // No alerts or providers failed
+    return report; // No alerts or providers failed
+  }
 
-    } catch (error) {
-      loggerService.error('Failed to get weather alerts:', error);
-      return [];
-    }
+  /**
+   * Whether a cache entry has data and, with `maxAge` (ms), is no older
+   * than that. Pollers such as weather watch pass their interval.
+   */
+  isCacheUsable(cached, maxAge) {
+    return Boolean(cached && cached.data) && (maxAge === undefined || (cached.age || 0) < maxAge);
+  }
+
+  /**
+   * Cache details for a result: { hit, age, ttl } in milliseconds, from a
+   * cacheService.get() entry or null for a fresh response
+   */
+  describeCache(cached) {
+    return cached
+      ? { hit: true, age: cached.age, ttl: cached.ttl }
+      : { hit: false, age: 0, ttl: this.cacheTtl };
   }
 
   /**
@@ -792,7 +865,8 @@ class WeatherService {
       provider: provider,
       location: location,
       timestamp: Date.now(),
-      forecast: []
+      forecast: [],
+      hourly: []
     };
 
     if (provider === 'mdsaad') {
@@ -874,9 +948,40 @@ class WeatherService {
           sunrise: this.parseTimeString(day.astro.sunrise),
           sunset: this.parseTimeString(day.astro.sunset)
         });
+
+        // Hourly steps
+        (day.hour || []).forEach(hour => {
+          normalized.hourly.push({
+            date: new Date(hour.time_epoch * 1000),
+            temperature: Math.round(hour.temp_c),
+            feelsLike: Math.round(hour.feelslike_c),
+            condition: hour.condition?.text || 'Unknown',
+            conditionCode: hour.condition?.code || 0,
+            icon: hour.condition?.icon || null,
+            wind: {
+              speed: Math.round((hour.wind_kph || 0) / 3.6), // Convert to m/s
+              direction: hour.wind_degree ?? null
+            },
+            pop: Math.max(hour.chance_of_rain || 0, hour.chance_of_snow || 0)
+          });
+        });
       });
     }
 
+    // The other providers already return time steps (3-hourly for OpenWeatherMap)
+    if (provider !== 'weatherapi') {
+      normalized.hourly = normalized.forecast.map(item => ({
+        date: item.date,
+        temperature: item.temperature.current,
+        feelsLike: item.temperature.feelsLike,
+        condition: item.condition,
+        conditionCode: item.conditionCode,
+        icon: item.icon,
+        wind: { speed: item.wind.speed, direction: item.wind.direction },
+        pop: item.pop
+      }));
+    }
+
     return normalized;
   }
 
@@ -536,4 +536,488 @@ describe('AI Command', () => {
       expect(request.options.maxTokens).toBe(1000); // Default
     });
   });
-});
\ No newline at end of file
+});
+describe('AI Command Streaming', () => {
+  const axios = require('axios');
+  const { Readable } = require('stream');
+  const ollamaService = require('../src/services/ollama');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should pass OpenAI-compatible deltas through as they arrive', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({
+      data: Readable.from([
+        'data: {"model":"m1","choices":[{"delta":{"content":"Hello"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":" world"},"finish_reason":"stop"}]}\n\n',
+        'data: {"choices":[],"usage":{"prompt_tokens":3,"completion_tokens":2,"total_tokens":5}}\n\ndata: [DONE]\n\n'
+      ])
+    });
+    const deltas = [];
+
+    const result = await aiCommand.streamDirectApiRequest('groq', 'Hi', { model: 'm1' },
+      aiCommand.providers.groq, undefined, text => deltas.push(text));
+
+    expect(deltas).toEqual(['Hello', ' world']);
+    expect(result).toMatchObject({ content: 'Hello world', model: 'm1', finishReason: 'stop' });
+    expect(result.usage.total_tokens).toBe(5);
+    expect(axios.post.mock.calls[0][1]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    expect(axios.post.mock.calls[0][2].responseType).toBe('stream');
+  });
+
+  test('should stream Gemini from the SSE endpoint', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({
+      data: Readable.from([
+        'data: {"candidates":[{"content":{"parts":[{"text":"Bonjour"}]}}]}\r\n\r\n',
+        'data: {"candidates":[{"content":{"parts":[{"text":"!"}]},"finishReason":"STOP"}]}\r\n\r\n'
+      ])
+    });
+
+    const result = await aiCommand.streamDirectApiRequest('gemini', 'Hi', { model: 'gemini-pro' },
+      aiCommand.providers.gemini, undefined, () => {});
+
+    expect(axios.post.mock.calls[0][0]).toContain(':streamGenerateContent?alt=sse&key=');
+    expect(result).toMatchObject({ content: 'Bonjour!', finishReason: 'STOP' });
+  });
+
+  test('should keep partial output when the stream is cancelled', async () => {
+    const controller = new AbortController();
+    async function* chunks() {
+      yield 'data: {"choices":[{"delta":{"content":"Partial"}}]}\n\n';
+      controller.abort();
+      const error = new Error('canceled');
+      error.code = 'ERR_CANCELED';
+      throw error;
+    }
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: Readable.from(chunks()) });
+
+    const result = await aiCommand.streamDirectApiRequest('openrouter', 'Hi', { model: 'm1' },
+      aiCommand.providers.openrouter, controller.signal, () => {});
+
+    expect(result).toMatchObject({ content: 'Partial', finishReason: 'cancelled' });
+  });
+
+  test('should stream Ollama NDJSON and record the full text in history', async () => {
+    const writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(axios, 'post').mockResolvedValue({
+      data: Readable.from([
+        '{"model":"llama3.2","message":{"role":"assistant","content":"Local "},"done":false}\n',
+        '{"model":"llama3.2","message":{"role":"assistant","content":"answer"},"done":false}\n',
+        '{"model":"llama3.2","message":{"role":"assistant","content":""},"done":true,"prompt_eval_count":4,"eval_count":2}\n'
+      ])
+    });
+    ollamaService.initialized = true;
+    ollamaService.availableModels = [{ name: 'llama3.2' }];
+    aiCommand.conversationHistory = [];
+
+    await aiCommand.executeAIRequest({
+      prompt: 'Hi',
+      provider: 'ollama',
+      options: { model: 'llama3.2', stream: true }
+    });
+
+    expect(axios.post.mock.calls[0][0]).toMatch(/\/api\/chat$/);
+    expect(writeSpy).toHaveBeenCalledWith('Local ');
+    expect(writeSpy).toHaveBeenCalledWith('answer');
+    expect(aiCommand.conversationHistory[0].fullResponse).toBe('Local answer');
+    expect(process.listenerCount('SIGINT')).toBe(0);
+  });
+});
+
+describe('AI Command Context Budget', () => {
+  test('should report included and summarized turns in the metadata', () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+
+    aiCommand.displayResponseMetadata({
+      model: 'm1',
+      finishReason: 'stop',
+      contextStats: { total: 30, included: 6, summarized: 20, dropped: 4, estimatedTokens: 2900, window: 4096 }
+    }, 120);
+
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('Context: 6 turns included, 20 summarized, 4 dropped (~2900/4096 tokens)'));
+    logSpy.mockRestore();
+  });
+});
+
+describe('AI Command Proxy Sessions', () => {
+  const aiSessions = require('../src/services/ai-sessions');
+  let stored;
+
+  beforeEach(() => {
+    stored = {};
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(aiSessions, 'load').mockImplementation(async name => (stored[name] ? JSON.parse(JSON.stringify(stored[name])) : null));
+    jest.spyOn(aiSessions, 'save').mockImplementation(async session => { stored[session.name] = session; return session; });
+    jest.spyOn(aiCommand, 'recordUsage').mockResolvedValue();
+    aiCommand.proxyAPI = {
+      aiRequest: jest.fn()
+        .mockResolvedValueOnce({ success: true, data: 'Nice to meet you, Ada', model: 'deepseek-chat', usage: {} })
+        .mockResolvedValueOnce({ success: true, data: 'Your name is Ada', model: 'deepseek-chat', usage: {} })
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    aiCommand.proxyAPI = null;
+  });
+
+  test('should send the session transcript and system prompt with each turn', async () => {
+    await aiCommand.handleProxyRequest('My name is Ada', { session: 'intro', system: 'Be brief' });
+    await aiCommand.handleProxyRequest('What is my name?', { session: 'intro' });
+
+    const [firstPrompt, firstOptions] = aiCommand.proxyAPI.aiRequest.mock.calls[0];
+    expect(firstPrompt).toBe('My name is Ada');
+    expect(firstOptions).toMatchObject({ systemPrompt: 'Be brief', context: [] });
+
+    const [secondPrompt, secondOptions] = aiCommand.proxyAPI.aiRequest.mock.calls[1];
+    expect(secondPrompt).toBe('What is my name?');
+    expect(secondOptions).toMatchObject({
+      systemPrompt: 'Be brief',
+      context: [{ prompt: 'My name is Ada', response: 'Nice to meet you, Ada' }]
+    });
+    expect(stored.intro.messages).toHaveLength(2);
+  });
+
+  test('should report the context budget on the proxy path', async () => {
+    await aiCommand.handleProxyRequest('My name is Ada', { session: 'intro' });
+    await aiCommand.handleProxyRequest('What is my name?', { session: 'intro' });
+
+    const output = console.log.mock.calls.map(call => call.join(' ')).join('\n');
+    expect(output).toContain('Context: 1 turn included');
+
+    aiCommand.proxyAPI.aiRequest.mockResolvedValueOnce({ success: true, data: 'Ada', model: 'deepseek-chat', usage: {} });
+    const emitJson = jest.spyOn(aiCommand, 'emitJson').mockImplementation();
+    aiCommand.jsonMode = true;
+    try {
+      await aiCommand.handleProxyRequest('And again?', { session: 'intro', json: true });
+    } finally {
+      aiCommand.jsonMode = false;
+    }
+    expect(emitJson.mock.calls[0][0].context).toEqual({ included: 2, summarized: 0, dropped: 0 });
+  });
+
+  test('should fall back to direct access only when the proxy cannot be reached', async () => {
+    await expect(aiCommand.handleProxyRequest('x'.repeat(100000), {})).rejects.toThrow('Prompt is too long');
+    expect(aiCommand.proxyAPI.aiRequest).not.toHaveBeenCalled();
+
+    aiCommand.proxyAPI.aiRequest = jest.fn().mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+    await expect(aiCommand.handleProxyRequest('Hi', {})).resolves.toBe(false);
+
+    jest.spyOn(aiCommand, 'completeWithSchema').mockRejectedValue(new Error('Invalid regular expression: /(/'));
+    await expect(aiCommand.handleProxyRequest('Hi', { responseSchema: { type: 'object' } })).rejects.toThrow('Invalid regular expression');
+  });
+});
+
+describe('AI Command Templates', () => {
+  const promptTemplates = require('../src/services/prompt-templates');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should feed a rendered template into the system prompt, model and temperature', async () => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(promptTemplates, 'get').mockResolvedValue({ ...promptTemplates.builtIns.translate, model: 'gemini-pro' });
+    const executeSpy = jest.spyOn(aiCommand, 'execute').mockResolvedValue();
+
+    await aiCommand.runTemplate('translate', ['Good', 'morning'], { var: ['to=French'], file: [] });
+
+    expect(executeSpy).toHaveBeenCalledWith('Good morning', expect.objectContaining({
+      system: expect.stringContaining('Translate into French with a neutral tone'),
+      model: 'gemini-pro',
+      temperature: 0.2
+    }));
+  });
+
+  test('should send the template system prompt through the proxy', async () => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(promptTemplates, 'get').mockResolvedValue(promptTemplates.builtIns.translate);
+    jest.spyOn(aiCommand, 'enforceBudget').mockResolvedValue();
+    jest.spyOn(aiCommand, 'recordUsage').mockResolvedValue();
+    const aiRequest = jest.fn().mockResolvedValue({ success: true, data: 'Bonjour', model: 'deepseek-chat', usage: {} });
+    aiCommand.proxyAPI = { aiRequest };
+
+    try {
+      await aiCommand.runTemplate('translate', ['Good', 'morning'], { var: ['to=French'], file: [] });
+    } finally {
+      aiCommand.proxyAPI = null;
+    }
+
+    expect(aiRequest).toHaveBeenCalledWith('Good morning', expect.objectContaining({
+      systemPrompt: expect.stringContaining('Translate into French with a neutral tone'),
+      temperature: 0.2
+    }));
+  });
+
+  test('should let command-line options override the template', async () => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(promptTemplates, 'get').mockResolvedValue(promptTemplates.builtIns.review);
+    const executeSpy = jest.spyOn(aiCommand, 'execute').mockResolvedValue();
+
+    await aiCommand.runTemplate('review', ['x = 1'], { var: [], model: 'llama-3.1-8b', temperature: '0.9' });
+
+    expect(executeSpy.mock.calls[0][1]).toMatchObject({ model: 'llama-3.1-8b', temperature: '0.9' });
+  });
+});
+
+describe('AI Command JSON Output', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.exitCode = undefined;
+  });
+
+  const reply = content => ({
+    data: {
+      model: 'llama-3.1-8b',
+      choices: [{ message: { content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+    }
+  });
+
+  test('should print one envelope with provider, model, usage and latency', async () => {
+    const writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(aiCommand, 'makeDirectApiRequest').mockResolvedValue(reply('Hi there'));
+
+    await aiCommand.executeAIRequest({ prompt: 'Hi', provider: 'groq', options: { model: 'llama-3.1-8b', json: true } });
+
+    const envelope = JSON.parse(writeSpy.mock.calls[0][0]);
+    expect(envelope).toMatchObject({
+      version: 1,
+      content: 'Hi there',
+      provider: 'groq',
+      model: 'llama-3.1-8b',
+      usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 },
+      finishReason: 'stop'
+    });
+    expect(typeof envelope.latencyMs).toBe('number');
+  });
+
+  test('should retry with the validation errors until the reply matches the schema', async () => {
+    jest.spyOn(console, 'log').mockImplementation();
+    const schema = { type: 'object', required: ['city'], properties: { city: { type: 'string' } } };
+    const complete = jest.fn()
+      .mockResolvedValueOnce({ content: '{"town": "Oslo"}', usage: { total_tokens: 7 } })
+      .mockResolvedValueOnce({ content: '```json\n{"city": "Oslo"}\n```', usage: { total_tokens: 9 } });
+
+    const result = await aiCommand.completeWithSchema(complete, 'Where?', schema, 2);
+
+    expect(complete.mock.calls[1][0]).toContain('missing required property "city"');
+    expect(result.data).toEqual({ city: 'Oslo' });
+    expect(result.schemaResult).toEqual({ valid: true, attempts: 2, errors: [] });
+    expect(result.usage.totalTokens).toBe(16);
+  });
+
+  test('should stop after the retry limit and report the errors', async () => {
+    const complete = jest.fn().mockResolvedValue({ content: 'not json', usage: {} });
+
+    const result = await aiCommand.completeWithSchema(complete, 'Where?', { type: 'object' }, 1);
+
+    expect(complete).toHaveBeenCalledTimes(2);
+    expect(result.schemaResult.valid).toBe(false);
+    expect(result.schemaResult.errors[0]).toMatch(/not valid JSON/);
+  });
+
+  test('should restore console.log and the log level when the request throws', async () => {
+    const log = console.log;
+    loggerService.getLevel.mockReturnValue('debug');
+    jest.spyOn(aiCommand, 'execute').mockRejectedValueOnce(new Error('network down'));
+
+    await expect(aiCommand.executeWithJsonOutput('Hi', { json: true })).rejects.toThrow('network down');
+
+    expect(console.log).toBe(log);
+    expect(loggerService.setLevel.mock.calls.map(call => call[0])).toEqual(['warn', 'debug']);
+    expect(aiCommand.jsonMode).toBe(false);
+  });
+});
+
+describe('AI Command Tools', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should run OpenAI-style tool calls and feed results back until a final answer', async () => {
+    jest.spyOn(console, 'log').mockImplementation();
+    const postSpy = jest.spyOn(aiCommand, 'postDirectApiRequest')
+      .mockResolvedValueOnce({
+        data: {
+          model: 'm1',
+          choices: [{
+            message: {
+              role: 'assistant',
+              content: null,
+              tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'calculate', arguments: '{"expression":"6*7"}' } }]
+            },
+            finish_reason: 'tool_calls'
+          }],
+          usage: { total_tokens: 20 }
+        }
+      })
+      .mockResolvedValueOnce({
+        data: { model: 'm1', choices: [{ message: { content: 'It is 42.' }, finish_reason: 'stop' }], usage: { total_tokens: 30 } }
+      });
+
+    const result = await aiCommand.runToolLoop('groq', 'What is 6 times 7?',
+      { model: 'm1', toolNames: ['calculate'] }, aiCommand.providers.groq);
+
+    expect(postSpy.mock.calls[0][2].tools[0].function.name).toBe('calculate');
+    expect(postSpy.mock.calls[1][2].messages.slice(-1)[0]).toEqual({
+      role: 'tool',
+      tool_call_id: 'call_1',
+      content: JSON.stringify({ result: { expression: '6*7', result: '42' } })
+    });
+    expect(result).toMatchObject({ content: 'It is 42.', usage: { totalTokens: 50 } });
+    expect(result.toolCalls).toEqual([{ name: 'calculate', arguments: { expression: '6*7' }, error: null }]);
+  });
+
+  test('should answer Gemini function calls with function responses', async () => {
+    jest.spyOn(console, 'log').mockImplementation();
+    const postSpy = jest.spyOn(aiCommand, 'postDirectApiRequest')
+      .mockResolvedValueOnce({
+        data: { candidates: [{ content: { role: 'model', parts: [{ functionCall: { name: 'convert', args: { amount: 1, from: 'km', to: 'm' } } }] } }] }
+      })
+      .mockResolvedValueOnce({
+        data: { candidates: [{ content: { parts: [{ text: '1000 meters' }] }, finishReason: 'STOP' }] }
+      });
+
+    const result = await aiCommand.runToolLoop('gemini', 'km to m?',
+      { model: 'gemini-pro', toolNames: ['convert'] }, aiCommand.providers.gemini);
+
+    expect(postSpy.mock.calls[0][1]).toContain('v1beta');
+    const reply = postSpy.mock.calls[1][2].contents.slice(-1)[0];
+    expect(reply.role).toBe('function');
+    expect(reply.parts[0].functionResponse).toMatchObject({ name: 'convert', response: { result: { result: 1000 } } });
+    expect(result.content).toBe('1000 meters');
+  });
+
+  test('should refuse file access without a terminal unless --yes is given', async () => {
+    jest.spyOn(console, 'error').mockImplementation();
+    const isTTY = process.stdin.isTTY;
+    process.stdin.isTTY = false;
+
+    try {
+      await expect(aiCommand.confirmToolUse('read_file', { path: 'a.txt' }, {})).resolves.toBe(false);
+      await expect(aiCommand.confirmToolUse('read_file', { path: 'a.txt' }, { yes: true })).resolves.toBe(true);
+    } finally {
+      process.stdin.isTTY = isTTY;
+    }
+  });
+});
+
+describe('AI Command Local Index', () => {
+  const ollamaService = require('../src/services/ollama');
+  const vectorIndex = require('../src/services/vector-index');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should answer from the top chunks with a local model and list the sources', async () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(vectorIndex, 'load').mockResolvedValue({
+      name: 'docs',
+      model: 'nomic-embed-text',
+      chunks: [
+        { file: 'a.md', startLine: 1, endLine: 9, text: 'about cats', vector: [1, 0] },
+        { file: 'b.md', startLine: 3, endLine: 7, text: 'about dogs', vector: [0, 1] }
+      ]
+    });
+    ollamaService.initialized = true;
+    ollamaService.availableModels = [{ name: 'llama3.2' }];
+    jest.spyOn(ollamaService, 'embed').mockResolvedValue([[0, 1]]);
+    const requestSpy = jest.spyOn(aiCommand, 'executeAIRequest').mockResolvedValue();
+
+    await aiCommand.askIndex('Tell me about dogs', { index: 'docs', top: '1' });
+
+    const { prompt, provider, options } = requestSpy.mock.calls[0][0];
+    expect(provider).toBe('ollama');
+    expect(options.model).toBe('llama3.2');
+    expect(prompt).toContain('[b.md:3-7]\nabout dogs');
+    expect(prompt).not.toContain('about cats');
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('b.md:3-7'));
+  });
+});
+
+describe('AI Command Compare', () => {
+  const os = require('os');
+  const path = require('path');
+  const fs = require('fs-extra');
+  const ollamaService = require('../src/services/ollama');
+  const reportFile = path.join(os.tmpdir(), `mdsaad-compare-${process.pid}.md`);
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    process.exitCode = undefined;
+    await fs.remove(reportFile);
+  });
+
+  test('should run models concurrently and save a markdown report', async () => {
+    jest.spyOn(console, 'log').mockImplementation();
+    ollamaService.initialized = true;
+    ollamaService.availableModels = [{ name: 'llama3.2' }];
+    jest.spyOn(aiCommand, 'checkProviderApiKey').mockImplementation(provider => provider !== 'openrouter');
+    const started = [];
+    jest.spyOn(aiCommand, 'completeOnce').mockImplementation(async (provider, prompt, options) => {
+      started.push(options.model);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(started).toEqual(['gemini-pro', 'llama3.2']);
+      return { content: `Answer from ${options.model}`, usage: { prompt_tokens: 1000, completion_tokens: 2000 } };
+    });
+
+    await aiCommand.compareModels('Say hi', {
+      models: 'gemini-pro,llama3.2,gemma-7b',
+      layout: 'stacked',
+      output: reportFile
+    });
+
+    const report = await fs.readFile(reportFile, 'utf8');
+    expect(report).toMatch(/\| gemini-pro \| gemini \| \d+ \| 1000 \| 2000 \| \$0\.0035 \|/);
+    expect(report).toMatch(/\| llama3\.2 \| ollama \| \d+ \| 1000 \| 2000 \| \$0 \|/);
+    expect(report).toContain('> Error: No API key configured for openrouter');
+    expect(report).toContain('## gemini-pro\n\nAnswer from gemini-pro');
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  test('should need a prompt and at least two models', async () => {
+    await expect(aiCommand.compareModels('Say hi', { models: 'gemini-pro' })).rejects.toThrow('Usage: mdsaad ai compare');
+  });
+});
+
+describe('AI Command Usage Budgets', () => {
+  const aiUsage = require('../src/services/ai-usage');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should not send a request when a blocking budget is exceeded', async () => {
+    jest.spyOn(aiUsage, 'checkBudget').mockResolvedValue({
+      status: 'exceeded', mode: 'block', messages: ['Daily budget exceeded: $1.20 of $1.00 with this request']
+    });
+    const requestSpy = jest.spyOn(aiCommand, 'completeOnce');
+
+    await expect(aiCommand.executeAIRequest({ prompt: 'Hi', provider: 'groq', options: { model: 'llama-3.1-8b' } }))
+      .rejects.toThrow('AI budget exceeded - request not sent');
+    expect(requestSpy).not.toHaveBeenCalled();
+  });
+
+  test('should record tokens and cost after a response', async () => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(aiUsage, 'checkBudget').mockResolvedValue({ status: 'ok', mode: 'warn', messages: [] });
+    const recordSpy = jest.spyOn(aiUsage, 'record').mockResolvedValue();
+    jest.spyOn(aiCommand, 'makeDirectApiRequest').mockResolvedValue({
+      data: { model: 'gemini-pro', choices: [{ message: { content: 'Hello' } }], usage: { prompt_tokens: 1000, completion_tokens: 2000 } }
+    });
+
+    await aiCommand.executeAIRequest({ prompt: 'Hi', provider: 'deepseek', options: { model: 'deepseek-chat' } });
+
+    expect(recordSpy).toHaveBeenCalledWith({
+      provider: 'deepseek',
+      model: 'deepseek-chat',
+      usage: { promptTokens: 1000, completionTokens: 2000, totalTokens: 3000 },
+      cost: expect.closeTo(0.00247, 6)
+    });
+  });
+});
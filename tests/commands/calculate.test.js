@@ -54,6 +54,149 @@ describe('Calculate Command - Core Functions', () => {
     });
   });
 
+  describe('Persistent Scope', () => {
+    beforeEach(() => {
+      CalculateCommandModule.scope = {};
+      CalculateCommandModule.userFunctions = {};
+    });
+
+    test('should keep variables, functions and ans between lines', () => {
+      CalculateCommandModule.evaluateInScope('x = 3');
+      CalculateCommandModule.evaluateInScope('f(a) = a^2 + 1');
+
+      expect(CalculateCommandModule.evaluateInScope('f(x)').toString()).toBe('10');
+      expect(CalculateCommandModule.evaluateInScope('ans * 2').toString()).toBe('20');
+      expect(CalculateCommandModule.userFunctions.f).toBe('f(a) = a^2 + 1');
+    });
+
+    test('should save variables and functions next to the history', () => {
+      const configService = require('../../src/services/config');
+      CalculateCommandModule.evaluateInScope('rate = 0.05');
+      CalculateCommandModule.evaluateInScope('g(n) = n * rate');
+      CalculateCommandModule.saveSession();
+
+      expect(configService.set).toHaveBeenCalledWith('calculate.variables', expect.objectContaining({
+        rate: { mathjs: 'BigNumber', value: '0.05' }
+      }));
+      expect(configService.set).toHaveBeenCalledWith('calculate.functions', { g: 'g(n) = n * rate' });
+    });
+  });
+
+  describe('Symbolic Algebra', () => {
+    test('should simplify and differentiate expressions', () => {
+      const simplified = CalculateCommandModule.math.simplify(CalculateCommandModule.preprocessExpression('2x + 3x'));
+      const derivative = CalculateCommandModule.math.derivative('x^3', 'x');
+
+      expect(CalculateCommandModule.formatResult(simplified)).toBe('5 * x');
+      expect(CalculateCommandModule.formatResult(derivative)).toBe('3 * x ^ 2');
+      expect(CalculateCommandModule.toLatex(derivative)).toBe('3\\cdot{ x}^{2}');
+    });
+
+    test('should solve linear and quadratic equations', () => {
+      const linear = CalculateCommandModule.solveEquation(CalculateCommandModule.preprocessExpression('2x+3=7'), 'x');
+      const quadratic = CalculateCommandModule.solveEquation('x^2 - 5*x + 6 = 0', 'x');
+
+      expect(CalculateCommandModule.formatResult(linear)).toBe('x = 2');
+      expect(CalculateCommandModule.formatResult(quadratic)).toBe('x = 3, x = 2');
+    });
+
+    test('should solve equations with irrational or repeating roots', () => {
+      const solve = equation => CalculateCommandModule.formatResult(
+        CalculateCommandModule.solveEquation(CalculateCommandModule.preprocessExpression(equation), 'x')
+      );
+
+      expect(solve('3x=1')).toBe('x = 0.33333333333333');
+      expect(solve('x^2-2=0')).toBe('x = 1.4142135623731, x = -1.4142135623731');
+      expect(solve('x^2+x-1=0')).toBe('x = 0.61803398874989, x = -1.6180339887499');
+    });
+
+    test('should tell identities from equations without a solution', () => {
+      const identity = CalculateCommandModule.solveEquation(CalculateCommandModule.preprocessExpression('2x=2x'), 'x');
+
+      expect(identity).toMatchObject({ identity: true, solutions: [] });
+      expect(CalculateCommandModule.formatResult(identity)).toBe('Any value of x');
+      expect(CalculateCommandModule.formatResult(CalculateCommandModule.solveEquation(CalculateCommandModule.preprocessExpression('2x=2x+1'), 'x'))).toBe('No solution');
+      expect(CalculateCommandModule.formatResult(CalculateCommandModule.solveEquation('x^2 - (x^2 + x) = 1', 'x'))).toBe('x = -1');
+    });
+
+    test('should reject equations above degree two', () => {
+      expect(() => CalculateCommandModule.solveEquation('x^3 = 1', 'x')).toThrow('Only linear and quadratic');
+    });
+  });
+
+  describe('Matrices and Statistics', () => {
+    test('should convert matrices into aligned table rows', () => {
+      const matrix = CalculateCommandModule.math.evaluate('[[1, 2], [3, 4]] / 2');
+
+      expect(CalculateCommandModule.isTabular(matrix)).toBe(true);
+      expect(CalculateCommandModule.toTableRows(matrix)).toEqual([['0.5', '1'], ['1.5', '2']]);
+      expect(CalculateCommandModule.toFraction(matrix)).toBe('[[1/2, 1/1], [3/2, 2/1]]');
+    });
+
+    test('should compute summary statistics', () => {
+      const values = CalculateCommandModule.parseDataValues('3,5,8,13');
+      const summary = CalculateCommandModule.computeStatistics(values);
+
+      expect(values).toEqual([3, 5, 8, 13]);
+      expect(summary.mean).toBe(7.25);
+      expect(summary.median).toBe(6.5);
+      expect(summary.q1).toBe(4.5);
+      expect(summary.q3).toBe(9.25);
+      expect(summary.stdev).toBeCloseTo(4.349, 3);
+    });
+
+    test('should reject non-numeric data', () => {
+      expect(() => CalculateCommandModule.parseDataValues('3, five, 8')).toThrow('Invalid number in data: five');
+    });
+
+    test('should draw one histogram row per bin', () => {
+      const rows = CalculateCommandModule.renderHistogram([1, 2, 2, 3, 9]);
+
+      expect(rows).toHaveLength(4);
+      expect(rows[0]).toMatch(/#+ 3$/);
+    });
+  });
+
+  describe('Units', () => {
+    test('should share compound units with the convert command', () => {
+      expect(CalculateCommandModule.evaluateInScope('5 ft + 30 cm to m').toString()).toBe('1.824 m');
+      expect(CalculateCommandModule.evaluateInScope('3 N·m to J').toString()).toBe('3 J');
+      expect(CalculateCommandModule.math.format(CalculateCommandModule.evaluateInScope('60 mph to km/h'), 10)).toBe('96.56064 km / h');
+    });
+
+    test('should report a dimension mismatch instead of a generic error', () => {
+      expect(() => CalculateCommandModule.evaluateInScope('5 ft + 3 kg'))
+        .toThrow('Dimension mismatch: cannot add ft (length) and kg (weight)');
+      expect(() => CalculateCommandModule.evaluateInScope('2 kWh to km/h'))
+        .toThrow('Dimension mismatch: cannot convert kWh (energy) to km / h (speed)');
+    });
+  });
+
+  describe('Script Evaluation', () => {
+    const fs = require('fs-extra');
+    const os = require('os');
+    const path = require('path');
+    const scriptPath = path.join(os.tmpdir(), `mdsaad-calc-${process.pid}.calc`);
+
+    afterEach(async () => {
+      await fs.remove(scriptPath);
+    });
+
+    test('should let later lines reference earlier assignments', async () => {
+      await fs.writeFile(scriptPath, '# budget\nrent = 1200\nfood = 400\n\nrent + food\nans * 12\n');
+
+      const result = await CalculateCommandModule.runScript(scriptPath);
+
+      expect(result.toString()).toBe('19200');
+    });
+
+    test('should report the failing line number', async () => {
+      await fs.writeFile(scriptPath, 'a = 2\nb = a * 3\nc + 1\n');
+
+      await expect(CalculateCommandModule.runScript(scriptPath)).rejects.toThrow(`${scriptPath}:3: Undefined symbol c`);
+    });
+  });
+
   describe('Integration Test', () => {
     test('should be available as a module', () => {
       expect(CalculateCommandModule).toBeDefined();
@@ -0,0 +1,82 @@
+/**
+ * Tests for Convert Command - Batch Conversions
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+jest.mock('../../src/services/cache', () => ({
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => true)
+}));
+
+describe('Convert Command - Batch Conversions', () => {
+  const convertCommand = require('../../src/commands/convert');
+  const workDir = path.join(os.tmpdir(), `mdsaad-batch-${process.pid}`);
+  let consoleLog;
+  let fetchExchangeRate;
+
+  beforeEach(async () => {
+    await fs.ensureDir(workDir);
+    consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    fetchExchangeRate = jest.spyOn(convertCommand, 'fetchExchangeRate').mockImplementation(async (from, to) => {
+      if (to === 'GBP') {
+        throw new Error('All exchange rate providers failed');
+      }
+      return { rate: 0.9, date: '2026-10-18', rateTimestamp: '2026-10-18T00:00:01.000Z', provider: 'Test' };
+    });
+  });
+
+  afterEach(async () => {
+    consoleLog.mockRestore();
+    fetchExchangeRate.mockRestore();
+    await fs.remove(workDir);
+  });
+
+  test('should read CSV rows and fetch each currency pair once', async () => {
+    const input = path.join(workDir, 'input.csv');
+    await fs.writeFile(input, 'Amount,From,To\n100,USD,EUR\n50,usd,eur\n5,km,mi\n');
+
+    const rows = convertCommand.parseBatchRows(await fs.readFile(input, 'utf8'), input);
+    const rates = new Map();
+    const results = await Promise.all(rows.map(row => convertCommand.convertBatchRow(row, rates)));
+
+    expect(fetchExchangeRate).toHaveBeenCalledTimes(1);
+    expect(results.map(row => row.result)).toEqual([90, 45, expect.closeTo(3.106856, 6)]);
+    expect(results[0]).toMatchObject({ line: 2, rate: 0.9, rateTimestamp: '2026-10-18T00:00:01.000Z', provider: 'Test' });
+  });
+
+  test('should write JSON results and report failed rows', async () => {
+    const input = path.join(workDir, 'input.json');
+    const output = path.join(workDir, 'results.json');
+    await fs.writeJson(input, [
+      { amount: 10, from: 'USD', to: 'EUR' },
+      { amount: 'ten', from: 'USD', to: 'EUR' },
+      { amount: 3, from: 'kg', to: 'm' },
+      { amount: 20, from: 'USD', to: 'GBP' }
+    ]);
+
+    await convertCommand.processBatchConversions(input, { output });
+    const results = await fs.readJson(output);
+    const printed = consoleLog.mock.calls.map(call => call.join(' ')).join('\n');
+
+    expect(results.map(row => row.status)).toEqual(['ok', 'failed', 'failed', 'failed']);
+    expect(results[2].error).toContain('Dimension mismatch');
+    expect(printed).toContain('Line 2: Invalid amount: ten');
+    expect(printed).toContain('Line 4: All exchange rate providers failed');
+  });
+
+  test('should write CSV with rate, timestamp and provider columns', async () => {
+    const input = path.join(workDir, 'input.txt');
+    const output = path.join(workDir, 'results.csv');
+    await fs.writeFile(input, '# legacy format\n100 USD EUR\n');
+
+    await convertCommand.processBatchConversions(input, { output });
+
+    expect(await fs.readFile(output, 'utf8')).toBe(
+      'line,amount,from,to,result,rate,rateTimestamp,provider,status,error\n' +
+      '2,100,USD,EUR,90,0.9,2026-10-18T00:00:01.000Z,Test,ok,\n'
+    );
+  });
+});
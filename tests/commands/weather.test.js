@@ -0,0 +1,289 @@
+/**
+ * Tests for Weather Command - Saved Locations, Dashboard, Hourly Charts,
+ * JSON/CSV output and watch mode
+ */
+
+jest.mock('../../src/services/config', () => {
+  const mockConfig = {};
+  return {
+    get: jest.fn((key, defaultValue = null) => (key in mockConfig ? mockConfig[key] : defaultValue)),
+    set: jest.fn(async (key, value) => { mockConfig[key] = value; }),
+    getConfigPath: jest.fn(() => '/tmp/mdsaad-test/config.json'),
+    getCacheDir: jest.fn(() => '/tmp/mdsaad-test/cache')
+  };
+});
+
+jest.mock('../../src/services/weather', () => ({
+  isInitialized: true,
+  getCurrentWeather: jest.fn(),
+  getWeatherForecast: jest.fn(),
+  getWeatherAlerts: jest.fn(),
+  getAlertReport: jest.fn()
+}));
+
+describe('Weather Command - Saved Locations', () => {
+  const weatherCommand = require('../../src/commands/weather');
+  const weatherService = require('../../src/services/weather');
+  const configService = require('../../src/services/config');
+  let consoleLog;
+
+  const output = () => consoleLog.mock.calls.map(call => call.join(' ')).join('\n');
+
+  beforeEach(async () => {
+    consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    await configService.set('weather.locations', {});
+    weatherService.getCurrentWeather.mockReset();
+  });
+
+  afterEach(() => {
+    consoleLog.mockRestore();
+  });
+
+  test('should add, resolve and remove aliases', async () => {
+    await weatherCommand.handleLocationsCommand(['add', 'Home', 'Berlin,', 'DE']);
+    await weatherCommand.handleLocationsCommand(['add', 'office', '52.52,13.40']);
+
+    expect(configService.get('weather.locations')).toEqual({ home: 'Berlin, DE', office: '52.52,13.40' });
+    expect(weatherCommand.resolveAlias('HOME')).toBe('Berlin, DE');
+    expect(weatherCommand.resolveAlias('Paris')).toBe('Paris');
+
+    await weatherCommand.handleLocationsCommand(['rm', 'home']);
+    expect(configService.get('weather.locations')).toEqual({ office: '52.52,13.40' });
+  });
+
+  test('should join an unquoted multi-word location', async () => {
+    const errorHandler = require('../../src/services/error-handler');
+    const handleError = jest.spyOn(errorHandler, 'handleError').mockResolvedValue({});
+    const disambiguate = jest.spyOn(weatherCommand, 'disambiguateLocation').mockRejectedValue(new Error('stop'));
+
+    await weatherCommand.execute('New', { args: ['York'] });
+    await weatherCommand.execute('watch', { args: ['New', 'York'], interval: '15m' });
+
+    expect(disambiguate.mock.calls.map(call => call[0])).toEqual(['New York', 'New York']);
+    disambiguate.mockRestore();
+    handleError.mockRestore();
+  });
+
+  test('should reject aliases that clash with subcommands', async () => {
+    await weatherCommand.handleLocationsCommand(['add', 'status', 'Paris']);
+
+    expect(configService.get('weather.locations')).toEqual({});
+    expect(output()).toContain('Invalid alias');
+  });
+
+  test('should fetch every saved location for the dashboard and keep failed rows', async () => {
+    await configService.set('weather.locations', { home: 'Berlin, DE', cabin: 'Nowhere' });
+    weatherService.getCurrentWeather.mockImplementation(async location => {
+      if (location === 'Nowhere') {
+        throw new Error('Location "Nowhere" not found');
+      }
+      return {
+        provider: 'weatherapi',
+        location: { name: 'Berlin', country: 'DE' },
+        current: {
+          temperature: 12,
+          condition: 'Partly cloudy',
+          conditionCode: 1003,
+          wind: { speed: 4, direction: 270 },
+          airQuality: { usEpaIndex: 2 }
+        }
+      };
+    });
+
+    await weatherCommand.displayDashboard({ units: 'metric' });
+
+    expect(weatherService.getCurrentWeather).toHaveBeenCalledTimes(2);
+    const text = output();
+    expect(text).toContain('Berlin, DE');
+    expect(text).toContain('12°');
+    expect(text).toContain('4 m/s ← W');
+    expect(text).toContain('2 Fair');
+    expect(text).toContain('Location "Nowhere" not found');
+    expect(text).toContain('1 of 2 location(s) could not be retrieved');
+  });
+});
+
+describe('Weather Command - Hourly Charts', () => {
+  const weatherCommand = require('../../src/commands/weather');
+  const weatherService = require('../../src/services/weather');
+  let consoleLog;
+
+  const output = () => consoleLog.mock.calls.map(call => call.join(' ')).join('\n');
+
+  beforeEach(() => {
+    consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleLog.mockRestore();
+  });
+
+  test('should draw columns in eighths with Unicode blocks or ASCII', () => {
+    const unicode = weatherCommand.renderChart([0, 50, 100], { height: 2, width: 1, min: 0, max: 100 });
+    expect(unicode).toEqual(['  100 │  █', '    0 │ ██']);
+
+    const ascii = weatherCommand.renderChart([10, 12, 14], { height: 1, width: 2, unicode: false, baseline: true });
+    expect(ascii).toEqual(['   14 |. : # ']);
+  });
+
+  test('should chart the requested hours with wind arrows', async () => {
+    const start = Date.now();
+    weatherService.getWeatherForecast.mockResolvedValue({
+      provider: 'weatherapi',
+      timestamp: start,
+      location: { name: 'Oslo', country: 'NO', lat: 59.91, lon: 10.75 },
+      hourly: Array.from({ length: 48 }, (_, i) => ({
+        date: new Date(start + i * 3600000).toISOString(),
+        temperature: i % 10,
+        pop: i * 2,
+        wind: { speed: 3, direction: 90 }
+      }))
+    });
+
+    await weatherCommand.displayHourlyForecast('Oslo', { hourly: '6', ascii: true });
+
+    expect(weatherService.getWeatherForecast).toHaveBeenCalledWith('Oslo', expect.objectContaining({ days: 2 }));
+    const text = output();
+    expect(text).toContain('>  >  >  >  >  >');
+    expect(text).toContain('6 steps');
+    expect(() => weatherCommand.parseHours('500')).toThrow('Invalid --hourly value');
+  });
+});
+
+describe('Weather Command - Machine Output', () => {
+  const weatherCommand = require('../../src/commands/weather');
+  const weatherService = require('../../src/services/weather');
+  let consoleLog;
+  let consoleError;
+  let stdoutWrite;
+
+  beforeEach(() => {
+    consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    stdoutWrite = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    consoleLog.mockRestore();
+    consoleError.mockRestore();
+    stdoutWrite.mockRestore();
+    weatherCommand.outputFormat = null;
+    process.exitCode = undefined;
+  });
+
+  test('should print only the JSON document with current conditions and alerts', async () => {
+    weatherService.getCurrentWeather.mockResolvedValue({
+      provider: 'openweathermap',
+      location: { name: 'Miami', country: 'US', lat: 25.77, lon: -80.19 },
+      timestamp: Date.now(),
+      cache: { hit: false, age: 0, ttl: 1800000 },
+      current: { temperature: 31, condition: 'clear sky', wind: { speed: 5, direction: 90 } }
+    });
+    weatherService.getAlertReport.mockResolvedValue({
+      provider: 'openweathermap',
+      cache: { hit: true, age: 60000, ttl: 1800000 },
+      alerts: [{ event: 'Heat Advisory', start: 1792400400 }]
+    });
+
+    weatherCommand.outputFormat = 'json';
+    await weatherCommand.exportWeather('Miami', { alerts: true, units: 'metric' });
+
+    expect(stdoutWrite).toHaveBeenCalledTimes(1);
+    const document = JSON.parse(stdoutWrite.mock.calls[0][0]);
+    expect(document).toMatchObject({
+      kind: 'current',
+      provider: 'openweathermap',
+      cache: { hit: false },
+      current: { temperature: 31 },
+      alerts: { provider: 'openweathermap', cache: { hit: true, ageSeconds: 60 }, items: [{ event: 'Heat Advisory' }] }
+    });
+  });
+
+  test('should send console output to stderr and print an error document on failure', async () => {
+    const execute = weatherCommand.execute;
+    jest.spyOn(weatherCommand, 'execute').mockImplementation(async function (location, options) {
+      if (this.outputFormat) {
+        console.log('🌤️ Initializing weather service...');
+        this.outputError = 'Location "Atlantis" not found';
+        return undefined;
+      }
+      return execute.call(this, location, options);
+    });
+
+    await weatherCommand.execute('Atlantis', { format: 'json' });
+    weatherCommand.execute.mockRestore();
+
+    expect(consoleError).toHaveBeenCalledWith('🌤️ Initializing weather service...');
+    expect(consoleLog).not.toHaveBeenCalled();
+    expect(JSON.parse(stdoutWrite.mock.calls[0][0])).toMatchObject({ kind: 'error', error: { message: 'Location "Atlantis" not found' } });
+    expect(process.exitCode).toBe(1);
+  });
+
+  test('should accept the format in any case and reject unknown formats', async () => {
+    const machineOutput = jest.spyOn(weatherCommand, 'executeWithMachineOutput').mockResolvedValue();
+
+    await weatherCommand.execute('Miami', { format: 'JSON' });
+    expect(machineOutput).toHaveBeenCalledWith('Miami', { format: 'json' });
+
+    const errorHandler = require('../../src/services/error-handler');
+    const handleError = jest.spyOn(errorHandler, 'handleError').mockResolvedValue({});
+    const disambiguate = jest.spyOn(weatherCommand, 'disambiguateLocation').mockRejectedValue(new Error('stop'));
+    await weatherCommand.execute('Miami', { format: 'TABLE' });
+    expect(disambiguate).toHaveBeenCalled();
+    disambiguate.mockRestore();
+    handleError.mockRestore();
+
+    await weatherCommand.execute('Miami', { format: 'xml' });
+    expect(machineOutput).toHaveBeenCalledTimes(1);
+    expect(consoleError.mock.calls[0][0]).toContain('Invalid --format "xml"');
+    expect(process.exitCode).toBe(1);
+    machineOutput.mockRestore();
+  });
+});
+
+describe('Weather Command - Watch', () => {
+  const weatherCommand = require('../../src/commands/weather');
+  const weatherService = require('../../src/services/weather');
+  const weatherWatch = require('../../src/services/weather-watch');
+  let consoleLog;
+  let consoleError;
+  let stderrWrite;
+  let savedState;
+
+  beforeEach(() => {
+    savedState = { version: 1, locations: {} };
+    consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    stderrWrite = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    jest.spyOn(weatherWatch, 'loadState').mockImplementation(async () => JSON.parse(JSON.stringify(savedState)));
+    jest.spyOn(weatherWatch, 'saveState').mockImplementation(async state => { savedState = state; });
+
+    weatherService.getCurrentWeather.mockResolvedValue({
+      location: { name: 'Oslo', country: 'NO', lat: 59.91, lon: 10.75 },
+      current: { temperature: -2, condition: 'snow', wind: { speed: 4 } }
+    });
+    weatherService.getWeatherAlerts.mockResolvedValue([{ event: 'Ice warning', start: 1792400400 }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should notify once per new alert or crossing, with the bell on stderr', async () => {
+    const options = { once: true, interval: '5m', threshold: ['temp<0'], notify: 'bell,stderr' };
+
+    await weatherCommand.watchWeather('Oslo', options);
+    expect(weatherService.getCurrentWeather).toHaveBeenCalledWith('Oslo', { units: 'metric', maxAge: 5 * 60 * 1000 });
+    expect(stderrWrite).toHaveBeenCalledWith('\u0007');
+    const notices = consoleError.mock.calls.map(call => call.join(' ')).join('\n');
+    expect(notices).toContain('Oslo: Ice warning');
+    expect(notices).toContain('Temperature is -2°C');
+
+    consoleError.mockClear();
+    stderrWrite.mockClear();
+    await weatherCommand.watchWeather('Oslo', options);
+    expect(consoleError).not.toHaveBeenCalled();
+    expect(stderrWrite).not.toHaveBeenCalled();
+    expect(consoleLog.mock.calls.map(call => call.join(' ')).join('\n')).toContain('Oslo, NO  -2°C  snow  wind 14km/h  1 alert(s)');
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * AI Pricing Service Unit Tests
+ */
+
+jest.mock('../../src/services/config', () => ({
+  get: jest.fn((key, defaultValue) => (key === 'ai.pricing' ? { 'groq/llama-3.1-8b': { input: 1, output: 2 } } : defaultValue))
+}));
+
+const aiPricing = require('../../src/services/ai-pricing');
+
+describe('AI Pricing Service', () => {
+  const usage = { promptTokens: 1000000, completionTokens: 500000 };
+
+  test('should price tokens from the list and config overrides', () => {
+    expect(aiPricing.cost('gemini', 'gemini-pro', usage)).toBeCloseTo(1.25);
+    expect(aiPricing.cost('groq', 'llama-3.1-8b', usage)).toBeCloseTo(2);
+  });
+
+  test('should treat local and free models as costing nothing', () => {
+    expect(aiPricing.cost('ollama', 'llama3.2', usage)).toBe(0);
+    expect(aiPricing.cost('openrouter', 'gemma-7b', usage, 'google/gemma-7b-it:free')).toBe(0);
+  });
+
+  test('should report unknown prices as n/a', () => {
+    expect(aiPricing.cost('openrouter', 'mystery-model', usage)).toBeNull();
+    expect(aiPricing.formatCost(null)).toBe('n/a');
+    expect(aiPricing.formatCost(0.00042)).toBe('$0.0004');
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * AI Session Service Unit Tests
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const mockConfigDir = path.join(os.tmpdir(), `mdsaad-ai-sessions-${process.pid}`);
+const mockConfigFile = path.join(mockConfigDir, 'config.json');
+
+jest.mock('../../src/services/config', () => ({
+  getConfigPath: jest.fn(() => mockConfigFile)
+}));
+
+const aiSessions = require('../../src/services/ai-sessions');
+
+describe('AI Session Service', () => {
+  afterEach(async () => {
+    await fs.remove(mockConfigDir);
+  });
+
+  test('should store sessions under the config directory with a token tally', async () => {
+    await aiSessions.append('design-review', { prompt: 'Q1', response: 'A1', provider: 'groq', model: 'm1' },
+      { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 });
+    await aiSessions.append('design-review', { prompt: 'Q2', response: 'A2', provider: 'gemini', model: 'm1' },
+      { promptTokenCount: 4, candidatesTokenCount: 6 });
+
+    const session = await fs.readJson(path.join(mockConfigDir, 'sessions', 'design-review.json'));
+
+    expect(session.messages.map(message => message.prompt)).toEqual(['Q1', 'Q2']);
+    expect(session.usage).toEqual({ promptTokens: 14, completionTokens: 11, totalTokens: 25, requests: 2 });
+    expect(session.provider).toBe('gemini');
+  });
+
+  test('should keep sessions separate and list the most recent first', async () => {
+    const older = await aiSessions.open('older');
+    await aiSessions.save(older);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await aiSessions.append('newer', { prompt: 'Q', response: 'A' });
+
+    const sessions = await aiSessions.list();
+
+    expect(sessions.map(session => session.name)).toEqual(['newer', 'older']);
+    expect(sessions[1].messages).toHaveLength(0);
+  });
+
+  test('should rename and remove sessions', async () => {
+    await aiSessions.append('draft', { prompt: 'Q', response: 'A' });
+    await aiSessions.append('taken', { prompt: 'Q', response: 'A' });
+
+    await expect(aiSessions.rename('draft', 'taken')).rejects.toThrow('Session "taken" already exists');
+    await aiSessions.rename('draft', 'final');
+
+    expect(await aiSessions.exists('draft')).toBe(false);
+    expect((await aiSessions.load('final')).name).toBe('final');
+
+    await aiSessions.remove('final');
+    await expect(aiSessions.remove('final')).rejects.toThrow('Session "final" not found');
+  });
+
+  test('should reject names that are not safe file names', () => {
+    expect(() => aiSessions.validateName('../config')).toThrow('Invalid session name');
+    expect(() => aiSessions.validateName('')).toThrow('Invalid session name');
+    expect(aiSessions.validateName('sprint-12.notes')).toBe('sprint-12.notes');
+  });
+});
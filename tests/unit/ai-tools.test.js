@@ -0,0 +1,68 @@
+/**
+ * AI Tool Service Unit Tests
+ */
+
+const aiTools = require('../../src/services/ai-tools');
+
+describe('AI Tool Service', () => {
+  test('should declare tools for OpenAI-compatible providers and Gemini', () => {
+    const openai = aiTools.toOpenAITools(['calculate']);
+    const gemini = aiTools.toGeminiTools(['calculate', 'weather']);
+
+    expect(openai[0]).toMatchObject({ type: 'function', function: { name: 'calculate' } });
+    expect(gemini[0].functionDeclarations.map(tool => tool.name)).toEqual(['calculate', 'weather']);
+    expect(gemini[0].functionDeclarations[0].parameters.additionalProperties).toBeUndefined();
+  });
+
+  test('should strip additionalProperties from nested Gemini schemas without changing the tool', () => {
+    const schema = {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        additionalProperties: { type: 'string' },
+        point: { type: 'object', additionalProperties: false, properties: { x: { type: 'number' } } },
+        tags: { type: 'array', items: { type: 'object', additionalProperties: false } }
+      }
+    };
+
+    expect(aiTools.withoutAdditionalProperties(schema)).toEqual({
+      type: 'object',
+      properties: {
+        additionalProperties: { type: 'string' },
+        point: { type: 'object', properties: { x: { type: 'number' } } },
+        tags: { type: 'array', items: { type: 'object' } }
+      }
+    });
+    expect(schema.properties.point.additionalProperties).toBe(false);
+  });
+
+  test('should list directories inside the working directory only', async () => {
+    expect((await aiTools.listFiles({ path: './src' })).entries).toContain('cli.js');
+    await expect(aiTools.listFiles({ path: '../' })).rejects.toThrow('Cannot list ../: path must stay inside the working directory');
+    await expect(aiTools.listFiles({ path: '/etc' })).rejects.toThrow('Cannot list /etc: path must stay inside the working directory');
+  });
+
+  test('should select tools by name and reject unknown ones', () => {
+    expect(aiTools.select(true)).toEqual(Object.keys(aiTools.tools));
+    expect(aiTools.select('calculate, weather')).toEqual(['calculate', 'weather']);
+    expect(() => aiTools.select('calculate,shell')).toThrow('Unknown tool: shell');
+  });
+
+  test('should evaluate with the calculator and report invalid arguments', async () => {
+    await expect(aiTools.run('calculate', { expression: '2^10' })).resolves
+      .toEqual({ result: { expression: '2^10', result: '1024' } });
+    await expect(aiTools.run('calculate', { expr: '1' })).resolves
+      .toEqual({ error: expect.stringContaining('missing required property "expression"') });
+  });
+
+  test('should only read files after confirmation', async () => {
+    const confirm = jest.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+    const declined = await aiTools.run('read_file', { path: 'package.json' }, { confirm });
+    const allowed = await aiTools.run('read_file', { path: 'package.json', startLine: 2, endLine: 2 }, { confirm });
+
+    expect(declined).toEqual({ error: 'The user did not allow this file access' });
+    expect(confirm).toHaveBeenCalledWith('read_file', { path: 'package.json' });
+    expect(allowed.result.content).toMatch(/^2: {3}"name"/);
+  });
+});
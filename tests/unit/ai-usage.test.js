@@ -0,0 +1,65 @@
+/**
+ * AI Usage Service Unit Tests
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const mockConfigDir = path.join(os.tmpdir(), `mdsaad-usage-${process.pid}`);
+const mockConfigFile = path.join(mockConfigDir, 'config.json');
+const mockConfig = {};
+
+jest.mock('../../src/services/config', () => ({
+  getConfigPath: jest.fn(() => mockConfigFile),
+  get: jest.fn((key, defaultValue) => (key in mockConfig ? mockConfig[key] : defaultValue))
+}));
+
+const aiUsage = require('../../src/services/ai-usage');
+
+describe('AI Usage Service', () => {
+  const day = new Date(2026, 9, 14, 12);
+
+  afterEach(async () => {
+    delete mockConfig['ai.budget'];
+    await fs.remove(mockConfigDir);
+  });
+
+  test('should accumulate tokens and cost per provider, model and day', async () => {
+    await Promise.all([
+      aiUsage.record({ provider: 'groq', model: 'llama-3.1-8b', usage: { promptTokens: 10, completionTokens: 5 }, cost: 0.001, date: day }),
+      aiUsage.record({ provider: 'groq', model: 'llama-3.1-8b', usage: { promptTokens: 20, completionTokens: 5 }, cost: 0.002, date: day }),
+      aiUsage.record({ provider: 'ollama', model: 'llama3.2', usage: { promptTokens: 7, completionTokens: 3 }, date: new Date(2026, 8, 30) })
+    ]);
+
+    const ledger = await aiUsage.load();
+    expect(ledger.days['2026-10-14']['groq/llama-3.1-8b']).toMatchObject({ requests: 2, promptTokens: 30, completionTokens: 10 });
+    expect(ledger.days['2026-10-14']['groq/llama-3.1-8b'].cost).toBeCloseTo(0.003);
+  });
+
+  test('should report usage from a start date', async () => {
+    await aiUsage.record({ provider: 'groq', model: 'llama-3.1-8b', usage: { promptTokens: 10, completionTokens: 5 }, date: day });
+    await aiUsage.record({ provider: 'ollama', model: 'llama3.2', usage: { promptTokens: 7, completionTokens: 3 }, date: new Date(2026, 8, 30) });
+
+    const summary = await aiUsage.summarize({ since: '2026-10-01' });
+
+    expect(summary.models.map(entry => entry.model)).toEqual(['llama-3.1-8b']);
+    expect(summary.total).toMatchObject({ requests: 1, promptTokens: 10, completionTokens: 5 });
+    expect(() => aiUsage.parseDate('10/01/2026')).toThrow('Invalid --since date');
+    expect(() => aiUsage.parseDate('2026-02-31', '--until')).toThrow('Invalid --until date: 2026-02-31');
+    expect(() => aiUsage.parseDate('2026-13-01')).toThrow('Invalid --since date');
+    expect(aiUsage.parseDate('2028-02-29')).toBe('2028-02-29');
+  });
+
+  test('should warn near a cap and flag a request that would exceed it', async () => {
+    mockConfig['ai.budget'] = { daily: 1, mode: 'block' };
+    await aiUsage.record({ provider: 'gemini', model: 'gemini-pro', usage: { promptTokens: 1, completionTokens: 1 }, cost: 0.85, date: day });
+
+    const near = await aiUsage.checkBudget({ tokens: 100, cost: 0.05 }, day);
+    const over = await aiUsage.checkBudget({ tokens: 100, cost: 0.2 }, day);
+
+    expect(near).toMatchObject({ status: 'warn', mode: 'block' });
+    expect(near.messages[0]).toBe('Daily budget at 90%: $0.9000 of $1.00');
+    expect(over.status).toBe('exceeded');
+  });
+});
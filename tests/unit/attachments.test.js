@@ -0,0 +1,63 @@
+/**
+ * Attachment Service Unit Tests
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { Readable } = require('stream');
+
+jest.mock('../../src/services/config', () => ({
+  get: jest.fn((key, defaultValue) => defaultValue)
+}));
+
+const attachments = require('../../src/services/attachments');
+
+describe('Attachment Service', () => {
+  const workDir = path.join(os.tmpdir(), `mdsaad-attachments-${process.pid}`);
+
+  beforeEach(async () => {
+    await fs.ensureDir(path.join(workDir, 'src'));
+    await fs.writeFile(path.join(workDir, 'src', 'app.js'), 'const a = 1;\nmodule.exports = a;\n');
+    await fs.writeFile(path.join(workDir, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x1a]));
+    jest.spyOn(process, 'cwd').mockReturnValue(workDir);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(workDir);
+  });
+
+  test('should attach files and piped input as fenced blocks', async () => {
+    const attached = await attachments.collect({
+      files: ['src/app.js'],
+      stdin: Readable.from(['diff --git a/x b/x\n', '+added\n'])
+    });
+
+    expect(attached.map(item => [item.name, item.lines])).toEqual([['src/app.js', 2], ['stdin', 2]]);
+
+    const prompt = attachments.buildPrompt('review this', attached);
+    expect(prompt).toBe('review this\n\nFile: src/app.js\n```js\nconst a = 1;\nmodule.exports = a;\n```' +
+      '\n\nPiped input\n```\ndiff --git a/x b/x\n+added\n```');
+  });
+
+  test('should reject paths outside the working directory instead of substituting another file', async () => {
+    await fs.writeFile(path.join(workDir, 'README.md'), '# inside\n');
+
+    expect((await attachments.readFile('./src/app.js')).name).toBe(path.normalize('src/app.js'));
+    await expect(attachments.readFile('../README.md')).rejects.toThrow('Cannot attach ../README.md: path must stay inside the working directory');
+    await expect(attachments.readFile('/etc/hosts')).rejects.toThrow('Cannot attach /etc/hosts: path must stay inside the working directory');
+    await expect(attachments.readFile('src/../../README.md')).rejects.toThrow('path must stay inside the working directory');
+  });
+
+  test('should reject binary files, oversize input and missing files', async () => {
+    await expect(attachments.readFile('logo.png')).rejects.toThrow('Cannot attach logo.png: it looks like a binary file');
+    await expect(attachments.readFile('missing.txt')).rejects.toThrow('Cannot attach missing.txt: file not found');
+    await expect(attachments.readStream(Readable.from(['x'.repeat(20)]), { maxFileSize: 10 }))
+      .rejects.toThrow('Cannot attach stdin: more than the 10 B limit');
+  });
+
+  test('should skip empty piped input', async () => {
+    expect(await attachments.collect({ stdin: Readable.from(['  \n']) })).toEqual([]);
+  });
+});
@@ -244,7 +244,8 @@ describe('Calculate Command', () => {
     test('should handle matrix operations', async () => {
       await calculateCommand.execute('[[1, 2], [3, 4]] + [[5, 6], [7, 8]]', {});
       
-      expect(consoleMock.logs.some(log => log.includes('[[6, 8], [10, 12]]'))).toBe(true);
+      expect(consoleMock.logs.some(log => log.includes('2 × 2 matrix'))).toBe(true);
+      expect(consoleMock.logs.some(log => /│\s+10 │\s+12 │/.test(log))).toBe(true);
     });
 
     test('should calculate matrix determinant', async () => {
@@ -0,0 +1,62 @@
+/**
+ * Context Budget Service Unit Tests
+ */
+
+jest.mock('../../src/services/config', () => ({
+  get: jest.fn((key, defaultValue) => defaultValue)
+}));
+
+const contextBudget = require('../../src/services/context-budget');
+const configService = require('../../src/services/config');
+
+const turn = (index, size = 400) => ({
+  prompt: `Question ${index}. ${'detail '.repeat(size / 7)}`,
+  response: `Answer ${index}. ${'words '.repeat(size / 6)}`
+});
+
+describe('Context Budget Service', () => {
+  test('should estimate tokens per model family', () => {
+    const text = 'a'.repeat(400);
+
+    expect(contextBudget.estimateTokens(text, 'gemini', 'gemini-pro')).toBe(100);
+    expect(contextBudget.estimateTokens(text, 'groq', 'llama-3.1-8b-instant')).toBe(115);
+    expect(contextBudget.estimateTokens('日本語', 'gemini', 'gemini-pro')).toBe(3);
+    expect(contextBudget.estimateTokens('', 'gemini', 'gemini-pro')).toBe(0);
+  });
+
+  test('should resolve context windows from the model, provider and config', () => {
+    expect(contextBudget.getContextWindow('gemini', 'gemini-1.5-flash')).toBe(1048576);
+    expect(contextBudget.getContextWindow('ollama', 'unknown-model')).toBe(4096);
+
+    configService.get.mockReturnValueOnce({ 'my-model': 2000 });
+    expect(contextBudget.getContextWindow('ollama', 'my-model')).toBe(2000);
+  });
+
+  test('should keep every turn when the history fits', () => {
+    const context = [turn(1), turn(2)];
+    const result = contextBudget.allocate({ provider: 'gemini', model: 'gemini-pro', prompt: 'Next?', context });
+
+    expect(result.context).toEqual(context);
+    expect(result.stats).toMatchObject({ total: 2, included: 2, summarized: 0, dropped: 0 });
+  });
+
+  test('should keep the newest turns and summarize older ones', () => {
+    const context = Array.from({ length: 40 }, (_, index) => turn(index + 1));
+
+    const result = contextBudget.allocate({ provider: 'ollama', model: 'llama3.2', prompt: 'Next?', context, maxTokens: 1000 });
+
+    expect(result.stats.included).toBeGreaterThan(0);
+    expect(result.stats.included + result.stats.summarized + result.stats.dropped).toBe(40);
+    expect(result.stats.summarized).toBeGreaterThan(0);
+    expect(result.stats.estimatedTokens).toBeLessThanOrEqual(4096 - 1000);
+    expect(result.context[0].summary).toBe(true);
+    expect(result.context[0].response).toContain('Q: Question');
+    expect(result.context[result.context.length - 1]).toBe(context[39]);
+  });
+
+  test('should reject a prompt that cannot fit with the reserved response tokens', () => {
+    expect(() => contextBudget.allocate({
+      provider: 'ollama', model: 'llama3.2', prompt: 'x'.repeat(20000), maxTokens: 1000
+    })).toThrow('Prompt is too long for llama3.2');
+  });
+});
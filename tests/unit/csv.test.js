@@ -0,0 +1,34 @@
+/**
+ * CSV Service Unit Tests
+ */
+
+const csvService = require('../../src/services/csv');
+
+describe('CSV Service', () => {
+  test('should parse records keyed by header with their line numbers', () => {
+    const { headers, records } = csvService.parse('amount,from,to\r\n100,USD,EUR\r\n\r\n5,km,mi\r\n');
+
+    expect(headers).toEqual(['amount', 'from', 'to']);
+    expect(records).toEqual([
+      { line: 2, values: { amount: '100', from: 'USD', to: 'EUR' } },
+      { line: 4, values: { amount: '5', from: 'km', to: 'mi' } }
+    ]);
+  });
+
+  test('should handle quoted fields with commas, quotes and newlines', () => {
+    const { records } = csvService.parse('note,amount\n"rent, ""Jan""",1\n"two\nlines",2\n');
+
+    expect(records[0].values.note).toBe('rent, "Jan"');
+    expect(records[1]).toEqual({ line: 3, values: { note: 'two\nlines', amount: '2' } });
+  });
+
+  test('should reject unterminated quotes', () => {
+    expect(() => csvService.parse('a,b\n"open,1\n')).toThrow('Unterminated quoted field starting on line 2');
+  });
+
+  test('should escape values when writing', () => {
+    const csv = csvService.stringify([{ a: 'x,y', b: null }, { a: 'say "hi"', b: 2 }], ['a', 'b']);
+
+    expect(csv).toBe('a,b\n"x,y",\n"say ""hi""",2\n');
+  });
+});
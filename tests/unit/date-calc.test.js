@@ -0,0 +1,86 @@
+/**
+ * Date Calculation Service Unit Tests
+ */
+
+jest.mock('../../src/services/config', () => ({
+  get: jest.fn((key, defaultValue) => {
+    const values = {
+      'calculate.timezone': 'Europe/Paris',
+      'calculate.holidays': ['2026-12-25']
+    };
+    return key in values ? values[key] : defaultValue;
+  }),
+  set: jest.fn()
+}));
+
+const { create, all } = require('mathjs');
+const dateCalc = require('../../src/services/date-calc');
+
+describe('Date Calculation Service', () => {
+  let math;
+
+  const evaluate = expression => math.evaluate(dateCalc.preprocess(expression));
+
+  beforeAll(() => {
+    math = create(all);
+    math.config({ number: 'BigNumber', precision: 64 });
+    dateCalc.install(math);
+  });
+
+  describe('date literals and durations', () => {
+    test('should add calendar days across a DST change', () => {
+      const result = evaluate('2026-10-18T10:00 + 45 days');
+
+      expect(result.toString()).toBe('2026-12-02T10:00 Europe/Paris');
+    });
+
+    test('should clamp month arithmetic to the end of the month', () => {
+      expect(evaluate('2026-01-31 + 1 month').toString()).toBe('2026-02-28');
+      expect(evaluate('2028-02-29 - 1 year').toString()).toBe('2027-02-28');
+    });
+
+    test('should return differences as convertible durations', () => {
+      expect(evaluate('2026-10-18 - 2026-01-01').toString()).toBe('290 days');
+      expect(evaluate('2026-01-02T12:00 - 2026-01-01T00:00 in hours').toString()).toBe('36 hours');
+    });
+
+    test('should leave non-dates as subtraction and reject times that do not exist', () => {
+      expect(dateCalc.preprocess('2026-13-45')).toBe('2026-13-45');
+      expect(dateCalc.preprocess('2026-02-29 + 1')).toBe('2026-02-29 + 1');
+      expect(evaluate('1000-20-30').toString()).toBe('950');
+      expect(() => dateCalc.preprocess('2026-10-18T24:00')).toThrow('Invalid date: 2026-10-18T24:00');
+      expect(() => dateCalc.preprocess('2026-10-18T09:60')).toThrow('Invalid date');
+      expect(evaluate('2028-02-29').toString()).toBe('2028-02-29');
+    });
+
+    test('should reject non-time units', () => {
+      expect(() => evaluate('2026-10-18 + 3 m')).toThrow('Cannot add m to a date');
+    });
+  });
+
+  describe('relative dates', () => {
+    test('should rewrite relative keywords into function calls', () => {
+      expect(dateCalc.preprocess('next friday + 1 week')).toBe('nextWeekday(5) + 1 week');
+      expect(dateCalc.preprocess('now - today')).toBe('now() - today()');
+    });
+
+    test('should never resolve next weekday to today', () => {
+      const today = evaluate('today');
+      const next = evaluate(`next ${['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][dateCalc.weekdayOf(today)]}`);
+
+      expect(evaluate(`${next.toString()} - ${today.toString()}`).toString()).toBe('7 days');
+    });
+  });
+
+  describe('business days', () => {
+    test('should skip weekends and configured holidays', () => {
+      expect(evaluate('businessDays(2026-10-16, 2026-10-23)')).toBe(5);
+      expect(evaluate('businessDays(2026-12-24, 2026-12-28)')).toBe(1);
+      expect(evaluate('addBusinessDays(2026-12-24, 1)').toString()).toBe('2026-12-28');
+    });
+  });
+
+  test('should format dates through the i18n service', () => {
+    expect(dateCalc.format(evaluate('2026-12-02'))).toContain('December 2, 2026');
+  });
+});
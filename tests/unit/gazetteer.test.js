@@ -0,0 +1,66 @@
+/**
+ * Gazetteer Service Unit Tests
+ */
+
+const mockConfig = {};
+
+jest.mock('../../src/services/config', () => ({
+  get: jest.fn((key, defaultValue) => (key in mockConfig ? mockConfig[key] : defaultValue))
+}));
+
+jest.mock('../../src/services/cache', () => ({
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => true)
+}));
+
+const gazetteer = require('../../src/services/gazetteer');
+const weatherService = require('../../src/services/weather');
+const loggerService = require('../../src/services/logger');
+
+describe('Gazetteer Service', () => {
+  let warn;
+
+  beforeEach(() => {
+    delete mockConfig['weather.gazetteer'];
+    warn = jest.spyOn(loggerService, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should match names, alternate names and country or state qualifiers', () => {
+    expect(gazetteer.matches('Paris').map(city => gazetteer.label(city))).toEqual(expect.arrayContaining(['Paris, FR', 'Paris, US-TX']));
+    expect(gazetteer.label(gazetteer.matches('Paris')[0])).toBe('Paris, FR');
+    expect(gazetteer.matches('paris, tx').map(city => gazetteer.label(city))).toEqual(['Paris, US-TX']);
+    expect(gazetteer.matches('Paris, Texas, United States').map(city => gazetteer.label(city))).toEqual(['Paris, US-TX']);
+    expect(gazetteer.matches('München')[0].name).toBe('Munich');
+    expect(gazetteer.matches('Atlantis')).toEqual([]);
+
+    const [paris] = gazetteer.matches('Paris, US-TX');
+    expect(gazetteer.toQuery(paris)).toBe('Paris, Texas, United States');
+    expect(gazetteer.toLocation(paris)).toMatchObject({ name: 'Paris', country: 'US', region: 'Texas', timezone: 'America/Chicago', source: 'gazetteer' });
+  });
+
+  test('should find misspelled and partial names', () => {
+    expect(gazetteer.search('Londn')[0].city.name).toBe('London');
+    expect(gazetteer.search('Barcelna')[0].city.name).toBe('Barcelona');
+    expect(gazetteer.search('Xq')).toEqual([]);
+  });
+
+  test('should resolve gazetteer cities first, or only when online geocoding finds nothing', async () => {
+    const geocodeOnline = jest.spyOn(weatherService, 'geocodeOnline').mockResolvedValue(null);
+
+    const paris = await weatherService.resolveLocation('Paris');
+    expect(paris).toMatchObject({ name: 'Paris', country: 'FR', source: 'gazetteer' });
+    expect(geocodeOnline).not.toHaveBeenCalled();
+    expect(warn.mock.calls[0][0]).toContain('"Paris, US-TX"');
+
+    mockConfig['weather.gazetteer'] = 'fallback';
+    expect(await weatherService.resolveLocation('Tokio')).toMatchObject({ name: 'Tokyo', country: 'JP' });
+    expect(geocodeOnline).toHaveBeenCalledWith('Tokio', 'tokio');
+
+    mockConfig['weather.gazetteer'] = 'off';
+    expect(await weatherService.resolveLocation('Tokyo')).toBeNull();
+  });
+});
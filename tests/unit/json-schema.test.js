@@ -0,0 +1,81 @@
+/**
+ * JSON Schema Service Unit Tests
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const jsonSchema = require('../../src/services/json-schema');
+
+describe('JSON Schema Service', () => {
+  const schema = {
+    type: 'object',
+    required: ['name', 'tags'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      age: { type: 'integer', minimum: 0 },
+      email: { type: 'string', format: 'email' },
+      tags: { type: 'array', items: { enum: ['a', 'b'] }, uniqueItems: true }
+    }
+  };
+
+  test('should accept a valid value', () => {
+    expect(jsonSchema.validate(schema, { name: 'Ada', age: 36, email: 'ada@example.com', tags: ['a'] })).toEqual([]);
+  });
+
+  test('should report every problem with its path', () => {
+    const errors = jsonSchema.validate(schema, { name: '', age: 1.5, tags: ['a', 'c', 'a'], extra: true });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      '$.name: must be at least 1 characters',
+      '$.age: expected integer, got number',
+      '$.tags: items must be unique',
+      '$.tags[1]: must be one of "a", "b"',
+      '$: unexpected property "extra"'
+    ]));
+  });
+
+  test('should not take inherited names for declared properties', () => {
+    const strict = { type: 'object', properties: { a: { type: 'string' } }, additionalProperties: false };
+
+    expect(jsonSchema.validate(strict, { constructor: 1, a: 'x' })).toEqual(['$: unexpected property "constructor"']);
+    expect(jsonSchema.validate(strict, JSON.parse('{"__proto__": 1}'))).toEqual(['$: unexpected property "__proto__"']);
+  });
+
+  test('should support anyOf, oneOf and nullable types', () => {
+    expect(jsonSchema.validate({ type: ['string', 'null'] }, null)).toEqual([]);
+    expect(jsonSchema.validate({ anyOf: [{ type: 'string' }, { type: 'number' }] }, true))
+      .toEqual(['$: does not match any allowed schema']);
+    expect(jsonSchema.validate({ oneOf: [{ type: 'number' }, { type: 'integer' }] }, 3))
+      .toEqual(['$: must match exactly one schema (matched 2)']);
+  });
+
+  test('should reject schema files that are not objects', async () => {
+    const file = path.join(os.tmpdir(), `mdsaad-schema-${process.pid}.json`);
+    await fs.writeJson(file, ['not', 'a', 'schema']);
+
+    await expect(jsonSchema.load(file)).rejects.toThrow('must be a JSON object');
+    await fs.remove(file);
+  });
+
+  test('should reject schema files with keywords it does not implement', async () => {
+    const file = path.join(os.tmpdir(), `mdsaad-schema-${process.pid}.json`);
+    await fs.writeJson(file, {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: 'Person',
+      type: 'object',
+      properties: { address: { $ref: '#/$defs/address' }, born: { type: 'string', format: 'date' } },
+      $defs: { address: { type: 'string' } }
+    });
+
+    await expect(jsonSchema.load(file)).rejects.toThrow('uses unsupported keywords: $.properties.address.$ref, $.$defs');
+
+    await fs.writeJson(file, { type: 'object', properties: { code: { type: 'string', pattern: '(' } } });
+    await expect(jsonSchema.load(file)).rejects.toThrow(`Schema ${file} has an invalid pattern at $.properties.code.pattern: Invalid regular expression`);
+
+    await fs.writeJson(file, schema);
+    expect(await jsonSchema.load(file)).toEqual(schema);
+    await fs.remove(file);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Programmer Calculator Service Unit Tests
+ */
+
+const programmerCalc = require('../../src/services/programmer-calc');
+
+describe('Programmer Calculator Service', () => {
+  describe('evaluation', () => {
+    test('should parse hex, octal and binary literals', () => {
+      expect(programmerCalc.evaluate('0xFF + 0o17 + 0b1010')).toBe(280n);
+      expect(programmerCalc.evaluate('1_000 * 2')).toBe(2000n);
+    });
+
+    test('should follow C operator precedence', () => {
+      expect(programmerCalc.evaluate('0xFF & 0b1010 << 3')).toBe(80n);
+      expect(programmerCalc.evaluate('1 | 2 ^ 3 & 4')).toBe(3n);
+      expect(programmerCalc.evaluate('-2 ** 3')).toBe(-8n);
+    });
+
+    test('should wrap to the configured width', () => {
+      expect(programmerCalc.evaluate('0x7F + 1', { bits: 8 })).toBe(-128n);
+      expect(programmerCalc.evaluate('~0', { bits: 16, unsigned: true })).toBe(65535n);
+      expect(programmerCalc.evaluate('-1 >>> 28', { bits: 32 })).toBe(15n);
+    });
+
+    test('should not wrap in arbitrary width mode', () => {
+      expect(programmerCalc.evaluate('2 ** 100', { bits: 0 })).toBe(1267650600228229401496703205376n);
+      expect(programmerCalc.evaluate('(-1) ** 100000000001', { bits: 0 })).toBe(-1n);
+      expect(() => programmerCalc.evaluate('3 ** 100000000', { bits: 0 })).toThrow('3 ** 100000000 is over 65536 bits');
+    });
+
+    test('should wrap large powers without building the full value', () => {
+      expect(programmerCalc.evaluate('3 ** 100000000', { bits: 32, unsigned: true })).toBe(3062526977n);
+      expect(programmerCalc.evaluate('3 ** 1000', { bits: 64 })).toBe(BigInt.asIntN(64, 3n ** 1000n));
+      expect(programmerCalc.evaluate('(-3) ** 3', { bits: 8 })).toBe(-27n);
+    });
+
+    test('should reject invalid input', () => {
+      expect(() => programmerCalc.evaluate('1 / 0')).toThrow('Division by zero');
+      expect(() => programmerCalc.evaluate('1.5 + 2')).toThrow('Unexpected character');
+      expect(() => programmerCalc.evaluate('(1 + 2')).toThrow('Missing closing parenthesis');
+      expect(() => programmerCalc.evaluate('1', { bits: 12 })).toThrow('Unsupported bit width');
+    });
+  });
+
+  describe('formatting', () => {
+    test('should show two\'s complement representations', () => {
+      const formats = programmerCalc.format(-1n, { bits: 8 });
+
+      expect(formats).toEqual({
+        width: 8,
+        signed: '-1',
+        unsigned: '255',
+        hex: '0xFF',
+        octal: '0o377',
+        binary: '0b11111111'
+      });
+    });
+
+    test('should size arbitrary-width values to whole bytes', () => {
+      expect(programmerCalc.format(255n, { bits: 0 }).width).toBe(16);
+      expect(programmerCalc.format(-128n, { bits: 0 }).width).toBe(8);
+    });
+
+    test('should render the bit field in rows of 16 bits', () => {
+      expect(programmerCalc.bitField(0x50n, { bits: 32 })).toEqual([
+        '31-16  0000 0000 0000 0000',
+        ' 15-0  0000 0000 0101 0000'
+      ]);
+    });
+  });
+});
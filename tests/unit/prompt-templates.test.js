@@ -0,0 +1,75 @@
+/**
+ * Prompt Template Service Unit Tests
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const mockConfigDir = path.join(os.tmpdir(), `mdsaad-templates-${process.pid}`);
+const mockConfigFile = path.join(mockConfigDir, 'config.json');
+
+jest.mock('../../src/services/config', () => ({
+  getConfigPath: jest.fn(() => mockConfigFile)
+}));
+
+const promptTemplates = require('../../src/services/prompt-templates');
+
+describe('Prompt Template Service', () => {
+  afterEach(async () => {
+    await fs.remove(mockConfigDir);
+  });
+
+  test('should fill variables from --var, saved defaults and inline defaults', () => {
+    const template = {
+      name: 'release',
+      system: 'Write for {{audience}} in a {{tone|friendly}} tone.',
+      prompt: 'Announce {{product}} {{version}}',
+      defaults: { audience: 'customers' },
+      temperature: 0
+    };
+
+    const rendered = promptTemplates.render(template, { product: 'mdsaad', version: '2.0' });
+
+    expect(rendered).toEqual({
+      system: 'Write for customers in a friendly tone.',
+      prompt: 'Announce mdsaad 2.0',
+      model: null,
+      temperature: 0
+    });
+    expect(promptTemplates.variablesOf(template)).toEqual(['audience', 'tone', 'product', 'version']);
+  });
+
+  test('should name every missing variable', () => {
+    expect(() => promptTemplates.render(promptTemplates.builtIns.translate, {}))
+      .toThrow('Template "translate" is missing {{to}}, {{input}}. Pass --var to=... --var input=...');
+  });
+
+  test('should save templates under the config directory and let them override built-ins', async () => {
+    await promptTemplates.save({
+      name: 'commit',
+      system: 'Use Conventional Commits.',
+      model: 'llama-3.1-8b',
+      temperature: '0.1',
+      defaults: promptTemplates.parseVariables(['scope=cli'])
+    });
+
+    const saved = await fs.readJson(path.join(mockConfigDir, 'templates', 'commit.json'));
+    expect(saved).toMatchObject({ model: 'llama-3.1-8b', temperature: 0.1, defaults: { scope: 'cli' } });
+
+    const listed = await promptTemplates.list();
+    expect(listed.map(template => template.name)).toEqual(['commit', 'review', 'translate']);
+    expect(listed[0].builtIn).toBeUndefined();
+
+    await promptTemplates.remove('commit');
+    expect((await promptTemplates.get('commit')).builtIn).toBe(true);
+    await expect(promptTemplates.remove('commit')).rejects.toThrow('built-in template');
+  });
+
+  test('should validate definitions and variables', async () => {
+    await expect(promptTemplates.save({ name: 'empty' })).rejects.toThrow('needs a system prompt');
+    await expect(promptTemplates.save({ name: 'hot', system: 'x', temperature: '5' })).rejects.toThrow('Invalid temperature: 5');
+    expect(() => promptTemplates.parseVariables(['novalue'])).toThrow('Invalid --var "novalue"');
+    expect(promptTemplates.parseVariables(['q=a=b'])).toEqual({ q: 'a=b' });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Rate History Service Unit Tests
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const mockCacheDir = path.join(os.tmpdir(), `mdsaad-rate-history-${process.pid}`);
+
+jest.mock('../../src/services/config', () => ({
+  getCacheDir: jest.fn(() => mockCacheDir)
+}));
+
+const rateHistory = require('../../src/services/rate-history');
+const outputFormatter = require('../../src/services/output-formatter');
+
+describe('Rate History Service', () => {
+  const days = {
+    '2026-01-02': { EUR: 0.9, GBP: 0.8 },
+    '2026-01-05': { EUR: 0.91, GBP: 0.79 },
+    '2026-01-06': { EUR: 0.92, GBP: 0.78 }
+  };
+  const fetchRange = jest.fn(async (from, to) => {
+    const rates = {};
+    for (const [date, values] of Object.entries(days)) {
+      if (date >= from && date <= to) rates[date] = values;
+    }
+    return rates;
+  });
+
+  beforeEach(async () => {
+    await fs.remove(mockCacheDir);
+    rateHistory.reset();
+    fetchRange.mockClear();
+  });
+
+  afterAll(async () => {
+    await fs.remove(mockCacheDir);
+  });
+
+  describe('time-series store', () => {
+    test('should fetch a range once and serve it from disk afterwards', async () => {
+      await rateHistory.ensureRange('USD', '2026-01-01', '2026-01-06', fetchRange);
+      rateHistory.reset();
+
+      expect(await rateHistory.ensureRange('USD', '2026-01-02', '2026-01-05', fetchRange)).toBe(false);
+      expect(fetchRange).toHaveBeenCalledTimes(1);
+      expect(await rateHistory.getSeries('USD', 'EUR', '2026-01-01', '2026-01-06')).toEqual([
+        { date: '2026-01-02', rate: 0.9 },
+        { date: '2026-01-05', rate: 0.91 },
+        { date: '2026-01-06', rate: 0.92 }
+      ]);
+    });
+
+    test('should only fetch the missing part of a range', async () => {
+      await rateHistory.ensureRange('USD', '2026-01-01', '2026-01-03', fetchRange);
+      await rateHistory.ensureRange('USD', '2026-01-01', '2026-01-06', fetchRange);
+
+      expect(fetchRange).toHaveBeenLastCalledWith('2026-01-04', '2026-01-06');
+    });
+
+    test('should fall back to the closest earlier business day', async () => {
+      await rateHistory.ensureRange('USD', '2026-01-01', '2026-01-06', fetchRange);
+
+      expect(await rateHistory.findRate('USD', 'GBP', '2026-01-04')).toEqual({ date: '2026-01-02', rate: 0.8 });
+      expect(await rateHistory.findRate('USD', 'GBP', '2025-12-20')).toBeNull();
+    });
+  });
+
+  describe('dates', () => {
+    test('should parse single dates and ranges', () => {
+      expect(rateHistory.parseRange('2026-01-02')).toEqual({ from: '2026-01-02', to: '2026-01-02', isRange: false });
+      expect(rateHistory.parseRange('2026-01-02..2026-02-01')).toEqual({ from: '2026-01-02', to: '2026-02-01', isRange: true });
+      expect(rateHistory.parseRange('2026-01-02..').to).toBe(rateHistory.today());
+    });
+
+    test('should reject invalid, future and reversed dates', () => {
+      expect(() => rateHistory.parseDate('2026-02-30')).toThrow('Invalid date');
+      expect(() => rateHistory.parseDate('2999-01-01')).toThrow('in the future');
+      expect(() => rateHistory.parseRange('2026-02-01..2026-01-01')).toThrow('before its start');
+    });
+  });
+
+  describe('sparkline', () => {
+    test('should scale values to block characters', () => {
+      expect(outputFormatter.sparkline([1, 2, 3, 4, 5, 6, 7, 8])).toBe('▁▂▃▄▅▆▇█');
+      expect(outputFormatter.sparkline([5, 5, 5])).toBe('▄▄▄');
+      expect(outputFormatter.sparkline(Array.from({ length: 120 }, (v, i) => i), 60)).toHaveLength(60);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Stream Parser Unit Tests
+ */
+
+const { Readable } = require('stream');
+const streamParser = require('../../src/services/stream-parser');
+
+const collect = async iterator => {
+  const items = [];
+  for await (const item of iterator) {
+    items.push(item);
+  }
+  return items;
+};
+
+describe('Stream Parser', () => {
+  test('should join SSE events split across chunks and stop at [DONE]', async () => {
+    const stream = Readable.from([
+      ': keep-alive\n\ndata: {"text":',
+      '"Hel"}\r\n\r\ndata: {"text":"lo"}\n',
+      '\ndata: [DONE]\n\ndata: {"text":"ignored"}\n\n'
+    ]);
+
+    const events = await collect(streamParser.sseJson(stream));
+
+    expect(events).toEqual([{ text: 'Hel' }, { text: 'lo' }]);
+  });
+
+  test('should join multi-line SSE data fields', async () => {
+    const stream = Readable.from([Buffer.from('event: message\ndata: first\ndata: second\n\n')]);
+
+    expect(await collect(streamParser.sse(stream))).toEqual(['first\nsecond']);
+  });
+
+  test('should keep multi-byte characters split across chunks', async () => {
+    const bytes = Buffer.from('data: {"text":"héllo 😀"}\n\n{"end":"😀"}');
+    const emoji = bytes.indexOf(Buffer.from('😀'));
+    const last = bytes.lastIndexOf(Buffer.from('😀'));
+    const stream = Readable.from([bytes.subarray(0, emoji + 2), bytes.subarray(emoji + 2, last + 1), bytes.subarray(last + 1)]);
+
+    expect(await collect(streamParser.lines(stream))).toEqual(['data: {"text":"héllo 😀"}', '', '{"end":"😀"}']);
+  });
+
+  test('should parse NDJSON including a final line without newline', async () => {
+    const stream = Readable.from(['{"response":"a"}\n{"resp', 'onse":"b"}\n\n{"done":true}']);
+
+    expect(await collect(streamParser.ndjson(stream))).toEqual([
+      { response: 'a' },
+      { response: 'b' },
+      { done: true }
+    ]);
+  });
+
+  test('should report malformed events', async () => {
+    const stream = Readable.from(['not json\n']);
+
+    await expect(collect(streamParser.ndjson(stream))).rejects.toThrow('Malformed stream event: not json');
+  });
+});
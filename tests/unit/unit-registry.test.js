@@ -0,0 +1,103 @@
+/**
+ * Unit Registry Unit Tests
+ */
+
+const unitRegistry = require('../../src/services/unit-registry');
+
+describe('Unit Registry', () => {
+  describe('resolution', () => {
+    test('should accept convert codes case-insensitively', () => {
+      expect(unitRegistry.toExpression('KM')).toBe('km');
+      expect(unitRegistry.toExpression('fl_oz')).toBe('floz');
+      expect(unitRegistry.toExpression('°C')).toBe('degC');
+    });
+
+    test('should prefer exact-case units over codes in another case', () => {
+      expect(unitRegistry.convert(1, 'Mm', 'm')).toBe(1e6);
+      expect(unitRegistry.convert(1, 'mm', 'm')).toBe(0.001);
+      expect(unitRegistry.convert(1, 'MM', 'm')).toBe(0.001);
+      expect(unitRegistry.convert(1, 'mJ', 'J')).toBe(0.001);
+      expect(unitRegistry.convert(1, 'Mm/s', 'km/s')).toBe(1000);
+    });
+
+    test('should resolve compound units', () => {
+      expect(unitRegistry.toExpression('MI/H')).toBe('mi/hour');
+      expect(unitRegistry.toExpression('N·m')).toBe('N*m');
+      expect(unitRegistry.isUnit('kWh')).toBe(true);
+      expect(unitRegistry.isUnit('m/s^2')).toBe(true);
+    });
+
+    test('should reject unknown units', () => {
+      expect(unitRegistry.resolve('furlongs')).toBeNull();
+      expect(unitRegistry.resolve('km/blorp')).toBeNull();
+      expect(unitRegistry.resolve('')).toBeNull();
+    });
+  });
+
+  describe('categories', () => {
+    test('should place units in categories by dimension', () => {
+      expect(unitRegistry.categoryOf(unitRegistry.resolve('mph'))).toBe('speed');
+      expect(unitRegistry.categoryOf(unitRegistry.resolve('N·m'))).toBe('energy');
+      expect(unitRegistry.categoryOf(unitRegistry.resolve('m/s^2'))).toBeNull();
+    });
+
+    test('should report factors in the category base unit', () => {
+      expect(unitRegistry.factor('KG')).toBe(1000);
+      expect(unitRegistry.factor('kWh')).toBe(3600000);
+      expect(unitRegistry.factor('C')).toBe(1);
+    });
+  });
+
+  describe('conversion', () => {
+    test('should convert simple, compound and offset units', () => {
+      expect(unitRegistry.convert(5, 'FT', 'M')).toBeCloseTo(1.524, 10);
+      expect(unitRegistry.convert(100, 'km/h', 'MPH')).toBeCloseTo(62.137119, 6);
+      expect(unitRegistry.convert(1, 'kWh', 'MJ')).toBeCloseTo(3.6, 10);
+      expect(unitRegistry.convert(212, 'F', 'C')).toBeCloseTo(100, 10);
+    });
+
+    test('should accept data units with decimal and binary prefixes', () => {
+      expect(unitRegistry.convert(1, 'KB', 'B')).toBe(1000);
+      expect(unitRegistry.convert(1, 'KiB', 'B')).toBe(1024);
+      expect(unitRegistry.convert(4, 'GIB', 'MB')).toBeCloseTo(4294.967296, 6);
+      expect(unitRegistry.convert(100, 'Mbit', 'MB')).toBeCloseTo(12.5, 10);
+    });
+
+    test('should read b as bits and B as bytes in any prefix case', () => {
+      expect(unitRegistry.convert(8, 'Mb', 'MB')).toBeCloseTo(1, 10);
+      expect(unitRegistry.convert(1, 'MB', 'Mb')).toBeCloseTo(8, 10);
+      expect(unitRegistry.convert(1, 'Gb', 'MB')).toBeCloseTo(125, 10);
+      expect(unitRegistry.convert(1, 'GB', 'Mb')).toBeCloseTo(8000, 10);
+      expect(unitRegistry.convert(1, 'Gb', 'Mb')).toBeCloseTo(1000, 10);
+      expect(unitRegistry.convert(1, 'Kb', 'B')).toBeCloseTo(125, 10);
+      expect(unitRegistry.convert(1, 'mib', 'kib')).toBeCloseTo(1024, 10);
+    });
+
+    test('should cover pressure, energy, power and angle', () => {
+      expect(unitRegistry.convert(1, 'ATM', 'KPA')).toBeCloseTo(101.325, 6);
+      expect(unitRegistry.convert(1, 'KCAL', 'KJ')).toBeCloseTo(4.184, 10);
+      expect(unitRegistry.convert(1, 'HP', 'W')).toBeCloseTo(745.7, 1);
+      expect(unitRegistry.convert(180, 'DEG', 'RAD')).toBeCloseTo(Math.PI, 10);
+    });
+
+    test('should invert fuel economy between mpg and L/100km', () => {
+      const kmpl = unitRegistry.toKilometersPerLiter(30, 'MPG');
+
+      expect(unitRegistry.fuelEconomyKind('L/100km')).toBe('consumption');
+      expect(unitRegistry.fromKilometersPerLiter(kmpl, 'L/100km')).toBeCloseTo(7.8405, 4);
+      expect(unitRegistry.toKilometersPerLiter(5, 'L/100KM')).toBeCloseTo(20, 10);
+    });
+
+    test('should throw a dimension mismatch for different quantities', () => {
+      expect(() => unitRegistry.convert(1, 'kWh', 'km/h')).toThrow(unitRegistry.DimensionMismatchError);
+      expect(() => unitRegistry.convert(1, 'kg', 'm')).toThrow('Dimension mismatch: cannot convert kg (weight) to m (length)');
+    });
+
+    test('should explain which operation mixes dimensions', () => {
+      const math = unitRegistry.math;
+      const mismatch = unitRegistry.explainMismatch(math, math.parse('(2 m + 3 ft) * 2 + 4 kg'));
+
+      expect(mismatch.message).toBe('Dimension mismatch: cannot add m (length) and kg (weight)');
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Vector Index Service Unit Tests
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const mockCacheDir = path.join(os.tmpdir(), `mdsaad-index-cache-${process.pid}`);
+
+jest.mock('../../src/services/config', () => ({
+  get: jest.fn((key, defaultValue) => defaultValue),
+  getCacheDir: jest.fn(() => mockCacheDir)
+}));
+jest.mock('../../src/services/ollama', () => ({
+  getEmbeddingModel: jest.fn(() => 'nomic-embed-text'),
+  // A toy embedding: how often each text mentions "cache" and "weather"
+  embed: jest.fn(async texts => texts.map(text => [
+    (text.match(/cache/g) || []).length + 0.01,
+    (text.match(/weather/g) || []).length + 0.01
+  ]))
+}));
+
+const ollamaService = require('../../src/services/ollama');
+const vectorIndex = require('../../src/services/vector-index');
+
+describe('Vector Index Service', () => {
+  const sourceDir = path.join(os.tmpdir(), `mdsaad-index-src-${process.pid}`);
+
+  beforeEach(async () => {
+    await fs.outputFile(path.join(sourceDir, 'cache.js'), '// cache entries\nconst cache = new Map();\n');
+    await fs.outputFile(path.join(sourceDir, 'lib', 'weather.js'), '// weather lookup\nfetch weather now\n');
+    await fs.outputFile(path.join(sourceDir, 'node_modules', 'dep.js'), 'ignored cache');
+    await fs.outputFile(path.join(sourceDir, 'logo.png'), Buffer.from([0x89, 0x50, 0x00, 0x01]));
+    ollamaService.embed.mockClear();
+  });
+
+  afterEach(async () => {
+    await fs.remove(sourceDir);
+    await fs.remove(mockCacheDir);
+  });
+
+  test('should split text into overlapping line windows', () => {
+    vectorIndex.chunkLines = 4;
+    vectorIndex.overlapLines = 1;
+    const text = Array.from({ length: 10 }, (_, i) => `line ${i + 1}`).join('\n');
+
+    const chunks = vectorIndex.chunk(text);
+
+    expect(chunks.map(chunk => [chunk.startLine, chunk.endLine])).toEqual([[1, 4], [4, 7], [7, 10]]);
+    vectorIndex.chunkLines = 40;
+    vectorIndex.overlapLines = 5;
+  });
+
+  test('should index text files only and store the index in the cache directory', async () => {
+    const { index } = await vectorIndex.build(sourceDir, { name: 'demo' });
+
+    expect(Object.keys(index.files)).toEqual(['cache.js', 'lib/weather.js']);
+    expect(index.skipped).toEqual(['logo.png']);
+    expect(await fs.pathExists(path.join(mockCacheDir, 'indexes', 'demo.json'))).toBe(true);
+  });
+
+  test('should reuse embeddings for unchanged files', async () => {
+    await vectorIndex.build(sourceDir, { name: 'demo' });
+    await fs.appendFile(path.join(sourceDir, 'cache.js'), 'cache.clear();\n');
+    ollamaService.embed.mockClear();
+
+    const { reused } = await vectorIndex.build(sourceDir, { name: 'demo' });
+
+    expect(reused).toBe(1);
+    expect(ollamaService.embed).toHaveBeenCalledTimes(1);
+    expect(ollamaService.embed.mock.calls[0][0][0]).toMatch(/^cache\.js\n/);
+  });
+
+  test('should rank chunks by similarity and cite file and lines', async () => {
+    const { index } = await vectorIndex.build(sourceDir, { name: 'demo' });
+
+    const [best] = vectorIndex.search(index, [0, 1], 1);
+
+    expect(vectorIndex.citation(best)).toBe('lib/weather.js:1-2');
+    expect(vectorIndex.buildPrompt('How is weather fetched?', [best])).toContain('[lib/weather.js:1-2]\n// weather lookup');
+  });
+});
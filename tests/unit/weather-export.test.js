@@ -0,0 +1,86 @@
+/**
+ * Weather Export Service Tests
+ */
+
+const weatherExport = require('../../src/services/weather-export');
+const csvService = require('../../src/services/csv');
+
+describe('WeatherExportService', () => {
+  const location = { name: 'Oslo', country: 'NO', lat: 59.91, lon: 10.75 };
+  const current = {
+    provider: 'weatherapi',
+    location,
+    timestamp: Date.UTC(2026, 9, 18, 12),
+    cache: { hit: true, age: 125000, ttl: 1800000 },
+    current: {
+      temperature: 7,
+      feelsLike: 5,
+      humidity: 81,
+      condition: 'Light rain',
+      conditionCode: 1183,
+      wind: { speed: 6, direction: 200, gust: 9 },
+      sunrise: new Date(Date.UTC(2026, 9, 18, 6, 12)),
+      airQuality: { usEpaIndex: 1, pm2_5: 3.4 }
+    }
+  };
+
+  test('should build a versioned current document with provider and cache fields', () => {
+    const document = weatherExport.current(current, { units: 'metric' });
+
+    expect(document).toMatchObject({
+      schema: 'mdsaad.weather',
+      version: 1,
+      kind: 'current',
+      provider: 'weatherapi',
+      cache: { hit: true, ageSeconds: 125, ttlSeconds: 1800 },
+      units: 'metric',
+      location: { name: 'Oslo', country: 'NO', region: null, lat: 59.91, lon: 10.75 }
+    });
+    expect(document.current).toMatchObject({
+      observedAt: '2026-10-18T12:00:00.000Z',
+      temperature: 7,
+      pressure: null,
+      wind: { speed: 6, direction: 200, gust: 9 },
+      sunrise: '2026-10-18T06:12:00.000Z',
+      sunset: null,
+      airQuality: { usEpaIndex: 1, pm2_5: 3.4, pm10: null }
+    });
+    expect(JSON.parse(JSON.stringify(document))).toEqual(document);
+  });
+
+  test('should write one CSV row per forecast step, or per alert when alerts are attached', () => {
+    const forecast = {
+      provider: 'openweathermap',
+      location,
+      cache: { hit: false, age: 0, ttl: 1800000 },
+      forecast: [
+        { date: '2026-10-18T12:00:00.000Z', temperature: { current: 7, min: 5, max: 8 }, condition: 'rain, heavy', wind: { speed: 4, direction: 180 }, pop: 90 },
+        { date: '2026-10-18T15:00:00.000Z', temperature: { current: 6, min: 5, max: 7 }, condition: 'cloudy', wind: { speed: 3, direction: 170 }, pop: 40 }
+      ]
+    };
+
+    const rows = csvService.parse(weatherExport.toCsv(weatherExport.forecast(forecast))).records;
+    expect(rows).toHaveLength(2);
+    expect(rows[0].values).toMatchObject({ provider: 'openweathermap', cacheHit: 'false', date: '2026-10-18T12:00:00.000Z', condition: 'rain, heavy', pop: '90' });
+
+    const alerts = {
+      provider: 'openweathermap',
+      cache: { hit: false, age: 0, ttl: 1800000 },
+      alerts: [{ event: 'Gale warning', sender_name: 'MET Norway', start: 1792400400, end: 1792443600, description: 'Strong "gale" winds' }]
+    };
+    const alertRows = csvService.parse(weatherExport.toCsv(weatherExport.forecast(forecast, { alerts }))).records;
+    expect(alertRows).toHaveLength(1);
+    expect(alertRows[0].values).toMatchObject({
+      event: 'Gale warning',
+      sender: 'MET Norway',
+      start: new Date(1792400400 * 1000).toISOString(),
+      description: 'Strong "gale" winds'
+    });
+  });
+
+  test('should reject unknown formats', () => {
+    expect(weatherExport.parseFormat(undefined)).toBe('table');
+    expect(weatherExport.parseFormat('JSON')).toBe('json');
+    expect(() => weatherExport.parseFormat('xml')).toThrow('Invalid --format "xml"');
+  });
+});
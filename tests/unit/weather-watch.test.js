@@ -0,0 +1,82 @@
+/**
+ * Weather Watch Service Unit Tests
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const mockConfigDir = path.join(os.tmpdir(), `mdsaad-watch-${process.pid}`);
+const mockConfigFile = path.join(mockConfigDir, 'config.json');
+
+jest.mock('../../src/services/config', () => ({
+  getConfigPath: jest.fn(() => mockConfigFile),
+  get: jest.fn((key, defaultValue) => defaultValue)
+}));
+
+const weatherWatch = require('../../src/services/weather-watch');
+
+describe('Weather Watch Service', () => {
+  const weather = (current) => ({
+    location: { name: 'Oslo', country: 'NO', lat: 59.9139, lon: 10.7522 },
+    current: { temperature: 2, wind: { speed: 10 }, ...current }
+  });
+  const gale = { event: 'Gale warning', sender_name: 'MET Norway', start: 1792400400, end: 1792443600 };
+
+  afterAll(async () => {
+    await fs.remove(mockConfigDir);
+  });
+
+  test('should parse intervals and thresholds with units', () => {
+    expect(weatherWatch.parseInterval('15m')).toBe(15 * 60 * 1000);
+    expect(weatherWatch.parseInterval('1h')).toBe(60 * 60 * 1000);
+    expect(weatherWatch.parseInterval('5')).toBe(5 * 60 * 1000);
+    expect(() => weatherWatch.parseInterval('10s')).toThrow('Invalid --interval "10s"');
+
+    expect(weatherWatch.parseThreshold('wind > 50')).toMatchObject({ metric: 'wind', operator: '>', value: 50, unit: 'km/h', text: 'wind>50km/h' });
+    expect(weatherWatch.parseThreshold('temp<32', { units: 'imperial' })).toMatchObject({ metric: 'temp', unit: '°F' });
+    expect(weatherWatch.parseThreshold('gusts>=20kt')).toMatchObject({ metric: 'gust', unit: 'kn' });
+    expect(() => weatherWatch.parseThreshold('wind>50psi')).toThrow('Invalid unit "psi"');
+    expect(() => weatherWatch.parseThreshold('fog>1')).toThrow('Invalid threshold "fog>1"');
+
+    // 10 m/s is 36 km/h or 50°F for 10°C
+    expect(weatherWatch.measure({ wind: { speed: 10 } }, weatherWatch.parseThreshold('wind>30'))).toBe(36);
+    expect(weatherWatch.measure({ temperature: 10 }, weatherWatch.parseThreshold('temp<32F'))).toBe(50);
+  });
+
+  test('should notify new alerts and threshold crossings once, across restarts', async () => {
+    const thresholds = ['wind>50km/h', 'temp<0'].map(rule => weatherWatch.parseThreshold(rule));
+    const now = Date.UTC(2026, 9, 18, 12);
+
+    let state = await weatherWatch.loadState();
+    const first = weatherWatch.check(state, { weather: weather({ wind: { speed: 15 } }), alerts: [gale], thresholds, now });
+    expect(first.map(event => event.type)).toEqual(['alert', 'threshold']);
+    expect(first[1]).toMatchObject({ threshold: 'wind>50km/h', reading: 54, title: 'Oslo: Wind > 50km/h' });
+    await weatherWatch.saveState(state);
+
+    // A restarted watch reads the saved state: nothing new to report
+    state = await weatherWatch.loadState();
+    expect(weatherWatch.check(state, { weather: weather({ wind: { speed: 15 } }), alerts: [gale], thresholds, now })).toEqual([]);
+
+    // Wind drops, then rises again; the temperature falls below zero
+    expect(weatherWatch.check(state, { weather: weather(), alerts: [gale], thresholds, now })).toEqual([]);
+    const later = weatherWatch.check(state, { weather: weather({ temperature: -1, wind: { speed: 16 } }), alerts: [gale], thresholds, now });
+    expect(later.map(event => event.threshold)).toEqual(['wind>50km/h', 'temp<0°C']);
+
+    // Alerts are forgotten a week after they end or were last seen
+    weatherWatch.check(state, { weather: weather(), alerts: [], thresholds, now: now + 9 * 24 * 60 * 60 * 1000 });
+    expect(state.locations['59.91,10.75'].alerts).toEqual({});
+  });
+
+  test('should pass the event to the hook in environment variables', async () => {
+    const output = path.join(mockConfigDir, 'hook.txt');
+    await fs.ensureDir(mockConfigDir);
+
+    await weatherWatch.runHook(`node -e "require('fs').writeFileSync(process.argv[1], process.env.MDSAAD_WATCH_TITLE)" "${output}"`, {
+      type: 'threshold', location: 'Oslo', title: 'Oslo: Wind > 50km/h', message: 'Wind is 54km/h'
+    });
+    expect(await fs.readFile(output, 'utf8')).toBe('Oslo: Wind > 50km/h');
+
+    await expect(weatherWatch.runHook('exit 3', { type: 'alert', location: 'Oslo', title: 't', message: 'm' })).rejects.toThrow('Hook exited with code 3');
+  });
+});